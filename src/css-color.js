@@ -0,0 +1,424 @@
+// CSS color parsing shared by PDFDocument and the SVG renderer.
+// Colors come back as { r, g, b, alpha } with every component 0-1, so
+// alpha can be applied as fill or stroke opacity.
+
+// The CSS named colors, as rrggbb
+const NAMED_COLORS = {
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+};
+
+// Hue angle units, in degrees
+const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+// Parse a CSS color: a named color, #rgb, #rgba, #rrggbb, #rrggbbaa,
+// rgb()/rgba(), hsl()/hsla(), hwb(), transparent or currentColor. Both the
+// comma-separated and the space-separated "r g b / alpha" syntax are
+// accepted. currentColor resolves to the `currentColor` argument, black
+// without one. Returns null for anything else.
+export function parseCSSColor(value, currentColor = null) {
+  if (typeof value !== "string") return null;
+  const color = value.trim().toLowerCase();
+
+  if (color === "currentcolor") {
+    const current =
+      currentColor && currentColor.trim().toLowerCase() !== "currentcolor"
+        ? parseCSSColor(currentColor)
+        : null;
+    return current || { r: 0, g: 0, b: 0, alpha: 1 };
+  }
+  if (color === "transparent") {
+    return { r: 0, g: 0, b: 0, alpha: 0 };
+  }
+  if (NAMED_COLORS[color]) {
+    return parseHex(NAMED_COLORS[color]);
+  }
+  if (color.startsWith("#")) {
+    return parseHex(color.slice(1));
+  }
+
+  const match = /^(rgba?|hsla?|hwb)\((.*)\)$/.exec(color);
+  if (!match) return null;
+  const args = parseArguments(match[2]);
+  if (!args) return null;
+
+  switch (match[1]) {
+    case "rgb":
+    case "rgba":
+      return rgbColor(args);
+    case "hsl":
+    case "hsla":
+      return hslColor(args);
+    case "hwb":
+      return args.legacy ? null : hwbColor(args);
+  }
+  return null;
+}
+
+function parseHex(hex) {
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(hex)) return null;
+  // Short forms double each digit
+  if (hex.length <= 4) {
+    hex = hex.replace(/./g, "$&$&");
+  }
+  const channel = (index) => parseInt(hex.substr(index * 2, 2), 16) / 255;
+  return {
+    r: channel(0),
+    g: channel(1),
+    b: channel(2),
+    alpha: hex.length === 8 ? channel(3) : 1,
+  };
+}
+
+// Split "255, 0, 0, 0.5" or "255 0 0 / 50%" into three channel tokens and
+// an optional alpha token
+function parseArguments(text) {
+  let tokens;
+  let alpha = null;
+  const legacy = text.includes(",");
+  if (legacy) {
+    tokens = text.split(",").map((token) => token.trim());
+    if (tokens.length === 4) {
+      alpha = tokens.pop();
+    }
+  } else {
+    const [channels, alphaText, extra] = text.split("/");
+    if (extra !== undefined) return null;
+    tokens = channels.trim().split(/\s+/);
+    if (alphaText !== undefined) {
+      alpha = alphaText.trim();
+    }
+  }
+  if (tokens.length !== 3 || tokens.some((token) => !token)) return null;
+  return { channels: tokens, alpha, legacy };
+}
+
+// A number or percentage token. `none` is only valid in the space
+// separated syntax, where it means zero.
+function parseToken(token, legacy) {
+  if (token === "none" && !legacy) {
+    return { value: 0, unit: "" };
+  }
+  const match =
+    /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/.exec(
+      token
+    );
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: match[2] || "" };
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function parseAlpha(args) {
+  if (args.alpha === null) return 1;
+  const token = parseToken(args.alpha, args.legacy);
+  if (!token || (token.unit && token.unit !== "%")) return NaN;
+  return clamp(token.unit === "%" ? token.value / 100 : token.value);
+}
+
+function parseHue(token) {
+  if (!token || (token.unit && !ANGLE_UNITS[token.unit])) return NaN;
+  const degrees = token.value * (token.unit ? ANGLE_UNITS[token.unit] : 1);
+  return (((degrees % 360) + 360) % 360) / 360;
+}
+
+// A percentage, or a plain number in the space separated syntax
+function parsePercentage(token, legacy) {
+  if (!token || (token.unit !== "%" && (legacy || token.unit))) return NaN;
+  return clamp(token.value / 100);
+}
+
+function result(r, g, b, alpha) {
+  if ([r, g, b, alpha].some((value) => isNaN(value))) return null;
+  return { r, g, b, alpha };
+}
+
+function rgbColor(args) {
+  const tokens = args.channels.map((token) => parseToken(token, args.legacy));
+  if (tokens.some((token) => !token || (token.unit && token.unit !== "%"))) {
+    return null;
+  }
+  // The legacy syntax does not mix numbers and percentages
+  if (args.legacy && new Set(tokens.map((token) => token.unit)).size > 1) {
+    return null;
+  }
+  const [r, g, b] = tokens.map((token) =>
+    clamp(token.unit === "%" ? token.value / 100 : token.value / 255)
+  );
+  return result(r, g, b, parseAlpha(args));
+}
+
+function hslColor(args) {
+  const [hue, saturation, lightness] = args.channels.map((token) =>
+    parseToken(token, args.legacy)
+  );
+  const h = parseHue(hue);
+  const s = parsePercentage(saturation, args.legacy);
+  const l = parsePercentage(lightness, args.legacy);
+
+  const f = (n) => {
+    const k = (n + h * 12) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return result(f(0), f(8), f(4), parseAlpha(args));
+}
+
+function hwbColor(args) {
+  const [hue, whiteness, blackness] = args.channels.map((token) =>
+    parseToken(token, false)
+  );
+  const h = parseHue(hue);
+  const w = parsePercentage(whiteness, false);
+  const b = parsePercentage(blackness, false);
+  if (isNaN(h) || isNaN(w) || isNaN(b)) return null;
+
+  // Whiteness and blackness adding up to 100% or more give a gray
+  if (w + b >= 1) {
+    const gray = w / (w + b);
+    return result(gray, gray, gray, parseAlpha(args));
+  }
+  const base = hslColor({
+    channels: [`${h * 360}`, "100%", "50%"],
+    alpha: null,
+    legacy: false,
+  });
+  const channel = (value) => value * (1 - w - b) + w;
+  return result(
+    channel(base.r),
+    channel(base.g),
+    channel(base.b),
+    parseAlpha(args)
+  );
+}
+
+// Print colors given directly in a color value: CSS Color 5 device-cmyk()
+// on its own, or either device-cmyk() or SVG 1.1 icc-color() after an sRGB
+// fallback, as in "#231f20 device-cmyk(0.2, 0.2, 0.2, 1)". Returns null for
+// other values, otherwise { fallback, alpha } with `cmyk` ({ c, m, y, k },
+// 0-1) or `icc` ({ name, components }); neither is set when the arguments
+// are invalid.
+export function parsePrintColor(value) {
+  if (typeof value !== "string") return null;
+  const match = /^(.*?)\s*\b(device-cmyk|icc-color)\(([^)]*)\)$/i.exec(
+    value.trim()
+  );
+  if (!match) return null;
+
+  const fallback = match[1].trim() || null;
+  const fallbackColor = fallback && parseCSSColor(fallback);
+  const print = {
+    fallback,
+    alpha: fallbackColor ? fallbackColor.alpha : 1,
+  };
+
+  if (match[2].toLowerCase() === "device-cmyk") {
+    const cmyk = parseDeviceCMYK(match[3].trim());
+    if (cmyk) {
+      print.cmyk = cmyk.cmyk;
+      if (cmyk.alpha !== null) {
+        print.alpha = cmyk.alpha;
+      }
+    }
+    return print;
+  }
+
+  // icc-color(profile, component...), the profile name possibly quoted
+  const icc = /^\s*(?:"([^"]*)"|'([^']*)'|([^,]*?))\s*(?:,(.*))?$/.exec(
+    match[3]
+  );
+  if (icc) {
+    const list = (icc[4] || "").trim();
+    const components = list ? list.split(/\s*,\s*|\s+/).map(Number) : [];
+    if (components.every((component) => isFinite(component))) {
+      print.icc = {
+        name: [icc[1], icc[2], icc[3]].find((name) => name !== undefined),
+        components,
+      };
+    }
+  }
+  return print;
+}
+
+// "0.2 0.2 0.2 1 / 50%" or the comma separated "0.2, 0.2, 0.2, 1, 0.5";
+// components are numbers or percentages
+function parseDeviceCMYK(text) {
+  let tokens;
+  let alpha = null;
+  const legacy = text.includes(",");
+  if (legacy) {
+    tokens = text.split(",").map((token) => token.trim());
+    if (tokens.length === 5) {
+      alpha = tokens.pop();
+    }
+  } else {
+    const [components, alphaText, extra] = text.split("/");
+    if (extra !== undefined) return null;
+    tokens = components.trim().split(/\s+/);
+    if (alphaText !== undefined) {
+      alpha = alphaText.trim();
+    }
+  }
+  if (tokens.length !== 4) return null;
+
+  const values = tokens.map((token) => {
+    const parsed = parseToken(token, legacy);
+    if (!parsed || (parsed.unit && parsed.unit !== "%")) return NaN;
+    return clamp(parsed.unit === "%" ? parsed.value / 100 : parsed.value);
+  });
+  const parsedAlpha =
+    alpha === null ? null : parseAlpha({ alpha, legacy, channels: [] });
+  if (values.some((value) => isNaN(value)) || Number.isNaN(parsedAlpha)) {
+    return null;
+  }
+  const [c, m, y, k] = values;
+  return { cmyk: { c, m, y, k }, alpha: parsedAlpha };
+}
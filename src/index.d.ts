@@ -1,6 +1,34 @@
-export interface PDFDocumentOptions {
+export interface PageBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface PageOptions {
   width?: number;
   height?: number;
+  trimWidth?: number;
+  trimHeight?: number;
+  bleed?: number;
+  slug?: number;
+  cropBox?: boolean | PageBox;
+  artBox?: boolean | PageBox;
+}
+
+export interface PDFDocumentOptions extends PageOptions {}
+
+export interface PDFPage {
+  width: number;
+  height: number;
+  bleed: number;
+  slug: number;
+  trimBox: PageBox;
+  bleedBox: PageBox;
+  cropBox: PageBox | null;
+  artBox: PageBox | null;
+  contentStream: string[];
+  resources: Record<string, Set<string>>;
 }
 
 export interface CMYKColor {
@@ -10,6 +38,12 @@ export interface CMYKColor {
   k: number;
 }
 
+export interface LabColor {
+  L: number;
+  a: number;
+  b: number;
+}
+
 export interface SpotColorInfo {
   name: string;
   tint?: number;
@@ -18,9 +52,238 @@ export interface SpotColorInfo {
 export interface SVGOptions {
   width?: number;
   height?: number;
+  box?: "trim" | "bleed";
   useCMYK?: boolean;
   spotColorMap?: Record<string, SpotColorInfo>;
   colorCallback?: (color: string) => string | null;
+  strict?: boolean;
+  limits?: SVGLimits;
+  computedStyle?: boolean;
+}
+
+export interface SVGLimits {
+  maxInputLength?: number;
+  maxDepth?: number;
+  maxElements?: number;
+  maxEntityExpansion?: number;
+  maxRenderedElements?: number;
+  maxPathSegments?: number;
+  maxReferenceDepth?: number;
+  maxSelectorChecks?: number;
+}
+
+export declare const DEFAULT_LIMITS: Required<SVGLimits>;
+
+export declare class SVGLimitError extends Error {
+  limit: keyof SVGLimits;
+  value: number;
+  line: number | null;
+  column: number | null;
+  path: string;
+}
+
+export interface SVGDiagnostic {
+  severity: "error" | "warning";
+  message: string;
+  line: number | null;
+  column: number | null;
+  path: string;
+}
+
+export interface SVGNode {
+  tagName: string;
+  attributes: Record<string, string>;
+  children: SVGNode[];
+  text?: string;
+}
+
+export declare class SVGParser {
+  constructor(options?: { strict?: boolean; limits?: SVGLimits });
+  strict: boolean;
+  limits: Required<SVGLimits>;
+  ids: Map<string, SVGNode>;
+  diagnostics: SVGDiagnostic[];
+  parse(svg: string): SVGNode | null;
+}
+
+export declare class SVGParseError extends Error {
+  diagnostics: SVGDiagnostic[];
+  line: number;
+  column: number;
+  path: string;
+}
+
+export declare class SVGPathError extends Error {
+  reason: string;
+  offset: number;
+}
+
+export interface SVGPathCommand {
+  type: "M" | "L" | "C" | "Z";
+  x?: number;
+  y?: number;
+  cp1x?: number;
+  cp1y?: number;
+  cp2x?: number;
+  cp2y?: number;
+}
+
+export declare class SVGPath {
+  static apply(doc: PDFDocument, pathData: string): PDFDocument;
+  commands: SVGPathCommand[];
+  error: SVGPathError | null;
+  parse(d: string, options?: { strict?: boolean }): this;
+  applyTo(doc: PDFDocument): PDFDocument;
+}
+
+export interface PrinterMarksOptions {
+  crop?: boolean;
+  registration?: boolean;
+  colorBars?: boolean;
+  pageInfo?: boolean | string;
+  offset?: number;
+  length?: number;
+  lineWidth?: number;
+}
+
+export type StandardFontName =
+  | "Courier"
+  | "Courier-Bold"
+  | "Courier-Oblique"
+  | "Courier-BoldOblique"
+  | "Helvetica"
+  | "Helvetica-Bold"
+  | "Helvetica-Oblique"
+  | "Helvetica-BoldOblique"
+  | "Times-Roman"
+  | "Times-Bold"
+  | "Times-Italic"
+  | "Times-BoldItalic"
+  | "Symbol"
+  | "ZapfDingbats";
+
+export interface TextOptions {
+  align?: "left" | "center" | "right";
+  width?: number;
+  lineHeight?: number;
+  characterSpacing?: number;
+}
+
+export declare class StandardFont {
+  static isStandardFont(name: string): boolean;
+
+  constructor(name: StandardFontName);
+
+  type: "standard";
+  name: string;
+  baseFont: string;
+  symbolic: boolean;
+  ascender: number;
+  descender: number;
+  capHeight: number;
+  xHeight: number;
+  bbox: number[];
+
+  encode(text: string): number[];
+  widthOfString(text: string, size: number): number;
+}
+
+// Fonts with TrueType (glyf) outlines; CFF-flavored OpenType fonts throw
+export declare class TrueTypeFont {
+  constructor(data: Uint8Array | ArrayBuffer);
+
+  type: "truetype";
+  postScriptName: string;
+  unitsPerEm: number;
+  ascender: number;
+  descender: number;
+  capHeight: number;
+  bbox: number[];
+  italicAngle: number;
+  isFixedPitch: boolean;
+
+  encode(text: string): number[];
+  widthOfString(text: string, size: number): number;
+  generateSubset(): Uint8Array;
+}
+
+export type PDFFont = StandardFont | TrueTypeFont;
+
+export type ImageSource = Uint8Array | ArrayBuffer | string;
+
+export interface ImageOptions {
+  width?: number;
+  height?: number;
+  cmyk?: boolean;
+}
+
+export declare class JPEGImage {
+  constructor(data: Uint8Array);
+
+  type: "jpeg";
+  width: number;
+  height: number;
+  bitsPerComponent: number;
+  colorSpace: "DeviceGray" | "DeviceRGB" | "DeviceCMYK";
+  decodeArray?: number[];
+  data: Uint8Array;
+
+  // Throws for RGB JPEGs, which cannot be converted without re-encoding
+  toCMYK(colorSpace: ColorSpace): this;
+}
+
+export declare class PNGImage {
+  constructor(data: Uint8Array);
+
+  type: "png";
+  width: number;
+  height: number;
+  bitsPerComponent: number;
+  colorSpace: "DeviceGray" | "DeviceRGB" | "DeviceCMYK" | "Indexed";
+  paletteColorSpace?: "DeviceRGB" | "DeviceCMYK";
+  data: Uint8Array;
+  alpha?: Uint8Array | null;
+
+  toCMYK(colorSpace: ColorSpace): this;
+}
+
+export type GradientSpreadMethod = "pad" | "reflect" | "repeat";
+
+export type GradientStopColor =
+  | string
+  | [number, number, number]
+  | [number, number, number, number]
+  | CMYKColor
+  | LabColor
+  | { spot: string; tint?: number };
+
+export declare class PDFGradient {
+  stops: Array<{ offset: number; color: any; opacity: number }>;
+  matrix: number[];
+  spreadMethod: GradientSpreadMethod;
+
+  stop(offset: number, color: GradientStopColor, opacity?: number): this;
+  transform(
+    a: number,
+    b: number,
+    c: number,
+    d: number,
+    e: number,
+    f: number
+  ): this;
+  spread(method: GradientSpreadMethod): this;
+}
+
+export declare class PDFLinearGradient extends PDFGradient {
+  coords: [number, number, number, number];
+}
+
+export declare class PDFRadialGradient extends PDFGradient {
+  coords: [number, number, number, number, number, number];
+}
+
+export declare class PDFImage {
+  static open(source: ImageSource): JPEGImage | PNGImage;
 }
 
 export interface ColorSpaceResource {
@@ -40,6 +303,8 @@ export interface Resources {
   ColorSpace: Record<string, ColorSpaceResource>;
   Pattern: Record<string, any>;
   ExtGState: Record<string, ExtGStateResource>;
+  Font: Record<string, PDFFont>;
+  XObject: Record<string, JPEGImage | PNGImage>;
 }
 
 export declare class ColorSpace {
@@ -54,27 +319,48 @@ export declare class ColorSpace {
 export declare class PDFWriter {
   constructor();
 
+  allocateObject(): number;
+  addObject(
+    ref: number,
+    dict: Record<string, any> | string,
+    stream?: any
+  ): void;
+  addStreamObject(
+    ref: number,
+    dict: Record<string, any>,
+    data: string | Uint8Array
+  ): void;
+
   generatePDF(doc: PDFDocument): Buffer;
 }
 
 export declare class PDFDocument {
   width: number;
   height: number;
+  trimBox: PageBox;
+  bleedBox: PageBox;
   colorSpace: ColorSpace;
   writer: PDFWriter;
   currentColor: any;
   currentStrokeColor: any;
   currentLineWidth: number;
   currentOpacity: { fill: number; stroke: number };
+  currentFont: { font: PDFFont; resourceName: string } | null;
+  currentFontSize: number;
   spotColors: Map<string, any>;
   contentStream: string[];
   resources: Resources;
+  pages: PDFPage[];
+  page: PDFPage;
 
   constructor(options?: PDFDocumentOptions);
 
+  // Pages
+  addPage(options?: PageOptions): this;
+
   // SVG rendering
   addSVG(
-    svg: string | Element,
+    svg: string | Element | Document | SVGNode,
     x?: number,
     y?: number,
     options?: SVGOptions
@@ -93,6 +379,8 @@ export declare class PDFDocument {
   ): this;
   quadraticCurveTo(cpx: number, cpy: number, x: number, y: number): this;
   closePath(): this;
+  endPath(): this;
+  clip(fillRule?: "nonzero" | "evenodd"): this;
 
   // Shape drawing
   rect(x: number, y: number, width: number, height: number): this;
@@ -104,20 +392,63 @@ export declare class PDFDocument {
   stroke(): this;
   fillAndStroke(fillRule?: "nonzero" | "evenodd"): this;
 
-  // Line width
+  // Line style
   lineWidth(width: number): this;
+  lineCap(cap: "butt" | "round" | "square"): this;
+  lineJoin(join: "miter" | "round" | "bevel"): this;
+  miterLimit(limit: number): this;
+  dash(array: number | number[], phase?: number): this;
+  undash(): this;
 
   // Opacity
   fillOpacity(opacity: number): this;
   strokeOpacity(opacity: number): this;
   opacity(opacity: number): this;
 
+  // Text
+  font(name: StandardFontName | string, size?: number): this;
+  // TrueType (glyf) outlines only; CFF-flavored OpenType fonts throw
+  registerFont(name: string, data: Uint8Array | ArrayBuffer): this;
+  fontSize(size: number): this;
+  widthOfString(str: string, options?: TextOptions): number;
+  text(str: string, x: number, y: number, options?: TextOptions): this;
+
+  // Images
+  image(
+    source: ImageSource,
+    x?: number,
+    y?: number,
+    options?: ImageOptions
+  ): this;
+
+  // Transparency groups and soft masks
+  beginGroup(bbox?: PageBox): this;
+  endGroup(): string;
+  drawGroup(name: string): this;
+  softMask(name: string, type?: "luminosity" | "alpha"): this;
+
   // Color methods (RGB - converted to CMYK internally)
-  fillColor(color: string): this;
+  fillColor(color: string | PDFGradient): this;
   fillColor(r: number, g: number, b: number): this;
-  strokeColor(color: string): this;
+  strokeColor(color: string | PDFGradient): this;
   strokeColor(r: number, g: number, b: number): this;
 
+  // Gradients
+  linearGradient(
+    x1: number,
+    y1: number,
+    x2: number,
+    y2: number
+  ): PDFLinearGradient;
+  radialGradient(
+    x1: number,
+    y1: number,
+    r1: number,
+    x2: number,
+    y2: number,
+    r2: number
+  ): PDFRadialGradient;
+
   // CMYK color methods
   fillColorCMYK(c: number, m: number, y: number, k: number): this;
   strokeColorCMYK(c: number, m: number, y: number, k: number): this;
@@ -127,6 +458,13 @@ export declare class PDFDocument {
   fillSpotColor(name: string, tint?: number): this;
   strokeSpotColor(name: string, tint?: number): this;
 
+  // Registration color (prints on every plate)
+  fillRegistrationColor(tint?: number): this;
+  strokeRegistrationColor(tint?: number): this;
+
+  // Printer's marks
+  addPrinterMarks(options?: PrinterMarksOptions): this;
+
   // Transformation methods
   save(): this;
   restore(): this;
@@ -148,8 +486,8 @@ export declare class PDFDocument {
 
 export function SVGtoPDF(
   doc: PDFDocument,
-  svg: string | Element,
+  svg: string | Element | Document | SVGNode,
   x?: number,
   y?: number,
   options?: SVGOptions
-): void;
+): SVGDiagnostic[];
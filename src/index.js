@@ -1,7 +1,32 @@
 import { PDFDocument } from "./pdf-document.js";
 import { SVGtoPDF } from "./svg-to-pdf.js";
 import { ColorSpace } from "./color-space.js";
-import { SVGParser } from "./svg-parser.js";
-import { SVGPath } from "./svg-path.js";
+import { SVGParser, SVGParseError } from "./svg-parser.js";
+import { SVGLimitError, DEFAULT_LIMITS } from "./svg-limits.js";
+import { SVGPath, SVGPathError } from "./svg-path.js";
+import { StandardFont } from "./standard-font.js";
+import { TrueTypeFont } from "./truetype-font.js";
+import { PDFImage } from "./pdf-image.js";
+import {
+  PDFGradient,
+  PDFLinearGradient,
+  PDFRadialGradient,
+} from "./pdf-gradient.js";
 
-export { PDFDocument, SVGtoPDF, ColorSpace, SVGParser, SVGPath };
+export {
+  PDFDocument,
+  SVGtoPDF,
+  ColorSpace,
+  SVGParser,
+  SVGParseError,
+  SVGLimitError,
+  DEFAULT_LIMITS,
+  SVGPath,
+  SVGPathError,
+  StandardFont,
+  TrueTypeFont,
+  PDFImage,
+  PDFGradient,
+  PDFLinearGradient,
+  PDFRadialGradient,
+};
@@ -1,34 +1,201 @@
 import { PDFWriter } from "./pdf-writer.js";
 import { SVGtoPDF } from "./svg-to-pdf.js";
 import { ColorSpace } from "./color-space.js";
+import { drawPrinterMarks } from "./printer-marks.js";
+import { StandardFont } from "./standard-font.js";
+import { TrueTypeFont } from "./truetype-font.js";
+import { PDFImage } from "./pdf-image.js";
+import {
+  PDFGradient,
+  PDFLinearGradient,
+  PDFRadialGradient,
+} from "./pdf-gradient.js";
+import { parseCSSColor } from "./css-color.js";
+
+const DEFAULT_WIDTH = 595.28; // A4 width in points
+const DEFAULT_HEIGHT = 841.89; // A4 height in points
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+// The PDF initial graphics state for the settings the document tracks
+const DEFAULT_GSTATE = {
+  fillOpacity: 1,
+  strokeOpacity: 1,
+  lineCap: "butt",
+  lineJoin: "miter",
+  miterLimit: 10,
+  dash: "[] 0 d",
+};
 
 export class PDFDocument {
   constructor(options = {}) {
-    this.width = options.width || 595.28; // A4 width in points
-    this.height = options.height || 841.89; // A4 height in points
     this.colorSpace = new ColorSpace();
     this.writer = new PDFWriter();
     this.currentColor = { type: "rgb", r: 0, g: 0, b: 0 };
     this.currentStrokeColor = { type: "rgb", r: 0, g: 0, b: 0 };
     this.currentLineWidth = 1;
+    this.currentLineCap = "butt";
+    this.currentLineJoin = "miter";
+    this.currentMiterLimit = 10;
+    this.currentDash = { array: [], phase: 0 };
     this.currentOpacity = { fill: 1, stroke: 1 };
+    this.currentFont = null;
+    this.currentFontSize = 12;
     this.spotColors = new Map();
-    this.contentStream = [];
+    this._fonts = new Map(); // font name -> { font, resourceName }
+    this._images = new Map(); // image source -> { original, cmyk } names
+    this._patterns = new Map(); // pattern description -> resource name
+    this._softMask = null; // soft mask for the shape being painted
+    this._pathStart = null; // content stream index where the path began
+    this._groupStack = []; // drawing state saved by beginGroup()
+    // Document-wide resource registry, shared by all pages
     this.resources = {
       ColorSpace: {},
       Pattern: {},
       ExtGState: {},
+      Font: {},
+      XObject: {},
+    };
+    this.pages = [];
+    this._pageDefaults = {
+      width: options.width,
+      height: options.height,
+      trimWidth: options.trimWidth,
+      trimHeight: options.trimHeight,
+      bleed: options.bleed,
+      slug: options.slug,
+      cropBox: options.cropBox,
+      artBox: options.artBox,
+    };
+    this.addPage();
+  }
+
+  // Start a new page; drawing operations go to the most recently added page
+  addPage(options = {}) {
+    // A page size given here wins over the document's trim size, which
+    // would otherwise derive the page size
+    const defaults = { ...this._pageDefaults };
+    if (options.width !== undefined && options.trimWidth === undefined) {
+      delete defaults.trimWidth;
+    }
+    if (options.height !== undefined && options.trimHeight === undefined) {
+      delete defaults.trimHeight;
+    }
+    const geometry = this._resolvePageGeometry({ ...defaults, ...options });
+    const page = {
+      ...geometry,
+      contentStream: [],
+      // Names of the shared resources this page actually uses
+      resources: {
+        ColorSpace: new Set(),
+        Pattern: new Set(),
+        ExtGState: new Set(),
+        Font: new Set(),
+        XObject: new Set(),
+      },
     };
+    this.pages.push(page);
+
+    this.page = page;
+    this._target = page; // page or group receiving the drawing
+    this.width = page.width;
+    this.height = page.height;
+    this.trimBox = page.trimBox;
+    this.bleedBox = page.bleedBox;
+    this.contentStream = page.contentStream;
     this._ctm = [1, 0, 0, 1, 0, 0]; // Current transformation matrix
-    this._ctmStack = [];
+    this._groupCtm = [1, 0, 0, 1, 0, 0]; // CTM where the current group began
+    // Graphics state the content stream has set, so settings are only
+    // written when they change
+    this._gstate = { ...DEFAULT_GSTATE };
+    this._stateStack = [];
+    return this;
+  }
+
+  // Work out the page boxes. The MediaBox is the trim size plus bleed and
+  // slug (the area outside the bleed used for printer's marks) on each side.
+  // Without an explicit trim size, width/height give the MediaBox and the
+  // trim box is inset by bleed + slug.
+  _resolvePageGeometry(options) {
+    let bleed = Math.max(0, options.bleed || 0);
+    let slug = Math.max(0, options.slug || 0);
+    let offset = bleed + slug;
+
+    const resolve = (trim, media, fallback) =>
+      trim
+        ? { trim, media: trim + 2 * offset }
+        : { trim: (media || fallback) - 2 * offset, media: media || fallback };
+
+    let w = resolve(options.trimWidth, options.width, DEFAULT_WIDTH);
+    let h = resolve(options.trimHeight, options.height, DEFAULT_HEIGHT);
+
+    if (w.trim <= 0 || h.trim <= 0) {
+      console.warn(
+        `PDFDocument: bleed (${bleed}) and slug (${slug}) leave no trim area, ignoring them`
+      );
+      bleed = slug = offset = 0;
+      w = resolve(options.trimWidth, options.width, DEFAULT_WIDTH);
+      h = resolve(options.trimHeight, options.height, DEFAULT_HEIGHT);
+    }
+
+    const trimBox = { x: offset, y: offset, width: w.trim, height: h.trim };
+    const bleedBox = {
+      x: slug,
+      y: slug,
+      width: w.trim + 2 * bleed,
+      height: h.trim + 2 * bleed,
+    };
+
+    // cropBox/artBox accept `true` (crop to bleed, art = trim) or a box
+    let cropBox = null;
+    if (options.cropBox === true) {
+      cropBox = { ...bleedBox };
+    } else if (options.cropBox) {
+      cropBox = { ...options.cropBox };
+    }
+
+    let artBox = null;
+    if (options.artBox === true) {
+      artBox = { ...trimBox };
+    } else if (options.artBox) {
+      artBox = { ...options.artBox };
+    }
+
+    return {
+      width: w.media,
+      height: h.media,
+      bleed,
+      slug,
+      trimBox,
+      bleedBox,
+      cropBox,
+      artBox,
+    };
   }
 
   // SVG rendering using SVG-to-PDFKit approach
-  addSVG(svg, x, y, options = {}) {
+  addSVG(svg, x = 0, y = 0, options = {}) {
+    // Position relative to the trim or bleed box of the current page and
+    // fit the artwork to that box unless an explicit size is given
+    if (options.box === "trim" || options.box === "bleed") {
+      const box = options.box === "trim" ? this.trimBox : this.bleedBox;
+      x += box.x;
+      y += box.y;
+      options = { width: box.width, height: box.height, ...options };
+    }
+
     SVGtoPDF(this, svg, x, y, options);
     return this;
   }
 
+  // Crop marks, registration marks, color bars and page info outside the
+  // trim box of the current page
+  addPrinterMarks(options = {}) {
+    drawPrinterMarks(this, options);
+    return this;
+  }
+
   // Helper method to format numbers for PDF
   _formatNumber(num) {
     if (typeof num !== "number" || !isFinite(num)) {
@@ -41,6 +208,7 @@ export class PDFDocument {
 
   // Path drawing
   moveTo(x, y) {
+    this._beginPath();
     this.contentStream.push(
       `${this._formatNumber(x)} ${this._formatNumber(y)} m`
     );
@@ -79,8 +247,23 @@ export class PDFDocument {
     return this;
   }
 
+  // End the current path without painting it
+  endPath() {
+    this.contentStream.push("n");
+    this._endPaint();
+    return this;
+  }
+
+  // Intersect the clipping region with the current path, which is then
+  // ended without painting. The clip lasts until the enclosing restore().
+  clip(fillRule) {
+    this.contentStream.push(fillRule === "evenodd" ? "W*" : "W");
+    return this.endPath();
+  }
+
   // Rectangle drawing
   rect(x, y, width, height) {
+    this._beginPath();
     this.contentStream.push(
       `${this._formatNumber(x)} ${this._formatNumber(y)} ${this._formatNumber(
         width
@@ -122,26 +305,31 @@ export class PDFDocument {
   // Path operations
   fill(fillRule) {
     this._setFillColor();
-    this._setFillOpacity();
+    this._setFillOpacity(colorAlpha(this.currentColor));
     this.contentStream.push(fillRule === "evenodd" ? "f*" : "f");
+    this._endPaint();
     return this;
   }
 
   stroke() {
     this._setStrokeColor();
-    this._setStrokeOpacity();
+    this._setStrokeOpacity(colorAlpha(this.currentStrokeColor));
     this._setLineWidth();
+    this._setLineStyle();
     this.contentStream.push("S");
+    this._endPaint();
     return this;
   }
 
   fillAndStroke(fillRule) {
     this._setFillColor();
     this._setStrokeColor();
-    this._setFillOpacity();
-    this._setStrokeOpacity();
+    this._setFillOpacity(colorAlpha(this.currentColor));
+    this._setStrokeOpacity(colorAlpha(this.currentStrokeColor));
     this._setLineWidth();
+    this._setLineStyle();
     this.contentStream.push(fillRule === "evenodd" ? "B*" : "B");
+    this._endPaint();
     return this;
   }
 
@@ -151,6 +339,61 @@ export class PDFDocument {
     return this;
   }
 
+  // "butt", "round" or "square" ends of open lines and dashes
+  lineCap(cap) {
+    if (LINE_CAPS[cap] === undefined) {
+      console.warn(`Unknown line cap: ${cap}, using butt`);
+      cap = "butt";
+    }
+    this.currentLineCap = cap;
+    return this;
+  }
+
+  // "miter", "round" or "bevel" corners
+  lineJoin(join) {
+    if (LINE_JOINS[join] === undefined) {
+      console.warn(`Unknown line join: ${join}, using miter`);
+      join = "miter";
+    }
+    this.currentLineJoin = join;
+    return this;
+  }
+
+  // Miter joins longer than limit x line width are beveled instead
+  miterLimit(limit) {
+    this.currentMiterLimit = Math.max(1, limit);
+    return this;
+  }
+
+  // Dash strokes with alternating dash and gap lengths, starting `phase`
+  // into the pattern. An empty array, or one without a positive length,
+  // draws solid lines.
+  dash(array, phase = 0) {
+    if (typeof array === "number") {
+      array = [array];
+    }
+    if (
+      !Array.isArray(array) ||
+      array.some((length) => !(length >= 0)) ||
+      !array.some((length) => length > 0)
+    ) {
+      array = [];
+    }
+    // PDF needs a non-negative phase; wrap it into one period of the
+    // pattern, which odd-length arrays repeat twice
+    const period =
+      array.reduce((sum, length) => sum + length, 0) *
+      (array.length % 2 ? 2 : 1);
+    phase =
+      period && isFinite(phase) ? ((phase % period) + period) % period : 0;
+    this.currentDash = { array: [...array], phase };
+    return this;
+  }
+
+  undash() {
+    return this.dash([]);
+  }
+
   // Opacity
   fillOpacity(opacity) {
     this.currentOpacity.fill = opacity;
@@ -168,9 +411,251 @@ export class PDFDocument {
     return this;
   }
 
+  // Text
+  font(name, size) {
+    let entry = this._fonts.get(name);
+    if (!entry) {
+      if (!StandardFont.isStandardFont(name)) {
+        console.warn(`Unknown font: ${name}, using Helvetica`);
+        return this.font("Helvetica", size);
+      }
+      entry = this._registerFont(name, new StandardFont(name));
+    }
+
+    this.currentFont = entry;
+    if (size !== undefined) {
+      this.currentFontSize = size;
+    }
+    return this;
+  }
+
+  // Embed a TrueType font from a Buffer; only the glyphs used are written.
+  // Fonts with CFF outlines are not supported.
+  registerFont(name, data) {
+    this._registerFont(name, new TrueTypeFont(data));
+    return this;
+  }
+
+  fontSize(size) {
+    this.currentFontSize = size;
+    return this;
+  }
+
+  widthOfString(str, options = {}) {
+    const { font } = this._getCurrentFont();
+    const size = this.currentFontSize;
+    const characterSpacing = options.characterSpacing || 0;
+    const length = [...String(str)].length;
+    return font.widthOfString(String(str), size) + characterSpacing * length;
+  }
+
+  // Draw text with its baseline at y. Lines are split on "\n"; with
+  // `align`, x is the left edge, center or right edge of the line, or of a
+  // box `width` wide when given.
+  text(str, x, y, options = {}) {
+    const { font, resourceName } = this._getCurrentFont();
+    const size = this.currentFontSize;
+    const align = options.align || "left";
+    const characterSpacing = options.characterSpacing || 0;
+    const lineHeight =
+      options.lineHeight !== undefined ? options.lineHeight : size * 1.2;
+
+    this._beginPath();
+    this._useResource("Font", resourceName);
+    this._setFillColor();
+    this._setFillOpacity(colorAlpha(this.currentColor));
+
+    this.contentStream.push(
+      "BT",
+      `/${resourceName} ${this._formatNumber(size)} Tf`
+    );
+    if (characterSpacing) {
+      this.contentStream.push(`${this._formatNumber(characterSpacing)} Tc`);
+    }
+
+    String(str)
+      .split("\n")
+      .forEach((line, i) => {
+        const lineWidth = this.widthOfString(line, { characterSpacing });
+        let lineX = x;
+        if (options.width !== undefined) {
+          if (align === "center") {
+            lineX = x + (options.width - lineWidth) / 2;
+          } else if (align === "right") {
+            lineX = x + options.width - lineWidth;
+          }
+        } else if (align === "center") {
+          lineX = x - lineWidth / 2;
+        } else if (align === "right") {
+          lineX = x - lineWidth;
+        }
+
+        this.contentStream.push(
+          `1 0 0 1 ${this._formatNumber(lineX)} ${this._formatNumber(
+            y - i * lineHeight
+          )} Tm`,
+          `${font.toPDFString(font.encode(line))} Tj`
+        );
+      });
+
+    this.contentStream.push("ET");
+    this._endPaint();
+    return this;
+  }
+
+  // Gradients, usable with fillColor() and strokeColor()
+  linearGradient(x1, y1, x2, y2) {
+    return new PDFLinearGradient(this, x1, y1, x2, y2);
+  }
+
+  // Radial gradient from the circle (x1, y1, r1) to the circle (x2, y2, r2)
+  radialGradient(x1, y1, r1, x2, y2, r2) {
+    return new PDFRadialGradient(this, x1, y1, r1, x2, y2, r2);
+  }
+
+  // Images
+
+  // Draw a JPEG or PNG image (Buffer, Uint8Array or data: URI) with its
+  // bottom-left corner at x, y. Without a size the image is drawn at one
+  // point per pixel; with only one of width/height the other keeps the
+  // aspect ratio. `cmyk` converts RGB images to DeviceCMYK.
+  image(source, x = 0, y = 0, options = {}) {
+    const name = this._getImage(source, options.cmyk);
+    const image = this.resources.XObject[name];
+
+    let { width, height } = options;
+    if (width === undefined && height === undefined) {
+      width = image.width;
+      height = image.height;
+    } else if (width === undefined) {
+      width = (height * image.width) / image.height;
+    } else if (height === undefined) {
+      height = (width * image.height) / image.width;
+    }
+
+    this._useResource("XObject", name);
+    this._setFillOpacity();
+    this.save();
+    this.transform(width, 0, 0, height, x, y);
+    this.contentStream.push(`/${name} Do`);
+    this.restore();
+    return this;
+  }
+
+  // Transparency groups
+
+  // Draw into a new transparency group (a form XObject) until endGroup().
+  // The group uses the current coordinate system and is clipped to `bbox`
+  // ({ x, y, width, height }, default the page); it can be painted with
+  // drawGroup() or used as a mask with softMask().
+  beginGroup(bbox) {
+    const group = {
+      type: "form",
+      bbox: bbox
+        ? [bbox.x, bbox.y, bbox.x + bbox.width, bbox.y + bbox.height]
+        : this._pageBounds(),
+      contentStream: [],
+      resources: {
+        ColorSpace: new Set(),
+        Pattern: new Set(),
+        ExtGState: new Set(),
+        Font: new Set(),
+        XObject: new Set(),
+      },
+    };
+    this._groupStack.push({
+      target: this._target,
+      contentStream: this.contentStream,
+      ctm: [...this._ctm],
+      groupCtm: this._groupCtm,
+      gstate: this._gstate,
+      stateStack: this._stateStack,
+    });
+    this._target = group;
+    this._groupCtm = [...this._ctm];
+    this.contentStream = group.contentStream;
+    // A group starts from the graphics state it is painted in
+    this._gstate = {};
+    this._stateStack = [];
+    return this;
+  }
+
+  // Finish the current group and return its resource name
+  endGroup() {
+    const state = this._groupStack.pop();
+    if (!state) {
+      throw new Error("endGroup() called without beginGroup()");
+    }
+    const group = this._target;
+    this._target = state.target;
+    this.contentStream = state.contentStream;
+    this._ctm = state.ctm;
+    this._groupCtm = state.groupCtm;
+    this._gstate = state.gstate;
+    this._stateStack = state.stateStack;
+
+    const name = `Fm${Object.keys(this.resources.XObject).length + 1}`;
+    this.resources.XObject[name] = group;
+    return name;
+  }
+
+  // Paint a group in the current coordinate system
+  drawGroup(name) {
+    this._useResource("XObject", name);
+    this._setFillOpacity();
+    this.contentStream.push(`/${name} Do`);
+    return this;
+  }
+
+  // Mask everything painted until the enclosing restore() with a group:
+  // "luminosity" uses its brightness as opacity, "alpha" its own opacity.
+  // Areas the group does not paint are fully masked.
+  softMask(name, type = "luminosity") {
+    const subtype = type === "alpha" ? "Alpha" : "Luminosity";
+    const group = this.resources.XObject[name];
+    if (!group || group.type !== "form") {
+      console.warn(`Unknown group for soft mask: ${name}`);
+      return this;
+    }
+    group.softMask = true;
+
+    const gsName = `${name}_${subtype}`;
+    if (!this.resources.ExtGState[gsName]) {
+      this.resources.ExtGState[gsName] = {
+        SMask: { group: name, type: subtype },
+      };
+    }
+    this._useResource("ExtGState", gsName);
+    this.contentStream.push(`/${gsName} gs`);
+    return this;
+  }
+
+  // The page rectangle in the current user space
+  _pageBounds() {
+    const [a, b, c, d, e, f] = this._ctm;
+    const det = a * d - b * c;
+    if (Math.abs(det) < 1e-12) {
+      return [0, 0, 0, 0];
+    }
+    const corners = [
+      [0, 0],
+      [this.width, 0],
+      [0, this.height],
+      [this.width, this.height],
+    ].map(([x, y]) => [
+      (d * (x - e) - c * (y - f)) / det,
+      (a * (y - f) - b * (x - e)) / det,
+    ]);
+    const xs = corners.map((p) => p[0]);
+    const ys = corners.map((p) => p[1]);
+    return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  }
+
   // Color methods
   fillColor(r, g, b) {
-    if (typeof r === "string") {
+    if (r instanceof PDFGradient) {
+      this.currentColor = { type: "gradient", gradient: r };
+    } else if (typeof r === "string") {
       const color = this._parseColor(r);
       this.currentColor = color;
     } else {
@@ -180,7 +665,9 @@ export class PDFDocument {
   }
 
   strokeColor(r, g, b) {
-    if (typeof r === "string") {
+    if (r instanceof PDFGradient) {
+      this.currentStrokeColor = { type: "gradient", gradient: r };
+    } else if (typeof r === "string") {
       const color = this._parseColor(r);
       this.currentStrokeColor = color;
     } else {
@@ -318,17 +805,60 @@ export class PDFDocument {
     return this;
   }
 
+  // Registration color prints on every plate, including spot color plates
+  fillRegistrationColor(tint = 1.0) {
+    this.currentColor = this._registrationColor(tint);
+    return this;
+  }
+
+  strokeRegistrationColor(tint = 1.0) {
+    this.currentStrokeColor = this._registrationColor(tint);
+    return this;
+  }
+
   // Transformation methods
+  // Snapshot of the drawing state, so drawing that fails part way can be
+  // undone with _rollback(). Resources it registered stay in the document.
+  _checkpoint() {
+    return {
+      groupDepth: this._groupStack.length,
+      contentLength: this.contentStream.length,
+      stateDepth: this._stateStack.length,
+      ctm: [...this._ctm],
+      gstate: this._gstate,
+      opacity: { ...this.currentOpacity },
+    };
+  }
+
+  // Drop the drawing since a checkpoint, closing groups begun after it
+  _rollback(checkpoint) {
+    while (this._groupStack.length > checkpoint.groupDepth) {
+      const state = this._groupStack.pop();
+      this._target = state.target;
+      this.contentStream = state.contentStream;
+      this._groupCtm = state.groupCtm;
+      this._stateStack = state.stateStack;
+    }
+    this.contentStream.length = checkpoint.contentLength;
+    this._stateStack.length = checkpoint.stateDepth;
+    this._ctm = checkpoint.ctm;
+    this._gstate = checkpoint.gstate;
+    this.currentOpacity = checkpoint.opacity;
+    return this;
+  }
+
   save() {
     this.contentStream.push("q");
-    this._ctmStack.push([...this._ctm]);
+    this._stateStack.push({ ctm: [...this._ctm], gstate: this._gstate });
     return this;
   }
 
   restore() {
     this.contentStream.push("Q");
-    if (this._ctmStack.length > 0) {
-      this._ctm = this._ctmStack.pop();
+    if (this._stateStack.length > 0) {
+      const state = this._stateStack.pop();
+      this._ctm = state.ctm;
+      this._gstate = state.gstate;
     }
     return this;
   }
@@ -398,23 +928,117 @@ export class PDFDocument {
     this.contentStream.push(`${this._formatNumber(this.currentLineWidth)} w`);
   }
 
-  _setFillOpacity() {
-    if (this.currentOpacity.fill < 1) {
-      const gsName = this._getOpacityGState("fill", this.currentOpacity.fill);
+  // Opacity, like the line style, is only written when it differs from
+  // what the content stream set, so a later opaque shape does not inherit
+  // a translucent one
+  _setLineStyle() {
+    const dash = `[${this.currentDash.array
+      .map((length) => this._formatNumber(length))
+      .join(" ")}] ${this._formatNumber(this.currentDash.phase)} d`;
+    const operators = [
+      ["lineCap", this.currentLineCap, `${LINE_CAPS[this.currentLineCap]} J`],
+      [
+        "lineJoin",
+        this.currentLineJoin,
+        `${LINE_JOINS[this.currentLineJoin]} j`,
+      ],
+      [
+        "miterLimit",
+        this.currentMiterLimit,
+        `${this._formatNumber(this.currentMiterLimit)} M`,
+      ],
+      ["dash", dash, dash],
+    ];
+    for (const [key, value, operator] of operators) {
+      if (this._gstate[key] !== value) {
+        this.contentStream.push(operator);
+        this._gstate = { ...this._gstate, [key]: value };
+      }
+    }
+  }
+
+  _setFillOpacity(alpha = 1) {
+    const opacity = this.currentOpacity.fill * alpha;
+    if (this._gstate.fillOpacity !== opacity) {
+      const gsName = this._getOpacityGState("fill", opacity);
       this.contentStream.push(`/${gsName} gs`);
+      this._gstate = { ...this._gstate, fillOpacity: opacity };
     }
   }
 
-  _setStrokeOpacity() {
-    if (this.currentOpacity.stroke < 1) {
-      const gsName = this._getOpacityGState(
-        "stroke",
-        this.currentOpacity.stroke
-      );
+  _setStrokeOpacity(alpha = 1) {
+    const opacity = this.currentOpacity.stroke * alpha;
+    if (this._gstate.strokeOpacity !== opacity) {
+      const gsName = this._getOpacityGState("stroke", opacity);
       this.contentStream.push(`/${gsName} gs`);
+      this._gstate = { ...this._gstate, strokeOpacity: opacity };
     }
   }
 
+  // Gradients become shading patterns positioned for the current
+  // transformation; translucent stops add a soft mask
+  _setGradient(gradient, type) {
+    const embedded = gradient.embed(
+      this._ctm,
+      this.width,
+      this.height,
+      this._groupCtm
+    );
+    if (!embedded) {
+      console.warn("Gradient transform is not invertible, skipping");
+      return;
+    }
+
+    // Shapes sharing a gradient and transformation share the pattern
+    const key = JSON.stringify(embedded);
+    let patternName = this._patterns.get(key);
+    if (!patternName) {
+      patternName = `P${Object.keys(this.resources.Pattern).length + 1}`;
+      this.resources.Pattern[patternName] = embedded.pattern;
+      if (embedded.mask) {
+        this.resources.ExtGState[`${patternName}_mask`] = {
+          SMask: embedded.mask,
+        };
+      }
+      this._patterns.set(key, patternName);
+    }
+    this._useResource("Pattern", patternName);
+    this.contentStream.push(
+      `/Pattern ${type === "fill" ? "cs" : "CS"}`,
+      `/${patternName} ${type === "fill" ? "scn" : "SCN"}`
+    );
+
+    if (embedded.mask) {
+      this._softMask = `${patternName}_mask`;
+      this._useResource("ExtGState", this._softMask);
+    }
+  }
+
+  _beginPath() {
+    if (this._pathStart === null) {
+      this._pathStart = this.contentStream.length;
+    }
+  }
+
+  // A gradient soft mask only applies to the shape painted with it, and
+  // cannot be set inside a path, so the shape is wrapped in q/Q with the
+  // mask set before the path begins
+  _endPaint() {
+    if (this._softMask) {
+      this.contentStream.splice(
+        this._pathStart,
+        0,
+        "q",
+        `/${this._softMask} gs`
+      );
+      this.contentStream.push("Q");
+      this._softMask = null;
+      // Settings made for the shape end with the Q
+      this._gstate = {};
+    }
+    this._pathStart = null;
+  }
+
   _getOpacityGState(type, value) {
     const key = `${type}_${value}`;
     if (!this.resources.ExtGState[key]) {
@@ -422,14 +1046,25 @@ export class PDFDocument {
         [type === "fill" ? "ca" : "CA"]: value,
       };
     }
+    this._useResource("ExtGState", key);
     return key;
   }
 
+  // Mark a shared resource as used by the current page or group
+  _useResource(category, name) {
+    const resources = this._target.resources;
+    if (!resources[category]) {
+      resources[category] = new Set();
+    }
+    resources[category].add(name);
+  }
+
   _ensureLabColorSpace() {
     // Check if we already have a LAB color space
     for (const [name, cs] of Object.entries(this.resources.ColorSpace)) {
       if (cs.type === "Lab" && !cs.name) {
         // Generic LAB space, not a spot color
+        this._useResource("ColorSpace", name);
         return name;
       }
     }
@@ -443,10 +1078,70 @@ export class PDFDocument {
       whitePoint: [0.95047, 1.0, 1.08883], // D65 white point
       range: [0, 100, -128, 127, -128, 127], // L*, a*, and b* ranges
     };
+    this._useResource("ColorSpace", colorSpaceName);
 
     return colorSpaceName;
   }
 
+  _registrationColor(tint) {
+    // The registration color space is a Separation named "All", which is
+    // kept out of spotColors so it is never mistaken for a real ink
+    if (!this._registrationSpot) {
+      const colorSpaceName = `CS${
+        Object.keys(this.resources.ColorSpace).length + 1
+      }`;
+      this.resources.ColorSpace[colorSpaceName] = {
+        type: "Separation",
+        name: "All",
+        alternateSpace: "DeviceCMYK",
+        tintTransform: { c: 1, m: 1, y: 1, k: 1 },
+      };
+      this._registrationSpot = { name: "All", resourceName: colorSpaceName };
+    }
+    return {
+      type: "spot",
+      name: "All",
+      tint,
+      spotColor: this._registrationSpot,
+    };
+  }
+
+  _registerFont(name, font) {
+    const resourceName = `F${Object.keys(this.resources.Font).length + 1}`;
+    this.resources.Font[resourceName] = font;
+    const entry = { font, resourceName };
+    this._fonts.set(name, entry);
+    return entry;
+  }
+
+  // The same image data drawn several times is embedded once per color
+  // conversion
+  _getImage(source, cmyk = false) {
+    const key = cmyk ? "cmyk" : "original";
+    let names = this._images.get(source);
+    if (!names) {
+      names = {};
+      this._images.set(source, names);
+    }
+
+    if (!names[key]) {
+      const image = PDFImage.open(source);
+      if (cmyk) {
+        image.toCMYK(this.colorSpace);
+      }
+      names[key] = `Im${Object.keys(this.resources.XObject).length + 1}`;
+      this.resources.XObject[names[key]] = image;
+    }
+    return names[key];
+  }
+
+  _getCurrentFont() {
+    if (!this.currentFont) {
+      this.font("Helvetica");
+    }
+    return this.currentFont;
+  }
+
   _setColor(color, type) {
     switch (color.type) {
       case "rgb":
@@ -478,8 +1173,12 @@ export class PDFDocument {
           }`
         );
         break;
+      case "gradient":
+        this._setGradient(color.gradient, type);
+        break;
       case "spot":
         const resourceName = color.spotColor.resourceName;
+        this._useResource("ColorSpace", resourceName);
         this.contentStream.push(
           `/${resourceName} ${type === "fill" ? "cs" : "CS"}`,
           `${this._formatNumber(color.tint)} ${type === "fill" ? "scn" : "SCN"}`
@@ -488,43 +1187,19 @@ export class PDFDocument {
     }
   }
 
+  // CSS color strings; alpha is kept with the color and multiplies the
+  // fill or stroke opacity when painting
   _parseColor(colorStr) {
-    // Handle hex colors
-    if (colorStr.startsWith("#")) {
-      const hex = colorStr.slice(1);
-      const r = parseInt(hex.substr(0, 2), 16) / 255;
-      const g = parseInt(hex.substr(2, 2), 16) / 255;
-      const b = parseInt(hex.substr(4, 2), 16) / 255;
-      return { type: "rgb", r, g, b };
-    }
-
-    // Handle rgb() colors
-    const rgbMatch = colorStr.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-    if (rgbMatch) {
-      return {
-        type: "rgb",
-        r: parseInt(rgbMatch[1]) / 255,
-        g: parseInt(rgbMatch[2]) / 255,
-        b: parseInt(rgbMatch[3]) / 255,
-      };
+    const color = parseCSSColor(colorStr);
+    if (!color) {
+      console.warn(`Unknown color: ${colorStr}, using black`);
+      return { type: "rgb", r: 0, g: 0, b: 0, alpha: 1 };
     }
-
-    // Handle named colors
-    const namedColors = {
-      red: { r: 1, g: 0, b: 0 },
-      green: { r: 0, g: 1, b: 0 },
-      blue: { r: 0, g: 0, b: 1 },
-      black: { r: 0, g: 0, b: 0 },
-      white: { r: 1, g: 1, b: 1 },
-      yellow: { r: 1, g: 1, b: 0 },
-      cyan: { r: 0, g: 1, b: 1 },
-      magenta: { r: 1, g: 0, b: 1 },
-    };
-
-    if (namedColors[colorStr]) {
-      return { type: "rgb", ...namedColors[colorStr] };
-    }
-
-    return { type: "rgb", r: 0, g: 0, b: 0 };
+    return { type: "rgb", ...color };
   }
 }
+
+// Alpha of a color parsed from a CSS string; other colors are opaque
+function colorAlpha(color) {
+  return color.alpha === undefined ? 1 : color.alpha;
+}
@@ -0,0 +1,360 @@
+import { applyMatrix, invertMatrix, multiplyMatrix } from "./svg-geometry.js";
+
+// Repeating gradients are emulated by repeating the stop function; this
+// caps how many periods are written for very small gradients
+const MAX_PERIODS = 256;
+
+// A gradient usable as a fill or stroke color. Coordinates are in the user
+// space current when the gradient is painted, after the gradient's own
+// transform.
+export class PDFGradient {
+  constructor(doc) {
+    this.doc = doc;
+    this.stops = [];
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.spreadMethod = "pad";
+  }
+
+  // Add a color stop. `color` is a color string, [r, g, b] (0-255),
+  // [c, m, y, k] or { c, m, y, k } (0-100), { L, a, b }, or
+  // { spot, tint } for a defined spot color. The alpha of a color string
+  // multiplies `opacity`.
+  stop(offset, color, opacity = 1) {
+    const { alpha = 1, ...parsed } = this.parseStopColor(color);
+
+    // Offsets are clamped and never decrease, as in SVG
+    const previous = this.stops.length
+      ? this.stops[this.stops.length - 1].offset
+      : 0;
+    this.stops.push({
+      offset: Math.max(previous, Math.min(1, Math.max(0, offset))),
+      color: parsed,
+      opacity: Math.min(1, Math.max(0, opacity * alpha)),
+    });
+    return this;
+  }
+
+  parseStopColor(color) {
+    if (typeof color === "string") {
+      return this.doc._parseColor(color);
+    }
+    if (Array.isArray(color)) {
+      if (color.length === 4) {
+        return this.parseStopColor({
+          c: color[0],
+          m: color[1],
+          y: color[2],
+          k: color[3],
+        });
+      }
+      return {
+        type: "rgb",
+        r: color[0] / 255,
+        g: color[1] / 255,
+        b: color[2] / 255,
+      };
+    }
+    if (color && color.spot !== undefined) {
+      const spotColor = this.doc.spotColors.get(color.spot);
+      if (spotColor) {
+        const tint = color.tint !== undefined ? color.tint : 1;
+        return { type: "spot", name: color.spot, tint, spotColor };
+      }
+      console.warn(`Unknown spot color in gradient: ${color.spot}`);
+    } else if (color && color.c !== undefined) {
+      return {
+        type: "cmyk",
+        c: color.c / 100,
+        m: color.m / 100,
+        y: color.y / 100,
+        k: color.k / 100,
+      };
+    } else if (color && color.L !== undefined) {
+      return { type: "lab", L: color.L, a: color.a, b: color.b };
+    }
+    return { type: "rgb", r: 0, g: 0, b: 0 };
+  }
+
+  // Concatenate a transform, applied to the gradient before earlier ones
+  transform(a, b, c, d, e, f) {
+    this.matrix = multiplyMatrix([a, b, c, d, e, f], this.matrix);
+    return this;
+  }
+
+  // "pad", "reflect" or "repeat" beyond the ends of the gradient
+  spread(method) {
+    if (!["pad", "reflect", "repeat"].includes(method)) {
+      console.warn(`Unknown gradient spread method: ${method}, using pad`);
+      method = "pad";
+    }
+    this.spreadMethod = method;
+    return this;
+  }
+
+  hasOpacity() {
+    return this.stops.some((stop) => stop.opacity < 1);
+  }
+
+  // Describe the shading pattern for painting under `ctm` on a page of the
+  // given size. Inside a group, patterns are positioned relative to
+  // `groupCtm`, where the group's coordinate system begins. Returns the
+  // pattern and, when stops are translucent, the soft mask that carries
+  // their opacity.
+  embed(ctm, pageWidth, pageHeight, groupCtm = [1, 0, 0, 1, 0, 0]) {
+    const matrix = multiplyMatrix(this.matrix, ctm);
+    const inverse = invertMatrix(matrix);
+    if (!inverse) {
+      return null;
+    }
+
+    // The page corners in gradient space bound how far a repeating
+    // gradient has to reach
+    const corners = [
+      [0, 0],
+      [pageWidth, 0],
+      [0, pageHeight],
+      [pageWidth, pageHeight],
+    ].map(([x, y]) => applyMatrix(inverse, x, y));
+
+    let geometry;
+    let stops = this.normalizedStops();
+    if (this.isDegenerate()) {
+      // As SVG requires, a gradient without extent paints the color and
+      // opacity of its last stop
+      const last = stops[stops.length - 1];
+      geometry = { shadingType: 2, coords: [0, 0, 1, 0], domain: [0, 1] };
+      stops = [
+        { ...last, offset: 0 },
+        { ...last, offset: 1 },
+      ];
+    } else {
+      geometry = this.geometry(corners);
+    }
+
+    const pattern = {
+      matrix: multiplyMatrix(matrix, invertMatrix(groupCtm) || groupCtm),
+      shading: {
+        ...geometry,
+        ...this.shadingColors(stops.map((stop) => stop.color)),
+        offsets: stops.map((stop) => stop.offset),
+        spread: this.spreadMethod,
+      },
+    };
+
+    let mask = null;
+    if (this.hasOpacity()) {
+      // The mask is drawn in the user space current when it is applied, so
+      // its bounds are the page corners in that space
+      const userCorners = [
+        [0, 0],
+        [pageWidth, 0],
+        [0, pageHeight],
+        [pageWidth, pageHeight],
+      ].map(([x, y]) => applyMatrix(invertMatrix(ctm), x, y));
+      const xs = userCorners.map((p) => p[0]);
+      const ys = userCorners.map((p) => p[1]);
+
+      mask = {
+        matrix: this.matrix,
+        bbox: [
+          Math.min(...xs),
+          Math.min(...ys),
+          Math.max(...xs),
+          Math.max(...ys),
+        ],
+        shading: {
+          ...pattern.shading,
+          colorSpace: "DeviceGray",
+          components: stops.map((stop) => [stop.opacity]),
+        },
+      };
+    }
+
+    return { pattern, mask };
+  }
+
+  // Choose one color space for all stops. A single spot color, with white
+  // stops as its 0% tint, shades in the spot's Separation space so it
+  // separates onto one plate; Lab and RGB stops keep their space, and any
+  // other mix is converted to CMYK.
+  shadingColors(colors) {
+    const spotColors = new Set(
+      colors
+        .filter((color) => color.type === "spot")
+        .map((color) => color.spotColor)
+    );
+    if (
+      spotColors.size === 1 &&
+      colors.every((color) => color.type === "spot" || isWhite(color))
+    ) {
+      const [spotColor] = spotColors;
+      return {
+        colorSpace: { separation: spotColor.resourceName },
+        components: colors.map((color) => [
+          color.type === "spot" ? color.tint : 0,
+        ]),
+      };
+    }
+
+    if (colors.every((color) => color.type === "lab")) {
+      return {
+        colorSpace: "Lab",
+        components: colors.map((color) => [color.L, color.a, color.b]),
+      };
+    }
+
+    if (colors.every((color) => color.type === "rgb")) {
+      return {
+        colorSpace: "DeviceRGB",
+        components: colors.map((color) => [color.r, color.g, color.b]),
+      };
+    }
+
+    return {
+      colorSpace: "DeviceCMYK",
+      components: colors.map((color) => {
+        const { c, m, y, k } = this.toCMYK(color);
+        return [c, m, y, k];
+      }),
+    };
+  }
+
+  toCMYK(color) {
+    const colorSpace = this.doc.colorSpace;
+    switch (color.type) {
+      case "cmyk":
+        return color;
+      case "rgb":
+        return colorSpace.rgbToCMYK(color.r, color.g, color.b);
+      case "lab": {
+        const rgb = colorSpace.labToRgb(color.L, color.a, color.b);
+        return colorSpace.rgbToCMYK(rgb.r, rgb.g, rgb.b);
+      }
+      case "spot": {
+        const { fallback } = color.spotColor;
+        if (color.spotColor.type === "lab") {
+          // Lab spot tints run from white to the full color
+          return this.toCMYK({
+            type: "lab",
+            L: 100 + (fallback.L - 100) * color.tint,
+            a: fallback.a * color.tint,
+            b: fallback.b * color.tint,
+          });
+        }
+        return {
+          c: fallback.c * color.tint,
+          m: fallback.m * color.tint,
+          y: fallback.y * color.tint,
+          k: fallback.k * color.tint,
+        };
+      }
+    }
+    return { c: 0, m: 0, y: 0, k: 1 };
+  }
+
+  // First stop at 0 and last at 1, so the stop function covers [0, 1]
+  normalizedStops() {
+    const stops = this.stops.length
+      ? [...this.stops]
+      : [{ offset: 0, color: { type: "rgb", r: 0, g: 0, b: 0 }, opacity: 1 }];
+    if (stops[0].offset > 0) {
+      stops.unshift({ ...stops[0], offset: 0 });
+    }
+    if (stops[stops.length - 1].offset < 1) {
+      stops.push({ ...stops[stops.length - 1], offset: 1 });
+    }
+    return stops;
+  }
+
+  // Range of gradient parameters (whole periods) covering the points
+  periodRange(values) {
+    if (this.spreadMethod === "pad") {
+      return [0, 1];
+    }
+    let start = Math.min(0, Math.floor(Math.min(...values)));
+    let end = Math.max(1, Math.ceil(Math.max(...values)));
+    if (end - start > MAX_PERIODS) {
+      start = Math.max(start, -MAX_PERIODS / 2);
+      end = start + MAX_PERIODS;
+    }
+    return [start, end];
+  }
+}
+
+export class PDFLinearGradient extends PDFGradient {
+  constructor(doc, x1, y1, x2, y2) {
+    super(doc);
+    this.coords = [x1, y1, x2, y2];
+  }
+
+  // A zero-length gradient vector
+  isDegenerate() {
+    const [x1, y1, x2, y2] = this.coords;
+    return x1 === x2 && y1 === y2;
+  }
+
+  geometry(corners) {
+    const [x1, y1, x2, y2] = this.coords;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = dx * dx + dy * dy || 1;
+
+    // Project the corners onto the gradient vector
+    const [t0, t1] = this.periodRange(
+      corners.map(([x, y]) => ((x - x1) * dx + (y - y1) * dy) / length)
+    );
+    return {
+      shadingType: 2,
+      coords: [x1 + t0 * dx, y1 + t0 * dy, x1 + t1 * dx, y1 + t1 * dy],
+      domain: [t0, t1],
+    };
+  }
+}
+
+export class PDFRadialGradient extends PDFGradient {
+  // The gradient runs from the circle (x1, y1, r1) to (x2, y2, r2)
+  constructor(doc, x1, y1, r1, x2, y2, r2) {
+    super(doc);
+    this.coords = [x1, y1, r1, x2, y2, r2];
+  }
+
+  // An end circle of zero radius
+  isDegenerate() {
+    return this.coords[5] <= 0;
+  }
+
+  geometry(corners) {
+    const [x1, y1, r1, x2, y2, r2] = this.coords;
+    // Circle t has center c1 + t(c2 - c1) and radius r1 + t(r2 - r1); a
+    // point is inside it once (r2 - r1 - |c2 - c1|) t >= |p - c1| - r1
+    const growth = r2 - r1 - Math.hypot(x2 - x1, y2 - y1);
+    const reach = corners.map(([x, y]) =>
+      growth > 0 ? (Math.hypot(x - x1, y - y1) - r1) / growth : 1
+    );
+    const [, t1] = this.periodRange(reach);
+    return {
+      shadingType: 3,
+      coords: [
+        x1,
+        y1,
+        r1,
+        x1 + t1 * (x2 - x1),
+        y1 + t1 * (y2 - y1),
+        r1 + t1 * (r2 - r1),
+      ],
+      domain: [0, t1],
+    };
+  }
+}
+
+function isWhite(color) {
+  switch (color.type) {
+    case "rgb":
+      return color.r === 1 && color.g === 1 && color.b === 1;
+    case "cmyk":
+      return color.c === 0 && color.m === 0 && color.y === 0 && color.k === 0;
+    case "lab":
+      return color.L === 100 && color.a === 0 && color.b === 0;
+  }
+  return false;
+}
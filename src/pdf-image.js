@@ -0,0 +1,450 @@
+import pako from "pako";
+
+// JPEG start-of-frame markers that carry the image dimensions
+const SOF_MARKERS = [
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+];
+
+// PNG color types
+const PNG_GRAY = 0;
+const PNG_RGB = 2;
+const PNG_PALETTE = 3;
+const PNG_GRAY_ALPHA = 4;
+const PNG_RGBA = 6;
+
+// Largest PNG decoded, in pixels, so a small file cannot claim dimensions
+// that fill memory
+const MAX_PNG_PIXELS = 8192 * 8192;
+
+// Adam7 interlace passes: x start, y start, x step, y step
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+export class PDFImage {
+  // Create a JPEG or PNG image from a Buffer, Uint8Array or data: URI
+  static open(source) {
+    const data =
+      typeof source === "string" ? decodeDataURI(source) : toUint8Array(source);
+
+    if (data[0] === 0xff && data[1] === 0xd8) {
+      return new JPEGImage(data);
+    }
+    if (
+      data[0] === 0x89 &&
+      data[1] === 0x50 &&
+      data[2] === 0x4e &&
+      data[3] === 0x47
+    ) {
+      return new PNGImage(data);
+    }
+    throw new Error("PDFImage: unsupported image format, expected JPEG or PNG");
+  }
+}
+
+export class JPEGImage {
+  constructor(data) {
+    this.type = "jpeg";
+    this.data = data;
+    this.parse();
+  }
+
+  parse() {
+    const data = this.data;
+    let pos = 2;
+    while (pos < data.length) {
+      // Skip fill bytes before the marker
+      while (data[pos] === 0xff && data[pos + 1] === 0xff) pos++;
+      if (data[pos] !== 0xff) break;
+
+      const marker = data[pos + 1];
+      const length = (data[pos + 2] << 8) | data[pos + 3];
+
+      // Adobe APP14 segment; Photoshop writes CMYK JPEGs with it and
+      // stores their samples inverted
+      if (
+        marker === 0xee &&
+        String.fromCharCode(...data.subarray(pos + 4, pos + 9)) === "Adobe"
+      ) {
+        this.adobe = true;
+      }
+
+      if (SOF_MARKERS.includes(marker)) {
+        this.bitsPerComponent = data[pos + 4];
+        this.height = (data[pos + 5] << 8) | data[pos + 6];
+        this.width = (data[pos + 7] << 8) | data[pos + 8];
+        this.components = data[pos + 9];
+        this.colorSpace = {
+          1: "DeviceGray",
+          3: "DeviceRGB",
+          4: "DeviceCMYK",
+        }[this.components];
+        if (!this.colorSpace) {
+          throw new Error(
+            `JPEGImage: unsupported number of components (${this.components})`
+          );
+        }
+        if (this.components === 4 && this.adobe) {
+          this.decodeArray = [1, 0, 1, 0, 1, 0, 1, 0];
+        }
+        return;
+      }
+      pos += 2 + length;
+    }
+    throw new Error("JPEGImage: no frame header found");
+  }
+
+  // JPEG samples cannot be converted without re-encoding the image, so an
+  // RGB JPEG throws rather than end up in a CMYK document as RGB
+  toCMYK() {
+    if (this.colorSpace === "DeviceRGB") {
+      throw new Error(
+        "JPEGImage: RGB JPEGs cannot be converted to CMYK, convert the image before embedding it"
+      );
+    }
+    return this;
+  }
+}
+
+export class PNGImage {
+  constructor(data) {
+    this.type = "png";
+    this.parseChunks(data);
+    if (
+      !(this.width > 0 && this.height > 0) ||
+      this.width * this.height > MAX_PNG_PIXELS
+    ) {
+      throw new Error(
+        `PNGImage: unsupported image size ${this.width}x${this.height}`
+      );
+    }
+
+    const channels = {
+      [PNG_GRAY]: 1,
+      [PNG_RGB]: 3,
+      [PNG_PALETTE]: 1,
+      [PNG_GRAY_ALPHA]: 2,
+      [PNG_RGBA]: 4,
+    }[this.colorType];
+    if (!channels) {
+      throw new Error(`PNGImage: unknown color type ${this.colorType}`);
+    }
+    this.channels = channels;
+
+    // Plain 8-bit-or-less images without transparency can be embedded
+    // as-is, letting the PDF viewer undo the PNG row filters
+    const passthrough =
+      this.bitDepth <= 8 &&
+      this.interlace === 0 &&
+      !this.transparency &&
+      this.colorType !== PNG_GRAY_ALPHA &&
+      this.colorType !== PNG_RGBA;
+
+    if (passthrough) {
+      this.colorSpace =
+        this.colorType === PNG_RGB
+          ? "DeviceRGB"
+          : this.colorType === PNG_GRAY
+          ? "DeviceGray"
+          : "Indexed";
+      this.bitsPerComponent = this.bitDepth;
+      this.decodeParms = {
+        Predictor: 15,
+        Colors: this.colorType === PNG_RGB ? 3 : 1,
+        BitsPerComponent: this.bitDepth,
+        Columns: this.width,
+      };
+      this.data = this.idat;
+      this.compressed = true;
+    } else {
+      this.decode();
+    }
+  }
+
+  parseChunks(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const idat = [];
+    let pos = 8;
+
+    while (pos < data.length) {
+      const length = view.getUint32(pos);
+      const type = String.fromCharCode(...data.subarray(pos + 4, pos + 8));
+      const chunk = data.subarray(pos + 8, pos + 8 + length);
+
+      switch (type) {
+        case "IHDR":
+          this.width = view.getUint32(pos + 8);
+          this.height = view.getUint32(pos + 12);
+          this.bitDepth = chunk[8];
+          this.colorType = chunk[9];
+          this.interlace = chunk[12];
+          break;
+        case "PLTE":
+          this.palette = chunk;
+          break;
+        case "tRNS":
+          this.transparency = chunk;
+          break;
+        case "IDAT":
+          idat.push(chunk);
+          break;
+      }
+
+      if (type === "IEND") break;
+      pos += 12 + length;
+    }
+
+    this.idat = concat(idat);
+  }
+
+  // Decode to 8-bit gray or RGB samples plus an optional 8-bit alpha channel
+  decode() {
+    const pixels = this.decodePixels();
+    const count = this.width * this.height;
+    const palette = this.colorType === PNG_PALETTE;
+    const colors =
+      this.colorType === PNG_RGB || this.colorType === PNG_RGBA || palette
+        ? 3
+        : 1;
+    const hasAlpha =
+      this.colorType === PNG_GRAY_ALPHA ||
+      this.colorType === PNG_RGBA ||
+      Boolean(this.transparency);
+
+    const color = new Uint8Array(count * colors);
+    const alpha = hasAlpha ? new Uint8Array(count) : null;
+    const maxSample = (1 << this.bitDepth) - 1;
+    const transparency =
+      this.transparency && !palette
+        ? new DataView(
+            this.transparency.buffer,
+            this.transparency.byteOffset,
+            this.transparency.byteLength
+          )
+        : null;
+
+    for (let i = 0; i < count; i++) {
+      const sample = (c) => pixels[i * this.channels + c];
+      if (palette) {
+        const index = sample(0);
+        color[i * 3] = this.palette[index * 3];
+        color[i * 3 + 1] = this.palette[index * 3 + 1];
+        color[i * 3 + 2] = this.palette[index * 3 + 2];
+        if (alpha) {
+          alpha[i] =
+            index < this.transparency.length ? this.transparency[index] : 255;
+        }
+        continue;
+      }
+
+      for (let c = 0; c < colors; c++) {
+        color[i * colors + c] = Math.round((sample(c) * 255) / maxSample);
+      }
+      if (this.colorType === PNG_GRAY_ALPHA || this.colorType === PNG_RGBA) {
+        alpha[i] = Math.round((sample(colors) * 255) / maxSample);
+      } else if (transparency) {
+        // tRNS names a single fully transparent gray level or RGB color
+        let transparent = true;
+        for (let c = 0; c < colors; c++) {
+          if (sample(c) !== transparency.getUint16(c * 2)) transparent = false;
+        }
+        alpha[i] = transparent ? 0 : 255;
+      }
+    }
+
+    this.colorSpace = colors === 3 ? "DeviceRGB" : "DeviceGray";
+    this.bitsPerComponent = 8;
+    this.data = color;
+    this.alpha = alpha;
+    this.compressed = false;
+  }
+
+  // Convert RGB samples or palette entries to CMYK with the same
+  // conversion used for vector colors; gray images are left as they are
+  toCMYK(colorSpace) {
+    if (this.colorSpace === "Indexed") {
+      this.palette = convertRGBToCMYK(this.palette, colorSpace);
+      this.paletteColorSpace = "DeviceCMYK";
+    } else if (this.colorSpace === "DeviceRGB") {
+      if (this.compressed) {
+        this.decode();
+      }
+      this.data = convertRGBToCMYK(this.data, colorSpace);
+      this.colorSpace = "DeviceCMYK";
+    }
+    return this;
+  }
+
+  // Inflate and unfilter the image data into one sample per array entry.
+  // The data must fill the image exactly before anything is allocated for
+  // its pixels.
+  decodePixels() {
+    const bitsPerPixel = this.bitDepth * this.channels;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const passes = (this.interlace ? ADAM7 : [[0, 0, 1, 1]])
+      .map(([x0, y0, dx, dy]) => ({
+        x0,
+        y0,
+        dx,
+        dy,
+        passWidth: Math.ceil((this.width - x0) / dx),
+        passHeight: Math.ceil((this.height - y0) / dy),
+      }))
+      .filter(({ passWidth, passHeight }) => passWidth > 0 && passHeight > 0);
+    // Each row is a filter type byte and the row's samples
+    const expectedLength = passes.reduce(
+      (sum, { passWidth, passHeight }) =>
+        sum + passHeight * (1 + Math.ceil((passWidth * bitsPerPixel) / 8)),
+      0
+    );
+
+    const raw = inflateLimited(this.idat, expectedLength);
+    if (raw.length < expectedLength) {
+      throw new Error("PNGImage: image data is truncated");
+    }
+    const pixels = new Uint16Array(this.width * this.height * this.channels);
+
+    let offset = 0;
+    for (const { x0, y0, dx, dy, passWidth, passHeight } of passes) {
+      const rowBytes = Math.ceil((passWidth * bitsPerPixel) / 8);
+      let previous = new Uint8Array(rowBytes);
+      for (let row = 0; row < passHeight; row++) {
+        const filter = raw[offset];
+        const line = raw.slice(offset + 1, offset + 1 + rowBytes);
+        offset += 1 + rowBytes;
+        unfilter(filter, line, previous, bytesPerPixel);
+        previous = line;
+
+        const y = y0 + row * dy;
+        for (let col = 0; col < passWidth; col++) {
+          const x = x0 + col * dx;
+          for (let c = 0; c < this.channels; c++) {
+            pixels[(y * this.width + x) * this.channels + c] = readSample(
+              line,
+              col * this.channels + c,
+              this.bitDepth
+            );
+          }
+        }
+      }
+    }
+    return pixels;
+  }
+}
+
+// Inflate data expected to hold at most maxLength bytes, stopping as soon
+// as it holds more rather than expanding a small stream to fill memory
+function inflateLimited(data, maxLength) {
+  const inflator = new pako.Inflate();
+  const chunks = [];
+  let length = 0;
+  inflator.onData = (chunk) => {
+    length += chunk.length;
+    if (length > maxLength) {
+      throw new Error("PNGImage: image data is larger than the image");
+    }
+    chunks.push(chunk);
+  };
+  inflator.push(data, true);
+  if (inflator.err) {
+    throw new Error(`PNGImage: invalid image data (${inflator.msg})`);
+  }
+  return concat(chunks);
+}
+
+function convertRGBToCMYK(rgb, colorSpace) {
+  const cmyk = new Uint8Array((rgb.length / 3) * 4);
+  for (let i = 0, j = 0; i < rgb.length; i += 3, j += 4) {
+    const { c, m, y, k } = colorSpace.rgbToCMYK(
+      rgb[i] / 255,
+      rgb[i + 1] / 255,
+      rgb[i + 2] / 255
+    );
+    cmyk[j] = Math.round(c * 255);
+    cmyk[j + 1] = Math.round(m * 255);
+    cmyk[j + 2] = Math.round(y * 255);
+    cmyk[j + 3] = Math.round(k * 255);
+  }
+  return cmyk;
+}
+
+function unfilter(filter, line, previous, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+    switch (filter) {
+      case 1:
+        line[i] = (line[i] + left) & 0xff;
+        break;
+      case 2:
+        line[i] = (line[i] + up) & 0xff;
+        break;
+      case 3:
+        line[i] = (line[i] + ((left + up) >> 1)) & 0xff;
+        break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        const predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        line[i] = (line[i] + predictor) & 0xff;
+        break;
+      }
+    }
+  }
+}
+
+function readSample(line, index, bitDepth) {
+  if (bitDepth === 8) return line[index];
+  if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+
+  const bit = index * bitDepth;
+  const byte = line[bit >> 3];
+  const shift = 8 - bitDepth - (bit & 7);
+  return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+function decodeDataURI(uri) {
+  const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) {
+    throw new Error("PDFImage: only data: URIs are supported");
+  }
+  const payload = match[3];
+  if (/;base64/i.test(match[2])) {
+    const binary = atob(payload.replace(/\s/g, ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+  return new TextEncoder().encode(decodeURIComponent(payload));
+}
+
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error("PDFImage: image data must be a Buffer or Uint8Array");
+}
+
+function concat(arrays) {
+  const total = arrays.reduce((sum, a) => sum + a.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const a of arrays) {
+    result.set(a, offset);
+    offset += a.length;
+  }
+  return result;
+}
@@ -73,30 +73,29 @@ export class PDFWriter {
     // Create PDF structure
     const catalogRef = this.allocateObject();
     const pagesRef = this.allocateObject();
-    const pageRef = this.allocateObject();
-    const contentRef = this.allocateObject();
-    const resourcesRef = this.allocateObject();
     const metadataRef = this.allocateObject();
 
-    // Build content stream
-    const contentStream = doc.contentStream.join("\n");
-    const compressedContent = pako.deflate(contentStream);
-
-    // Build resources dictionary
-    const resources = {};
-    const colorSpaceDict = this.buildColorSpaceDict(doc.resources.ColorSpace);
-    const extGStateDict = this.buildExtGStateDict(doc.resources.ExtGState);
+    // Shared resources are written once and referenced from every page
+    const colorSpaceRefs = this.writeColorSpaces(doc.resources.ColorSpace);
+    // Groups and the soft masks that use them refer to each other, so
+    // XObjects get their object numbers before anything refers to them
+    const xObjectRefs = this.allocateXObjects(doc.resources.XObject);
+    const resourceRefs = {
+      ColorSpace: colorSpaceRefs,
+      ExtGState: this.writeExtGStates(doc.resources.ExtGState, xObjectRefs),
+      Pattern: this.writePatterns(doc.resources.Pattern, colorSpaceRefs),
+      Font: this.writeFonts(doc.resources.Font),
+      XObject: xObjectRefs,
+    };
+    this.writeXObjects(doc.resources.XObject, resourceRefs);
 
-    if (colorSpaceDict) {
-      resources.ColorSpace = colorSpaceDict;
-    }
-    if (extGStateDict) {
-      resources.ExtGState = extGStateDict;
-    }
+    const pageRefs = doc.pages.map((page) =>
+      this.writePage(page, pagesRef, resourceRefs)
+    );
 
     // Generate XMP metadata with PlateNames
     const plateNames = this.getPlateNames(doc.resources.ColorSpace);
-    const xmpMetadata = this.generateXMPMetadata(plateNames);
+    const xmpMetadata = this.generateXMPMetadata(plateNames, doc.pages.length);
 
     // Metadata object
     this.addObject(
@@ -109,35 +108,11 @@ export class PDFWriter {
       xmpMetadata
     );
 
-    // Resources object
-    this.addObject(resourcesRef, resources);
-
-    // Content stream
-    this.addObject(
-      contentRef,
-      {
-        Length: compressedContent.length,
-        Filter: "/FlateDecode",
-      },
-      compressedContent
-    );
-
-    // Page object
-    this.addObject(pageRef, {
-      Type: "/Page",
-      Parent: `${pagesRef} 0 R`,
-      MediaBox: `[0 0 ${this.formatNumber(doc.width)} ${this.formatNumber(
-        doc.height
-      )}]`,
-      Contents: `${contentRef} 0 R`,
-      Resources: `${resourcesRef} 0 R`,
-    });
-
     // Pages object
     this.addObject(pagesRef, {
       Type: "/Pages",
-      Kids: `[${pageRef} 0 R]`,
-      Count: 1,
+      Kids: `[${pageRefs.map((ref) => `${ref} 0 R`).join(" ")}]`,
+      Count: pageRefs.length,
     });
 
     // Catalog
@@ -217,12 +192,99 @@ export class PDFWriter {
     this.objects[ref] = obj;
   }
 
-  buildColorSpaceDict(colorSpaces) {
-    if (!colorSpaces || Object.keys(colorSpaces).length === 0) {
+  // Add a Flate-compressed stream object; Length and Filter are filled in
+  addStreamObject(ref, dict, data) {
+    const compressed = pako.deflate(data);
+    this.addObject(
+      ref,
+      {
+        ...dict,
+        Length: compressed.length,
+        Filter: "/FlateDecode",
+      },
+      compressed
+    );
+  }
+
+  writePage(page, pagesRef, resourceRefs) {
+    const pageRef = this.allocateObject();
+    const contentRef = this.allocateObject();
+    const resourcesRef = this.allocateObject();
+
+    // Resources object
+    this.addObject(
+      resourcesRef,
+      this.buildResources(page.resources, resourceRefs)
+    );
+
+    // Content stream
+    this.addStreamObject(contentRef, {}, page.contentStream.join("\n"));
+
+    // Page object
+    this.addObject(pageRef, {
+      Type: "/Page",
+      Parent: `${pagesRef} 0 R`,
+      MediaBox: this.formatBox({
+        x: 0,
+        y: 0,
+        width: page.width,
+        height: page.height,
+      }),
+      CropBox: page.cropBox ? this.formatBox(page.cropBox) : null,
+      BleedBox: page.bleedBox ? this.formatBox(page.bleedBox) : null,
+      TrimBox: page.trimBox ? this.formatBox(page.trimBox) : null,
+      ArtBox: page.artBox ? this.formatBox(page.artBox) : null,
+      Contents: `${contentRef} 0 R`,
+      Resources: `${resourcesRef} 0 R`,
+    });
+
+    return pageRef;
+  }
+
+  // Format a {x, y, width, height} box as a PDF rectangle
+  formatBox(box) {
+    return `[${this.formatNumber(box.x)} ${this.formatNumber(
+      box.y
+    )} ${this.formatNumber(box.x + box.width)} ${this.formatNumber(
+      box.y + box.height
+    )}]`;
+  }
+
+  // Build the resources dictionary from the shared resources a page or
+  // group uses
+  buildResources(used, resourceRefs) {
+    const resources = {};
+    for (const [category, refs] of Object.entries(resourceRefs)) {
+      const dict = this.buildResourceDict(used[category], refs);
+      if (dict) {
+        resources[category] = dict;
+      }
+    }
+    return resources;
+  }
+
+  // Build a resource sub-dictionary (e.g. /ColorSpace) for a set of names
+  buildResourceDict(names, refs) {
+    if (!names || names.size === 0) {
       return null;
     }
 
     const lines = ["<<"];
+    for (const name of names) {
+      if (refs[name]) {
+        lines.push(`/${name} ${refs[name]} 0 R`);
+      }
+    }
+    lines.push(">>");
+    return lines.join("\n");
+  }
+
+  // Write every registered color space and return a name -> object ref map
+  writeColorSpaces(colorSpaces) {
+    const refs = {};
+    if (!colorSpaces) {
+      return refs;
+    }
 
     for (const [name, cs] of Object.entries(colorSpaces)) {
       if (cs.type === "Separation") {
@@ -248,7 +310,7 @@ export class PDFWriter {
         const separationArray = `[/Separation /${colorName} /DeviceCMYK ${funcRef} 0 R]`;
         this.objects[csRef] = separationArray;
 
-        lines.push(`/${name} ${csRef} 0 R`);
+        refs[name] = csRef;
       } else if (cs.type === "Lab") {
         const csRef = this.allocateObject();
 
@@ -279,34 +341,425 @@ export class PDFWriter {
           this.objects[csRef] = labArray;
         }
 
-        lines.push(`/${name} ${csRef} 0 R`);
+        refs[name] = csRef;
       }
     }
 
-    lines.push(">>");
-    return lines.join("\n");
+    return refs;
   }
 
-  buildExtGStateDict(extGStates) {
-    if (!extGStates || Object.keys(extGStates).length === 0) {
-      return null;
+  // Write every registered ExtGState and return a name -> object ref map
+  writeExtGStates(extGStates, xObjectRefs = {}) {
+    const refs = {};
+    if (!extGStates) {
+      return refs;
     }
 
-    const lines = ["<<"];
-
     for (const [name, gs] of Object.entries(extGStates)) {
       const gsRef = this.allocateObject();
-      this.addObject(gsRef, gs);
-      lines.push(`/${name} ${gsRef} 0 R`);
+      if (gs.SMask && gs.SMask.group) {
+        // Soft mask from a transparency group drawn with beginGroup()
+        this.addObject(gsRef, {
+          ...gs,
+          SMask: `<< /Type /Mask /S /${gs.SMask.type} /G ${
+            xObjectRefs[gs.SMask.group]
+          } 0 R >>`,
+        });
+      } else if (gs.SMask && typeof gs.SMask === "object") {
+        this.addObject(gsRef, {
+          ...gs,
+          SMask: `<< /Type /Mask /S /Luminosity /G ${this.writeSoftMaskGroup(
+            gs.SMask
+          )} 0 R >>`,
+        });
+      } else {
+        this.addObject(gsRef, gs);
+      }
+      refs[name] = gsRef;
     }
 
-    lines.push(">>");
-    return lines.join("\n");
+    return refs;
+  }
+
+  // Luminosity group for a gradient soft mask: a gray shading of the stop
+  // opacities painted over the mask bounds
+  writeSoftMaskGroup(mask) {
+    const groupRef = this.allocateObject();
+    const shadingRef = this.writeShading(mask.shading);
+    this.addStreamObject(
+      groupRef,
+      {
+        Type: "/XObject",
+        Subtype: "/Form",
+        BBox: `[${mask.bbox.map((n) => this.formatNumber(n)).join(" ")}]`,
+        Group: "<< /Type /Group /S /Transparency /CS /DeviceGray >>",
+        Resources: `<< /Shading << /Sh0 ${shadingRef} 0 R >> >>`,
+      },
+      `${mask.matrix.map((n) => this.formatNumber(n)).join(" ")} cm\n/Sh0 sh`
+    );
+    return groupRef;
+  }
+
+  // Write every gradient pattern and return a name -> object ref map;
+  // spot color shadings refer to the written color spaces
+  writePatterns(patterns, colorSpaceRefs = {}) {
+    const refs = {};
+    if (!patterns) {
+      return refs;
+    }
+
+    for (const [name, pattern] of Object.entries(patterns)) {
+      const patternRef = this.allocateObject();
+      const shadingRef = this.writeShading(pattern.shading, colorSpaceRefs);
+      this.addObject(patternRef, {
+        Type: "/Pattern",
+        PatternType: 2,
+        Shading: `${shadingRef} 0 R`,
+        Matrix: `[${pattern.matrix
+          .map((n) => this.formatNumber(n))
+          .join(" ")}]`,
+      });
+      refs[name] = patternRef;
+    }
+
+    return refs;
+  }
+
+  // Axial (type 2) or radial (type 3) shading. Repeating and reflecting
+  // gradients stitch one copy of the stop function per period.
+  writeShading(shading, colorSpaceRefs = {}) {
+    const shadingRef = this.allocateObject();
+    const stopFunctionRef = this.writeStopFunction(
+      shading.components,
+      shading.offsets
+    );
+
+    let functionRef = stopFunctionRef;
+    const [t0, t1] = shading.domain;
+    if (shading.spread !== "pad" && t1 - t0 > 1) {
+      functionRef = this.allocateObject();
+      const periods = [];
+      const bounds = [];
+      const encode = [];
+      for (let t = t0; t < t1; t++) {
+        periods.push(`${stopFunctionRef} 0 R`);
+        if (t > t0) bounds.push(t);
+        // Reflected periods alternate direction, keeping [0, 1] forward
+        const reversed = shading.spread === "reflect" && Math.abs(t) % 2 === 1;
+        encode.push(reversed ? "1 0" : "0 1");
+      }
+      this.addObject(functionRef, {
+        FunctionType: 3,
+        Domain: `[${t0} ${t1}]`,
+        Functions: `[${periods.join(" ")}]`,
+        Bounds: `[${bounds.join(" ")}]`,
+        Encode: `[${encode.join(" ")}]`,
+      });
+    }
+
+    this.addObject(shadingRef, {
+      ShadingType: shading.shadingType,
+      ColorSpace: this.shadingColorSpace(shading.colorSpace, colorSpaceRefs),
+      Coords: `[${shading.coords.map((n) => this.formatNumber(n)).join(" ")}]`,
+      Domain: `[${t0} ${t1}]`,
+      Function: `${functionRef} 0 R`,
+      Extend: "[true true]",
+    });
+    return shadingRef;
+  }
+
+  // Device and Lab spaces are written inline; a spot color's Separation
+  // space is the one written with the other color spaces
+  shadingColorSpace(colorSpace, colorSpaceRefs) {
+    if (colorSpace.separation) {
+      return `${colorSpaceRefs[colorSpace.separation]} 0 R`;
+    }
+    if (colorSpace === "Lab") {
+      return "[/Lab << /WhitePoint [0.95047 1 1.08883] /Range [-128 127 -128 127] >>]";
+    }
+    return `/${colorSpace}`;
+  }
+
+  // Interpolate between stops: a single exponential function for two
+  // stops, otherwise one per pair of stops stitched together
+  writeStopFunction(components, offsets) {
+    const format = (values) =>
+      `[${values.map((n) => this.formatNumber(n)).join(" ")}]`;
+    const interpolation = (from, to) => ({
+      FunctionType: 2,
+      Domain: "[0 1]",
+      C0: format(components[from]),
+      C1: format(components[to]),
+      N: 1,
+    });
+
+    const functionRef = this.allocateObject();
+    if (components.length === 2) {
+      this.addObject(functionRef, interpolation(0, 1));
+      return functionRef;
+    }
+
+    const segments = [];
+    for (let i = 0; i < components.length - 1; i++) {
+      const segmentRef = this.allocateObject();
+      this.addObject(segmentRef, interpolation(i, i + 1));
+      segments.push(`${segmentRef} 0 R`);
+    }
+    this.addObject(functionRef, {
+      FunctionType: 3,
+      Domain: "[0 1]",
+      Functions: `[${segments.join(" ")}]`,
+      Bounds: format(offsets.slice(1, -1)),
+      Encode: `[${segments.map(() => "0 1").join(" ")}]`,
+    });
+    return functionRef;
+  }
+
+  // Write every registered font and return a name -> object ref map
+  writeFonts(fonts) {
+    const refs = {};
+    if (!fonts) {
+      return refs;
+    }
+
+    for (const [name, font] of Object.entries(fonts)) {
+      if (font.type === "truetype") {
+        refs[name] = this.writeTrueTypeFont(font);
+        continue;
+      }
+
+      const fontRef = this.allocateObject();
+      this.addObject(fontRef, {
+        Type: "/Font",
+        Subtype: "/Type1",
+        BaseFont: `/${font.baseFont}`,
+        // Symbol and ZapfDingbats use their built-in encoding
+        Encoding: font.symbolic ? null : "/WinAnsiEncoding",
+      });
+      refs[name] = fontRef;
+    }
+
+    return refs;
+  }
+
+  // Embed a TrueType font subset as a Type0 font with Identity-H encoding,
+  // so content streams address glyphs by their subset glyph id
+  writeTrueTypeFont(font) {
+    const fontRef = this.allocateObject();
+    const cidFontRef = this.allocateObject();
+    const descriptorRef = this.allocateObject();
+    const fontFileRef = this.allocateObject();
+    const toUnicodeRef = this.allocateObject();
+
+    const baseFont = `/${font.subsetTag()}+${font.postScriptName}`;
+    const subset = font.generateSubset();
+
+    this.addStreamObject(fontFileRef, { Length1: subset.length }, subset);
+
+    // Flags: symbolic (4), plus fixed pitch (1) and italic (64) when set
+    let flags = 4;
+    if (font.isFixedPitch) flags |= 1;
+    if (font.italicAngle !== 0) flags |= 64;
+
+    this.addObject(descriptorRef, {
+      Type: "/FontDescriptor",
+      FontName: baseFont,
+      Flags: flags,
+      FontBBox: `[${font.bbox.map((n) => this.formatNumber(n)).join(" ")}]`,
+      ItalicAngle: this.formatNumber(font.italicAngle),
+      Ascent: this.formatNumber(font.ascender),
+      Descent: this.formatNumber(font.descender),
+      CapHeight: this.formatNumber(font.capHeight),
+      StemV: this.formatNumber(50 + (font.weightClass / 65) ** 2),
+      FontFile2: `${fontFileRef} 0 R`,
+    });
+
+    const widths = font.subsetGlyphs.map((_, id) =>
+      this.formatNumber(font.widthOfGlyph(id))
+    );
+    this.addObject(cidFontRef, {
+      Type: "/Font",
+      Subtype: "/CIDFontType2",
+      BaseFont: baseFont,
+      CIDSystemInfo:
+        "<< /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>",
+      FontDescriptor: `${descriptorRef} 0 R`,
+      W: `[0 [${widths.join(" ")}]]`,
+      CIDToGIDMap: "/Identity",
+    });
+
+    this.addStreamObject(toUnicodeRef, {}, this.buildToUnicodeCMap(font));
+
+    this.addObject(fontRef, {
+      Type: "/Font",
+      Subtype: "/Type0",
+      BaseFont: baseFont,
+      Encoding: "/Identity-H",
+      DescendantFonts: `[${cidFontRef} 0 R]`,
+      ToUnicode: `${toUnicodeRef} 0 R`,
+    });
+
+    return fontRef;
+  }
+
+  // CMap mapping subset glyph ids back to Unicode so text stays searchable
+  buildToUnicodeCMap(font) {
+    const hex = (n) => n.toString(16).padStart(4, "0");
+    const entries = [...font.unicodes.entries()].map(([id, cp]) => {
+      const unicode =
+        cp > 0xffff
+          ? hex(0xd800 + ((cp - 0x10000) >> 10)) +
+            hex(0xdc00 + ((cp - 0x10000) & 0x3ff))
+          : hex(cp);
+      return `<${hex(id)}> <${unicode}>`;
+    });
+
+    // bfchar sections may hold at most 100 entries each
+    const sections = [];
+    for (let i = 0; i < entries.length; i += 100) {
+      const chunk = entries.slice(i, i + 100);
+      sections.push(
+        `${chunk.length} beginbfchar\n${chunk.join("\n")}\nendbfchar`
+      );
+    }
+
+    return `/CIDInit /ProcSet findresource begin
+12 dict begin
+begincmap
+/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def
+/CMapName /Adobe-Identity-UCS def
+/CMapType 2 def
+1 begincodespacerange
+<0000> <ffff>
+endcodespacerange
+${sections.join("\n")}
+endcmap
+CMapName currentdict /CMap defineresource pop
+end
+end`;
+  }
+
+  // Reserve an object for every image and group; returns a name -> object
+  // ref map
+  allocateXObjects(xobjects) {
+    const refs = {};
+    for (const name of Object.keys(xobjects || {})) {
+      refs[name] = this.allocateObject();
+    }
+    return refs;
+  }
+
+  // Write every registered image and group into its reserved object
+  writeXObjects(xobjects, resourceRefs) {
+    for (const [name, xobject] of Object.entries(xobjects || {})) {
+      const ref = resourceRefs.XObject[name];
+      if (xobject.type === "form") {
+        this.writeGroup(xobject, ref, resourceRefs);
+      } else {
+        this.writeImage(xobject, ref);
+      }
+    }
+  }
+
+  // A transparency group form XObject. Groups used as soft masks blend in
+  // gray, so a luminosity mask is the group's gray level.
+  writeGroup(group, ref, resourceRefs) {
+    const resourcesRef = this.allocateObject();
+    this.addObject(
+      resourcesRef,
+      this.buildResources(group.resources, resourceRefs)
+    );
+    this.addStreamObject(
+      ref,
+      {
+        Type: "/XObject",
+        Subtype: "/Form",
+        BBox: `[${group.bbox.map((n) => this.formatNumber(n)).join(" ")}]`,
+        Group: group.softMask
+          ? "<< /Type /Group /S /Transparency /CS /DeviceGray >>"
+          : "<< /Type /Group /S /Transparency >>",
+        Resources: `${resourcesRef} 0 R`,
+      },
+      group.contentStream.join("\n")
+    );
+  }
+
+  // JPEG data is embedded unchanged as DCTDecode. PNG data is either the
+  // original zlib stream with PNG predictors or decoded samples, with any
+  // alpha channel written as a separate soft mask image.
+  writeImage(image, imageRef) {
+    const dict = {
+      Type: "/XObject",
+      Subtype: "/Image",
+      Width: image.width,
+      Height: image.height,
+      ColorSpace: `/${image.colorSpace}`,
+      BitsPerComponent: image.bitsPerComponent,
+      Decode: image.decodeArray ? `[${image.decodeArray.join(" ")}]` : null,
+    };
+
+    if (image.colorSpace === "Indexed") {
+      const base = image.paletteColorSpace || "DeviceRGB";
+      const components = base === "DeviceCMYK" ? 4 : 3;
+      const hex = Array.from(image.palette, (byte) =>
+        byte.toString(16).padStart(2, "0")
+      ).join("");
+      dict.ColorSpace = `[/Indexed /${base} ${
+        image.palette.length / components - 1
+      } <${hex}>]`;
+    }
+
+    if (image.alpha) {
+      const maskRef = this.allocateObject();
+      this.addStreamObject(
+        maskRef,
+        {
+          Type: "/XObject",
+          Subtype: "/Image",
+          Width: image.width,
+          Height: image.height,
+          ColorSpace: "/DeviceGray",
+          BitsPerComponent: 8,
+        },
+        image.alpha
+      );
+      dict.SMask = `${maskRef} 0 R`;
+    }
+
+    if (image.type === "jpeg") {
+      this.addObject(
+        imageRef,
+        { ...dict, Length: image.data.length, Filter: "/DCTDecode" },
+        image.data
+      );
+    } else if (image.compressed) {
+      const parms = Object.entries(image.decodeParms)
+        .map(([key, value]) => `/${key} ${value}`)
+        .join(" ");
+      this.addObject(
+        imageRef,
+        {
+          ...dict,
+          Length: image.data.length,
+          Filter: "/FlateDecode",
+          DecodeParms: `<< ${parms} >>`,
+        },
+        image.data
+      );
+    } else {
+      this.addStreamObject(imageRef, dict, image.data);
+    }
+
+    return imageRef;
   }
 
   getPlateNames(colorSpaces) {
     const plateNames = [];
     for (const [name, cs] of Object.entries(colorSpaces)) {
+      // The registration colorant "All" marks every plate, it is not a plate
+      if (cs.type === "Separation" && cs.name === "All") {
+        continue;
+      }
       if (cs.type === "Separation" || (cs.type === "Lab" && cs.name)) {
         plateNames.push(cs.name);
       }
@@ -314,7 +767,7 @@ export class PDFWriter {
     return plateNames;
   }
 
-  generateXMPMetadata(plateNames) {
+  generateXMPMetadata(plateNames, pageCount = 1) {
     const currentDate = new Date().toISOString();
 
     let plateNamesXML = "";
@@ -342,7 +795,7 @@ ${plateNames
          <xmp:ModifyDate>${currentDate}</xmp:ModifyDate>
          <xmp:CreateDate>${currentDate}</xmp:CreateDate>
          <xmp:CreatorTool>pdf-svg LAB Color Generator</xmp:CreatorTool>
-         <xmpTPg:NPages>1</xmpTPg:NPages>${plateNamesXML}
+         <xmpTPg:NPages>${pageCount}</xmpTPg:NPages>${plateNamesXML}
       </rdf:Description>
    </rdf:RDF>
 </x:xmpmeta>
@@ -0,0 +1,205 @@
+import { invertMatrix } from "./svg-geometry.js";
+
+// Printer's marks drawn in the slug area outside the trim box
+
+const PROCESS_PATCHES = [
+  { c: 100, m: 0, y: 0, k: 0 },
+  { c: 0, m: 100, y: 0, k: 0 },
+  { c: 0, m: 0, y: 100, k: 0 },
+  { c: 0, m: 0, y: 0, k: 100 },
+];
+
+const SPOT_TINTS = [1, 0.75, 0.5, 0.25];
+
+export function drawPrinterMarks(doc, options = {}) {
+  const marks = {
+    crop: options.crop !== false,
+    registration: options.registration !== false,
+    colorBars: options.colorBars !== false,
+    pageInfo: options.pageInfo !== undefined ? options.pageInfo : true,
+  };
+
+  const trim = doc.trimBox;
+  const bleed = doc.page.bleed;
+  // Marks start outside the bleed so they are never printed on the piece
+  const offset =
+    options.offset !== undefined ? options.offset : Math.max(bleed, 6);
+  const length = options.length || 18;
+  const lineWidth = options.lineWidth || 0.25;
+
+  const available = Math.min(trim.x, trim.y);
+  if (offset + length > available) {
+    console.warn(
+      `addPrinterMarks: marks need ${
+        offset + length
+      }pt outside the trim box but the page only has ${available}pt, increase the slug`
+    );
+  }
+
+  // Marks are drawn in page space, undoing any transformation the caller
+  // has applied, and must not disturb the caller's state
+  const pageSpace = invertMatrix(doc._ctm);
+  if (!pageSpace) {
+    console.warn(
+      "addPrinterMarks: the current transformation cannot be undone, skipping marks"
+    );
+    return;
+  }
+  const savedState = {
+    currentColor: doc.currentColor,
+    currentStrokeColor: doc.currentStrokeColor,
+    currentLineWidth: doc.currentLineWidth,
+    currentLineCap: doc.currentLineCap,
+    currentLineJoin: doc.currentLineJoin,
+    currentMiterLimit: doc.currentMiterLimit,
+    currentDash: doc.currentDash,
+    currentOpacity: { ...doc.currentOpacity },
+    currentFont: doc.currentFont,
+    currentFontSize: doc.currentFontSize,
+  };
+
+  doc.save();
+  if (doc._ctm.join(" ") !== "1 0 0 1 0 0") {
+    doc.transform(...pageSpace);
+  }
+  doc.opacity(1);
+  doc.lineWidth(lineWidth).lineCap("butt").lineJoin("miter").undash();
+  doc.strokeRegistrationColor();
+  doc.fillRegistrationColor();
+
+  const geometry = { trim, offset, length };
+
+  if (marks.crop) {
+    drawCropMarks(doc, geometry);
+  }
+  if (marks.registration) {
+    drawRegistrationMarks(doc, geometry);
+  }
+  if (marks.colorBars) {
+    drawColorBars(doc, geometry, marks.registration);
+  }
+  if (marks.pageInfo) {
+    drawPageInfo(doc, geometry, marks.pageInfo);
+  }
+
+  doc.restore();
+  Object.assign(doc, savedState);
+}
+
+function drawCropMarks(doc, { trim, offset, length }) {
+  const left = trim.x;
+  const right = trim.x + trim.width;
+  const bottom = trim.y;
+  const top = trim.y + trim.height;
+
+  const corners = [
+    { x: left, y: bottom, dx: -1, dy: -1 },
+    { x: right, y: bottom, dx: 1, dy: -1 },
+    { x: left, y: top, dx: -1, dy: 1 },
+    { x: right, y: top, dx: 1, dy: 1 },
+  ];
+
+  for (const { x, y, dx, dy } of corners) {
+    // Horizontal mark in line with the trim edge
+    doc.moveTo(x + dx * offset, y);
+    doc.lineTo(x + dx * (offset + length), y);
+    // Vertical mark in line with the trim edge
+    doc.moveTo(x, y + dy * offset);
+    doc.lineTo(x, y + dy * (offset + length));
+  }
+  doc.stroke();
+}
+
+function drawRegistrationMarks(doc, geometry) {
+  for (const center of registrationCenters(geometry)) {
+    drawTarget(doc, center.x, center.y, geometry.length / 3);
+  }
+}
+
+function registrationCenters({ trim, offset, length }) {
+  const distance = offset + length / 2;
+  const centerX = trim.x + trim.width / 2;
+  const centerY = trim.y + trim.height / 2;
+
+  return [
+    { x: centerX, y: trim.y + trim.height + distance },
+    { x: centerX, y: trim.y - distance },
+    { x: trim.x - distance, y: centerY },
+    { x: trim.x + trim.width + distance, y: centerY },
+  ];
+}
+
+function drawTarget(doc, x, y, r) {
+  const arm = r * 1.5;
+
+  doc.circle(x, y, r);
+  doc.moveTo(x - arm, y);
+  doc.lineTo(x + arm, y);
+  doc.moveTo(x, y - arm);
+  doc.lineTo(x, y + arm);
+  doc.stroke();
+
+  doc.circle(x, y, r / 2);
+  doc.fill();
+}
+
+function drawColorBars(doc, { trim, offset, length }, avoidCenter) {
+  const size = (length * 2) / 3;
+  const y = trim.y + trim.height + offset + (length - size) / 2;
+
+  const patches = PROCESS_PATCHES.map(
+    (cmyk) => (d) => d.fillColorCMYK(cmyk.c, cmyk.m, cmyk.y, cmyk.k)
+  );
+  for (const name of doc.spotColors.keys()) {
+    for (const tint of SPOT_TINTS) {
+      patches.push((d) => d.fillSpotColor(name, tint));
+    }
+  }
+
+  // Keep clear of the vertical crop mark and the top registration mark
+  const start = trim.x + size;
+  const end = trim.x + trim.width - size;
+  const center = trim.x + trim.width / 2;
+  const clearance = length / 2 + size / 2;
+
+  let x = start;
+  let drawn = 0;
+  for (const setColor of patches) {
+    if (
+      avoidCenter &&
+      x + size > center - clearance &&
+      x < center + clearance
+    ) {
+      x = center + clearance;
+    }
+    if (x + size > end) {
+      break;
+    }
+
+    doc.rect(x, y, size, size);
+    setColor(doc);
+    doc.fill();
+    x += size;
+    drawn++;
+  }
+
+  if (drawn < patches.length) {
+    console.warn(
+      `addPrinterMarks: only ${drawn} of ${patches.length} color bar patches fit above the trim box`
+    );
+  }
+}
+
+function drawPageInfo(doc, { trim, offset, length }, pageInfo) {
+  const fontSize = 6;
+  const pageNumber = doc.pages.indexOf(doc.page) + 1;
+  const date = new Date().toISOString().slice(0, 16).replace("T", " ");
+  const label = typeof pageInfo === "string" ? `${pageInfo}  ` : "";
+  const text = `${label}Page ${pageNumber}  ${date}`;
+
+  const x = trim.x + length / 3;
+  const y = trim.y - offset - length / 2 - fontSize / 3;
+
+  doc.fillRegistrationColor();
+  doc.font("Helvetica", fontSize).text(text, x, y);
+}
@@ -0,0 +1,104 @@
+import { STANDARD_FONT_METRICS } from "./font-metrics.js";
+
+// Unicode code points for WinAnsiEncoding codes 128-159; the remaining codes
+// 32-126 and 160-255 match Unicode directly
+const WIN_ANSI_HIGH = {
+  0x20ac: 128,
+  0x201a: 130,
+  0x0192: 131,
+  0x201e: 132,
+  0x2026: 133,
+  0x2020: 134,
+  0x2021: 135,
+  0x02c6: 136,
+  0x2030: 137,
+  0x0160: 138,
+  0x2039: 139,
+  0x0152: 140,
+  0x017d: 142,
+  0x2018: 145,
+  0x2019: 146,
+  0x201c: 147,
+  0x201d: 148,
+  0x2022: 149,
+  0x2013: 150,
+  0x2014: 151,
+  0x02dc: 152,
+  0x2122: 153,
+  0x0161: 154,
+  0x203a: 155,
+  0x0153: 156,
+  0x017e: 158,
+  0x0178: 159,
+};
+
+const SYMBOLIC_FONTS = ["Symbol", "ZapfDingbats"];
+
+// One of the standard 14 PDF fonts, which every viewer provides, so only
+// metrics are needed to lay out text
+export class StandardFont {
+  static isStandardFont(name) {
+    return Object.prototype.hasOwnProperty.call(STANDARD_FONT_METRICS, name);
+  }
+
+  constructor(name) {
+    this.type = "standard";
+    this.name = name;
+    this.baseFont = name;
+    this.symbolic = SYMBOLIC_FONTS.includes(name);
+
+    const metrics = STANDARD_FONT_METRICS[name];
+    this.widths = metrics.widths;
+    this.ascender = metrics.ascender;
+    this.descender = metrics.descender;
+    this.capHeight = metrics.capHeight;
+    this.xHeight = metrics.xHeight;
+    this.bbox = metrics.bbox;
+  }
+
+  // Map text to single-byte character codes; characters the encoding
+  // cannot represent become "?"
+  encode(text) {
+    const codes = [];
+    for (const char of text) {
+      const cp = char.codePointAt(0);
+      let code;
+      if (this.symbolic) {
+        code = cp >= 32 && cp <= 255 ? cp : undefined;
+      } else if ((cp >= 32 && cp <= 126) || (cp >= 160 && cp <= 255)) {
+        code = cp;
+      } else {
+        code = WIN_ANSI_HIGH[cp];
+      }
+      codes.push(code !== undefined ? code : 63);
+    }
+    return codes;
+  }
+
+  widthOfCodes(codes) {
+    let width = 0;
+    for (const code of codes) {
+      width += this.widths[code - 32] || 0;
+    }
+    return width;
+  }
+
+  widthOfString(text, size) {
+    return (this.widthOfCodes(this.encode(text)) * size) / 1000;
+  }
+
+  // Encoded codes as a PDF literal string, keeping the content stream ASCII
+  toPDFString(codes) {
+    let str = "(";
+    for (const code of codes) {
+      if (code === 40 || code === 41 || code === 92) {
+        str += `\\${String.fromCharCode(code)}`;
+      } else if (code < 32 || code > 126) {
+        str += `\\${code.toString(8).padStart(3, "0")}`;
+      } else {
+        str += String.fromCharCode(code);
+      }
+    }
+    return str + ")";
+  }
+}
@@ -0,0 +1,128 @@
+import { createElement } from "./svg-parser.js";
+import { SVGPath } from "./svg-path.js";
+import { shapePath, elementBounds, multiplyMatrix } from "./svg-geometry.js";
+import { resolveLength } from "./svg-units.js";
+
+// Intersect the clipping region with the <clipPath> referenced by a
+// clip-path value such as "url(#clip)". The caller saves and restores the
+// graphics state around the clipped element. A missing reference leaves
+// the element unclipped.
+export function applyClipPath(renderer, element, value, seen = new Set()) {
+  const match = /^url\(\s*['"]?#([^'")]+?)['"]?\s*\)$/.exec(value.trim());
+  if (!match) return;
+
+  const id = match[1];
+  const clipPath = renderer.findElementById(id);
+  if (!clipPath || clipPath.tagName !== "clippath") {
+    renderer.warn(`clip-path references a missing clipPath #${id}`);
+    return;
+  }
+  if (seen.has(id)) {
+    renderer.warn(`clipPath #${id} references itself`);
+    return;
+  }
+  seen.add(id);
+
+  // A clip-path on the <clipPath> itself further narrows the region
+  const clipStyle = renderer.computeStyle(clipPath, {});
+  const nested = clipStyle["clip-path"];
+  if (nested && nested !== "none") {
+    applyClipPath(renderer, element, nested, seen);
+  }
+
+  let matrix = renderer.parseTransform(
+    clipPath.getAttribute("transform") || ""
+  );
+  if (clipPath.getAttribute("clipPathUnits") === "objectBoundingBox") {
+    const bbox = elementBounds(renderer, element);
+    if (!bbox || bbox.width === 0 || bbox.height === 0) {
+      clipAll(renderer.doc);
+      return;
+    }
+    matrix = multiplyMatrix(
+      [bbox.width, 0, 0, bbox.height, bbox.x, bbox.y],
+      matrix
+    );
+  }
+
+  const paths = [];
+  let clipRule = "nonzero";
+  for (const node of clipPath.children) {
+    if (node.tagName === "#text") continue;
+    const child = createElement(node);
+    const path = childPath(renderer, child, matrix);
+    if (path) {
+      paths.push(path);
+      clipRule = renderer.computeStyle(child, clipStyle)["clip-rule"];
+    }
+  }
+
+  if (paths.length === 0) {
+    clipAll(renderer.doc);
+    return;
+  }
+
+  // The region is the union of the children. With nonzero winding,
+  // overlapping outlines only add up when they turn the same way.
+  const combined = new SVGPath();
+  if (paths.length === 1) {
+    combined.commands = paths[0].commands;
+  } else {
+    clipRule = "nonzero";
+    for (const path of paths) {
+      const oriented = path.area() < 0 ? path.reverse() : path;
+      combined.commands.push(...oriented.commands);
+    }
+  }
+  combined.applyTo(renderer.doc);
+  renderer.doc.clip(clipRule);
+}
+
+// The outline of one clipPath child in the clipped element's user space
+function childPath(renderer, child, matrix, depth = 0) {
+  if (
+    child.getAttribute("display") === "none" ||
+    child.getAttribute("visibility") === "hidden"
+  ) {
+    return null;
+  }
+
+  matrix = multiplyMatrix(
+    renderer.parseTransform(child.getAttribute("transform") || ""),
+    matrix
+  );
+
+  switch (child.tagName) {
+    case "use": {
+      // A <use> in a clipPath may only reference a shape
+      const href =
+        child.getAttribute("href") || child.getAttribute("xlink:href");
+      const target = href && renderer.findElementById(href.slice(1));
+      if (!target || depth > 0) return null;
+      const units = renderer.units();
+      const x = resolveLength(child.getAttribute("x"), "x", units);
+      const y = resolveLength(child.getAttribute("y"), "y", units);
+      return childPath(
+        renderer,
+        target,
+        multiplyMatrix([1, 0, 0, 1, x, y], matrix),
+        depth + 1
+      );
+    }
+
+    case "text":
+      renderer.warn("text in a clipPath is not supported", child);
+      return null;
+  }
+
+  const path = shapePath(child, renderer.units());
+  if (!path) return null;
+  renderer.checkPathData(path, child);
+  renderer.countPathSegments(path, child);
+  return path.transform(matrix);
+}
+
+// An empty clip path hides the element entirely
+function clipAll(doc) {
+  doc.rect(0, 0, 0, 0).clip();
+}
@@ -0,0 +1,274 @@
+import { createElement } from "./svg-parser.js";
+import { SVGLimitError, resolveLimits } from "./svg-limits.js";
+
+// Properties the renderer reads from presentation attributes, stylesheets
+// and style attributes
+export const STYLE_PROPERTIES = [
+  "color",
+  "fill",
+  "stroke",
+  "fill-opacity",
+  "stroke-opacity",
+  "opacity",
+  "stroke-width",
+  "stroke-linecap",
+  "stroke-linejoin",
+  "stroke-miterlimit",
+  "stroke-dasharray",
+  "stroke-dashoffset",
+  "fill-rule",
+  "clip-rule",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "font-style",
+  "text-anchor",
+  "dominant-baseline",
+  "letter-spacing",
+  "xml:space",
+  "stop-color",
+  "stop-opacity",
+  "clip-path",
+  "mask",
+  "mask-type",
+  "overflow",
+];
+
+// Match the document's <style> sheets against every element. Returns a
+// map from each matched element's attributes object to its declarations,
+// split into normal and !important ones, already in cascade order.
+// Elements nested deeper than `limits.maxDepth`, or rules needing more
+// than `limits.maxSelectorChecks` compound selector checks, throw an
+// SVGLimitError.
+export function matchStylesheets(root, limits) {
+  const rules = [];
+  collectStyles(root, (css) => rules.push(...parseStylesheet(css)));
+  const matched = new Map();
+  if (rules.length === 0) {
+    return matched;
+  }
+
+  rules.forEach((rule, index) => {
+    rule.order = index;
+  });
+
+  const { maxDepth, maxSelectorChecks } = resolveLimits(limits);
+  let checks = 0;
+  // The elements being visited and their labels, for limit errors
+  const ancestors = [];
+  const path = [];
+  const limitError = (limit, value) =>
+    new SVGLimitError(limit, value, { path: path.join(" > ") });
+
+  const visit = (node) => {
+    if (node.tagName === "#text") return;
+    const element = createElement(node);
+    const id = element.getAttribute("id");
+    path.push(id ? `${node.tagName}#${id}` : node.tagName);
+    if (path.length > maxDepth) {
+      throw limitError("maxDepth", maxDepth);
+    }
+
+    const matches = rules
+      .filter((rule) => {
+        // Each part is checked at most once per ancestor and the element
+        checks += rule.selector.parts.length * (ancestors.length + 1);
+        if (checks > maxSelectorChecks) {
+          throw limitError("maxSelectorChecks", maxSelectorChecks);
+        }
+        return matchesSelector(rule.selector, element, ancestors);
+      })
+      .sort(
+        (a, b) =>
+          compareSpecificity(a.selector.specificity, b.selector.specificity) ||
+          a.order - b.order
+      );
+    if (matches.length > 0) {
+      const declarations = { normal: {}, important: {} };
+      for (const rule of matches) {
+        Object.assign(declarations.normal, rule.declarations.normal);
+        Object.assign(declarations.important, rule.declarations.important);
+      }
+      matched.set(node.attributes, declarations);
+    }
+
+    ancestors.push(element);
+    for (const child of node.children || []) {
+      visit(child);
+    }
+    ancestors.pop();
+    path.pop();
+  };
+  visit(root);
+  return matched;
+}
+
+// Parse a declaration block such as a style attribute,
+// "fill: #f00; stroke-width: 2"
+export function parseStyleDeclarations(text) {
+  const declarations = { normal: {}, important: {} };
+  for (const declaration of splitOutsideParens(text, ";")) {
+    const colon = declaration.indexOf(":");
+    if (colon === -1) continue;
+    const name = declaration.slice(0, colon).trim().toLowerCase();
+    let value = declaration.slice(colon + 1).trim();
+    if (!name || !value) continue;
+
+    const important = /!\s*important$/i.test(value);
+    if (important) {
+      value = value.replace(/!\s*important$/i, "").trim();
+    }
+    declarations[important ? "important" : "normal"][name] = value;
+  }
+  return declarations;
+}
+
+// Rules with one selector each, in source order. At-rules such as @media
+// and @font-face are skipped.
+export function parseStylesheet(css) {
+  css = css.replace(/\/\*[\s\S]*?\*\//g, "").replace(/<!--|-->/g, "");
+  const rules = [];
+  let index = 0;
+  while (index < css.length) {
+    const open = css.indexOf("{", index);
+    if (open === -1) break;
+    const prelude = css.slice(index, open).trim();
+    const close = matchingBrace(css, open);
+    const body = css.slice(open + 1, close);
+    index = close + 1;
+
+    if (prelude.startsWith("@")) continue;
+    const declarations = parseStyleDeclarations(body);
+    for (const text of prelude.split(",")) {
+      const selector = parseSelector(text.trim());
+      if (selector) {
+        rules.push({ selector, declarations });
+      }
+    }
+  }
+  return rules;
+}
+
+// Type, universal, class and id selectors combined with descendant and
+// child combinators. Other selectors are not supported and never match.
+function parseSelector(text) {
+  const tokens = text.replace(/\s*>\s*/g, " > ").split(/\s+/);
+  const parts = [];
+  const specificity = [0, 0, 0];
+  let combinator = " ";
+  for (const token of tokens) {
+    if (!token) continue;
+    if (token === ">") {
+      combinator = ">";
+      continue;
+    }
+    const compound = parseCompound(token);
+    if (!compound) return null;
+    specificity[0] += compound.ids.length;
+    specificity[1] += compound.classes.length;
+    specificity[2] += compound.tagName ? 1 : 0;
+    parts.push({ ...compound, combinator: parts.length ? combinator : null });
+    combinator = " ";
+  }
+  return parts.length ? { parts, specificity } : null;
+}
+
+function parseCompound(token) {
+  const match = /^(\*|[\w-]+)?((?:[.#][\w-]+)*)$/.exec(token);
+  if (!match) return null;
+  const compound = {
+    tagName: match[1] && match[1] !== "*" ? match[1].toLowerCase() : null,
+    classes: [],
+    ids: [],
+  };
+  for (const [, kind, name] of match[2].matchAll(/([.#])([\w-]+)/g)) {
+    (kind === "." ? compound.classes : compound.ids).push(name);
+  }
+  return compound;
+}
+
+// Match from the last compound selector leftwards through the ancestors.
+// matched[end] says whether the parts so far fit in the first `end`
+// ancestors with the last of them placed as its combinator requires, so
+// each part is tried once per ancestor, however many ways there are to
+// match a descendant combinator.
+function matchesSelector(selector, element, ancestors) {
+  const { parts } = selector;
+  if (!matchesCompound(parts[parts.length - 1], element)) return false;
+
+  let matched = new Array(ancestors.length + 1).fill(true);
+  for (let index = 0; index < parts.length - 1; index++) {
+    // A child combinator only looks at the parent
+    const child = parts[index + 1].combinator === ">";
+    const next = new Array(ancestors.length + 1).fill(false);
+    for (let end = 1; end <= ancestors.length; end++) {
+      next[end] =
+        (matched[end - 1] &&
+          matchesCompound(parts[index], ancestors[end - 1])) ||
+        (!child && next[end - 1]);
+    }
+    matched = next;
+  }
+  return matched[ancestors.length];
+}
+
+function matchesCompound(compound, element) {
+  if (compound.tagName && compound.tagName !== element.tagName) {
+    return false;
+  }
+  if (compound.ids.some((id) => element.getAttribute("id") !== id)) {
+    return false;
+  }
+  if (compound.classes.length) {
+    const classes = (element.getAttribute("class") || "").split(/\s+/);
+    return compound.classes.every((name) => classes.includes(name));
+  }
+  return true;
+}
+
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+// The text of every <style> element, in document order
+function collectStyles(node, callback) {
+  if (node.tagName === "style") {
+    callback(
+      (node.children || [])
+        .filter((child) => child.tagName === "#text")
+        .map((child) => child.text)
+        .join("")
+    );
+    return;
+  }
+  for (const child of node.children || []) {
+    collectStyles(child, callback);
+  }
+}
+
+function matchingBrace(css, open) {
+  let depth = 0;
+  for (let i = open; i < css.length; i++) {
+    if (css[i] === "{") depth++;
+    if (css[i] === "}" && --depth === 0) return i;
+  }
+  return css.length;
+}
+
+// Split on a separator outside parentheses, so url(data:...;base64,...)
+// stays whole
+function splitOutsideParens(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "(") depth++;
+    if (text[i] === ")") depth = Math.max(0, depth - 1);
+    if (text[i] === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
@@ -0,0 +1,144 @@
+import { STYLE_PROPERTIES } from "./svg-css.js";
+import { SVGLimitError, resolveLimits } from "./svg-limits.js";
+
+// Convert a DOM Document or Element, from the browser or a DOM library,
+// into the { tagName, attributes, children } tree the renderer draws.
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Attributes in these namespaces are named with these prefixes, as the
+// parser names them
+const ATTRIBUTE_PREFIXES = new Map([
+  ["http://www.w3.org/1999/xlink", "xlink"],
+  ["http://www.w3.org/XML/1998/namespace", "xml"],
+]);
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const DOCUMENT_NODE = 9;
+
+// Whether a value passed to SVGtoPDF is a DOM node rather than a parsed
+// tree
+export function isDOMNode(value) {
+  return Boolean(value) && typeof value.nodeType === "number";
+}
+
+// The root element's tree and its elements by id. When the element is in
+// a document with getComputedStyle, the resolved values of the styles the
+// renderer reads are added to each element's style attribute, unless
+// `computedStyle` is false. Values the DOM does not resolve fall back to
+// the element's own styles. Trees nested deeper than `limits.maxDepth` or
+// with more than `limits.maxElements` elements throw an SVGLimitError, as
+// they do when parsed.
+export function fromDOM(node, { computedStyle = true, limits } = {}) {
+  const root = node.nodeType === DOCUMENT_NODE ? node.documentElement : node;
+  const ids = new Map();
+  if (!root || root.nodeType !== ELEMENT_NODE) {
+    return { root: null, ids };
+  }
+
+  const view = root.ownerDocument && root.ownerDocument.defaultView;
+  const getComputedStyle =
+    computedStyle &&
+    root.isConnected !== false &&
+    view &&
+    typeof view.getComputedStyle === "function"
+      ? (element) => view.getComputedStyle(element)
+      : null;
+
+  const { maxDepth, maxElements } = resolveLimits(limits);
+  let elementCount = 0;
+  // Labels of the elements being converted, for limit errors
+  const path = [];
+
+  const convert = (element) => {
+    const attributes = {};
+    for (const attribute of Array.from(element.attributes)) {
+      const prefix = ATTRIBUTE_PREFIXES.get(attribute.namespaceURI);
+      const name = prefix
+        ? `${prefix}:${attribute.localName}`
+        : attribute.name;
+      attributes[name] = attribute.value;
+    }
+
+    const tagName = elementName(element);
+    path.push(attributes.id ? `${tagName}#${attributes.id}` : tagName);
+    if (path.length > maxDepth) {
+      throw new SVGLimitError("maxDepth", maxDepth, { path: path.join(" > ") });
+    }
+    if (++elementCount > maxElements) {
+      throw new SVGLimitError("maxElements", maxElements, {
+        path: path.join(" > "),
+      });
+    }
+
+    if (getComputedStyle) {
+      const style = computedDeclarations(getComputedStyle(element));
+      if (style) {
+        attributes.style = attributes.style
+          ? `${attributes.style}; ${style}`
+          : style;
+      }
+    }
+
+    const converted = {
+      tagName,
+      attributes,
+      children: [],
+    };
+    const id = attributes.id;
+    if (id && !ids.has(id)) {
+      ids.set(id, converted);
+    }
+
+    for (const child of Array.from(element.childNodes)) {
+      if (child.nodeType === ELEMENT_NODE) {
+        converted.children.push(convert(child));
+      } else if (
+        child.nodeType === TEXT_NODE ||
+        child.nodeType === CDATA_SECTION_NODE
+      ) {
+        converted.children.push({
+          tagName: "#text",
+          attributes: {},
+          children: [],
+          text: child.data,
+        });
+      }
+    }
+    path.pop();
+    return converted;
+  };
+
+  return { root: convert(root), ids };
+}
+
+// Named like the parser names elements: SVG elements, and those without
+// a namespace, by their lowercased local name, others by their qualified
+// name
+function elementName(element) {
+  const namespace = element.namespaceURI;
+  if (!namespace || namespace === SVG_NAMESPACE) {
+    return element.localName.toLowerCase();
+  }
+  return element.nodeName.toLowerCase();
+}
+
+// A style attribute with the resolved values of the styles the renderer
+// reads. url() references are made local again, as browsers resolve them
+// against the page address.
+function computedDeclarations(style) {
+  if (!style) return "";
+  return STYLE_PROPERTIES.filter((property) => !property.includes(":"))
+    .map((property) => {
+      const value = style.getPropertyValue(property);
+      if (!value) return null;
+      return `${property}: ${value.replace(
+        /url\(\s*(["']?)[^"')#]*#/g,
+        "url($1#"
+      )}`;
+    })
+    .filter(Boolean)
+    .join("; ");
+}
@@ -0,0 +1,234 @@
+import { createElement } from "./svg-parser.js";
+import { SVGPath } from "./svg-path.js";
+import { resolveLength } from "./svg-units.js";
+
+const KAPPA = 0.5522847498;
+
+// The outline of a basic shape or <path> element as an SVGPath, or null
+// when the element has no geometry. Lengths resolve against the
+// { viewport, fontSize } in `units`.
+export function shapePath(element, units = {}) {
+  const number = (name, direction) =>
+    resolveLength(element.getAttribute(name), direction, units);
+  const path = new SVGPath();
+
+  switch (element.tagName) {
+    case "rect": {
+      const x = number("x", "x");
+      const y = number("y", "y");
+      const width = number("width", "x");
+      const height = number("height", "y");
+      const rx = number("rx", "x");
+      const ry = number("ry", "y");
+      if (width <= 0 || height <= 0) return null;
+
+      if (rx || ry) {
+        // Rounded rectangle
+        const r = Math.min(rx || ry, ry || rx, width / 2, height / 2);
+        path.moveTo(x + r, y);
+        path.lineTo(x + width - r, y);
+        path.bezierCurveTo(
+          x + width - r * 0.45,
+          y,
+          x + width,
+          y + r * 0.45,
+          x + width,
+          y + r
+        );
+        path.lineTo(x + width, y + height - r);
+        path.bezierCurveTo(
+          x + width,
+          y + height - r * 0.45,
+          x + width - r * 0.45,
+          y + height,
+          x + width - r,
+          y + height
+        );
+        path.lineTo(x + r, y + height);
+        path.bezierCurveTo(
+          x + r * 0.45,
+          y + height,
+          x,
+          y + height - r * 0.45,
+          x,
+          y + height - r
+        );
+        path.lineTo(x, y + r);
+        path.bezierCurveTo(x, y + r * 0.45, x + r * 0.45, y, x + r, y);
+      } else {
+        path.moveTo(x, y);
+        path.lineTo(x + width, y);
+        path.lineTo(x + width, y + height);
+        path.lineTo(x, y + height);
+      }
+      path.closePath();
+      return path;
+    }
+
+    case "circle":
+    case "ellipse": {
+      const cx = number("cx", "x");
+      const cy = number("cy", "y");
+      const circle = element.tagName === "circle";
+      const rx = circle ? number("r") : number("rx", "x");
+      const ry = circle ? number("r") : number("ry", "y");
+      if (rx <= 0 || ry <= 0) return null;
+
+      const ox = rx * KAPPA;
+      const oy = ry * KAPPA;
+      path.moveTo(cx - rx, cy);
+      path.bezierCurveTo(cx - rx, cy + oy, cx - ox, cy + ry, cx, cy + ry);
+      path.bezierCurveTo(cx + ox, cy + ry, cx + rx, cy + oy, cx + rx, cy);
+      path.bezierCurveTo(cx + rx, cy - oy, cx + ox, cy - ry, cx, cy - ry);
+      path.bezierCurveTo(cx - ox, cy - ry, cx - rx, cy - oy, cx - rx, cy);
+      path.closePath();
+      return path;
+    }
+
+    case "path": {
+      const d = element.getAttribute("d");
+      return d ? path.parse(d) : null;
+    }
+
+    case "line":
+      path.moveTo(number("x1", "x"), number("y1", "y"));
+      path.lineTo(number("x2", "x"), number("y2", "y"));
+      return path;
+
+    case "polyline":
+    case "polygon": {
+      const points = parsePoints(element.getAttribute("points"));
+      if (points.length < 4) return null;
+
+      path.moveTo(points[0], points[1]);
+      for (let i = 2; i + 1 < points.length; i += 2) {
+        path.lineTo(points[i], points[i + 1]);
+      }
+      if (element.tagName === "polygon") {
+        path.closePath();
+      }
+      return path;
+    }
+  }
+  return null;
+}
+
+// Bounding box of an element in its own user space, including its
+// children's transforms, or null when it has no geometry. Text is not
+// measured.
+export function elementBounds(
+  renderer,
+  element,
+  matrix = [1, 0, 0, 1, 0, 0],
+  depth = 0
+) {
+  if (depth > 32) return null;
+  renderer.countElement(element);
+
+  const units = { viewport: renderer.viewport };
+  const number = (name, direction) =>
+    resolveLength(element.getAttribute(name), direction, units);
+  const childMatrix = (child) =>
+    multiplyMatrix(
+      renderer.parseTransform(child.getAttribute("transform") || ""),
+      matrix
+    );
+
+  switch (element.tagName) {
+    case "svg":
+    case "g":
+    case "a":
+      return unionBounds(
+        element.children
+          .filter((child) => child.tagName !== "#text")
+          .map((node) => {
+            const child = createElement(node);
+            return elementBounds(
+              renderer,
+              child,
+              childMatrix(child),
+              depth + 1
+            );
+          })
+      );
+
+    case "use": {
+      const href =
+        element.getAttribute("href") || element.getAttribute("xlink:href");
+      const target = href && renderer.findElementById(href.slice(1));
+      if (!target) return null;
+      matrix = multiplyMatrix(
+        [1, 0, 0, 1, number("x", "x"), number("y", "y")],
+        matrix
+      );
+      return elementBounds(renderer, target, childMatrix(target), depth + 1);
+    }
+
+    case "image": {
+      const path = new SVGPath();
+      const x = number("x", "x");
+      const y = number("y", "y");
+      path.moveTo(x, y);
+      path.lineTo(x + number("width", "x"), y + number("height", "y"));
+      return path.transform(matrix).bounds();
+    }
+  }
+
+  const path = shapePath(element, units);
+  return path ? path.transform(matrix).bounds() : null;
+}
+
+// The transform applying m1 to points first, then m2
+export function multiplyMatrix(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m2;
+  const [a, b, c, d, e, f] = m1;
+  return [
+    a * a1 + b * c1,
+    a * b1 + b * d1,
+    c * a1 + d * c1,
+    c * b1 + d * d1,
+    e * a1 + f * c1 + e1,
+    e * b1 + f * d1 + f1,
+  ];
+}
+
+// The inverse transform, or null when the matrix is not invertible
+export function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  if (Math.abs(det) < 1e-12) {
+    return null;
+  }
+  return [
+    d / det,
+    -b / det,
+    -c / det,
+    a / det,
+    (c * f - d * e) / det,
+    (b * e - a * f) / det,
+  ];
+}
+
+export function applyMatrix([a, b, c, d, e, f], x, y) {
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+function unionBounds(boxes) {
+  boxes = boxes.filter(Boolean);
+  if (!boxes.length) return null;
+  const x = Math.min(...boxes.map((box) => box.x));
+  const y = Math.min(...boxes.map((box) => box.y));
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map((box) => box.x + box.width)) - x,
+    height: Math.max(...boxes.map((box) => box.y + box.height)) - y,
+  };
+}
+
+function parsePoints(pointsStr) {
+  if (!pointsStr) return [];
+  return pointsStr
+    .trim()
+    .split(/[\s,]+/)
+    .map(parseFloat);
+}
@@ -0,0 +1,177 @@
+import { createElement } from "./svg-parser.js";
+import { parseLength } from "./svg-units.js";
+
+// Build a document gradient from a <linearGradient> or <radialGradient>.
+// Attributes and stops missing on the element are inherited through its
+// href chain. Returns null when nothing should be painted.
+export function createGradient(renderer, element, bbox) {
+  const chain = gradientChain(renderer, element);
+  const attr = (name) => {
+    for (const gradient of chain) {
+      const value = gradient.getAttribute(name);
+      if (value !== null) return value;
+    }
+    return null;
+  };
+
+  const boundingBox = attr("gradientUnits") !== "userSpaceOnUse";
+  if (boundingBox && (!bbox || bbox.width === 0 || bbox.height === 0)) {
+    return null;
+  }
+
+  const stopsElement = chain.find((gradient) =>
+    gradient.children.some((child) => child.tagName === "stop")
+  );
+  if (!stopsElement) {
+    return null;
+  }
+
+  // Percentages are fractions of the bounding box, or of the viewport for
+  // userSpaceOnUse
+  const viewport = renderer.viewport || { width: 100, height: 100 };
+  const length = (name, fallback, reference) => {
+    const number = parseLength(attr(name), boundingBox ? 1 : reference);
+    return isNaN(number) ? fallback : number;
+  };
+  const width = viewport.width;
+  const height = viewport.height;
+  const diagonal = Math.sqrt((width * width + height * height) / 2);
+  const percent = (fraction, reference) =>
+    boundingBox ? fraction : fraction * reference;
+
+  const doc = renderer.doc;
+  let gradient;
+  if (element.tagName === "lineargradient") {
+    gradient = doc.linearGradient(
+      length("x1", 0, width),
+      length("y1", 0, height),
+      length("x2", percent(1, width), width),
+      length("y2", 0, height)
+    );
+  } else {
+    const cx = length("cx", percent(0.5, width), width);
+    const cy = length("cy", percent(0.5, height), height);
+    const r = length("r", percent(0.5, diagonal), diagonal);
+    gradient = doc.radialGradient(
+      length("fx", cx, width),
+      length("fy", cy, height),
+      length("fr", 0, diagonal),
+      cx,
+      cy,
+      r
+    );
+  }
+
+  if (boundingBox) {
+    gradient.transform(bbox.width, 0, 0, bbox.height, bbox.x, bbox.y);
+  }
+  const gradientTransform = attr("gradientTransform");
+  if (gradientTransform) {
+    gradient.transform(...renderer.parseTransform(gradientTransform));
+  }
+  gradient.spread(attr("spreadMethod") || "pad");
+
+  // Stops inherit color, for currentColor, from the gradient holding them
+  const inherited = renderer.computeStyle(stopsElement, {}).color;
+  for (const child of stopsElement.children) {
+    if (child.tagName !== "stop") continue;
+    const stop = createElement(child);
+    const style = renderer.computeStyle(
+      stop,
+      inherited ? { color: inherited } : {}
+    );
+    const offset = stop.getAttribute("offset") || "0";
+    const opacity = parseFloat(style["stop-opacity"]);
+    const { color, alpha } = stopColor(renderer, style);
+    gradient.stop(
+      offset.trim().endsWith("%")
+        ? parseFloat(offset) / 100
+        : parseFloat(offset) || 0,
+      color,
+      (isNaN(opacity) ? 1 : opacity) * alpha
+    );
+  }
+
+  return gradient;
+}
+
+// Stop colors go through the same colorCallback, spotColorMap, print color
+// and useCMYK handling as fills, so gradients can shade in CMYK or a spot
+// color. The alpha of the color multiplies stop-opacity.
+function stopColor(renderer, style) {
+  let color = style["stop-color"] || "black";
+  if (color.trim().toLowerCase() === "currentcolor") {
+    color = style.color || "black";
+  }
+
+  const options = renderer.options;
+  if (options.colorCallback) {
+    const result = options.colorCallback(color);
+    if (result) {
+      if (typeof result === "object" && result.c !== undefined) {
+        return { color: result, alpha: 1 };
+      }
+      color = result;
+    }
+  }
+
+  if (options.spotColorMap && options.spotColorMap[color]) {
+    const spotInfo = options.spotColorMap[color];
+    return {
+      color: { spot: spotInfo.name, tint: spotInfo.tint || 1 },
+      alpha: 1,
+    };
+  }
+
+  const print = renderer.printColor(color);
+  if (print && print.cmyk) {
+    return { color: print.cmyk, alpha: print.alpha };
+  }
+  if (print && print.spot) {
+    return {
+      color: { spot: print.spot, tint: print.tint },
+      alpha: print.alpha,
+    };
+  }
+  if (print) {
+    color = print.fallback;
+  }
+
+  const rgb = renderer.parseColor(color);
+  if (options.useCMYK) {
+    const cmyk = renderer.colorSpace.rgbToCMYK(rgb.r, rgb.g, rgb.b);
+    return {
+      color: {
+        c: cmyk.c * 100,
+        m: cmyk.m * 100,
+        y: cmyk.y * 100,
+        k: cmyk.k * 100,
+      },
+      alpha: rgb.alpha,
+    };
+  }
+
+  return { color: [rgb.r * 255, rgb.g * 255, rgb.b * 255], alpha: rgb.alpha };
+}
+
+// The gradient followed by the gradients it references with href
+function gradientChain(renderer, element) {
+  const chain = [element];
+  let current = element;
+  while (chain.length < 32) {
+    const href =
+      current.getAttribute("href") || current.getAttribute("xlink:href");
+    if (!href || !href.startsWith("#")) break;
+    const next = renderer.findElementById(href.slice(1));
+    if (
+      !next ||
+      chain.some((gradient) => gradient.attributes === next.attributes) ||
+      (next.tagName !== "lineargradient" && next.tagName !== "radialgradient")
+    ) {
+      break;
+    }
+    chain.push(next);
+    current = next;
+  }
+  return chain;
+}
@@ -0,0 +1,46 @@
+// Resource limits for SVG from untrusted sources. Parsing or rendering
+// past a limit aborts with an SVGLimitError; a limit set to Infinity is
+// not enforced.
+export const DEFAULT_LIMITS = {
+  // Characters of SVG source
+  maxInputLength: 20 * 1024 * 1024,
+  // Nested elements, in the source and as drawn through <use>
+  maxDepth: 256,
+  // Elements in the document
+  maxElements: 200000,
+  // Characters produced by expanding entities declared in the DOCTYPE
+  maxEntityExpansion: 1024 * 1024,
+  // Elements drawn or measured, counting each expansion of a <use>
+  maxRenderedElements: 500000,
+  // Path segments drawn or set text on, counting each expansion of a <use>
+  maxPathSegments: 2000000,
+  // Nested <use> references
+  maxReferenceDepth: 32,
+  // Compound selectors of <style> rules checked against elements
+  maxSelectorChecks: 20000000,
+};
+
+// The default limits overridden by `limits`
+export function resolveLimits(limits = {}) {
+  return { ...DEFAULT_LIMITS, ...limits };
+}
+
+// Thrown when SVG exceeds a limit. `limit` names it and `value` is its
+// setting; line, column and path locate the element when known.
+export class SVGLimitError extends Error {
+  constructor(limit, value, location = {}) {
+    const line = location.line ?? null;
+    const path = location.path ?? "";
+    const position =
+      line !== null ? ` at line ${line}, column ${location.column}` : "";
+    super(
+      `SVG exceeds ${limit} (${value})${position}${path ? ` (${path})` : ""}`
+    );
+    this.name = "SVGLimitError";
+    this.limit = limit;
+    this.value = value;
+    this.line = line;
+    this.column = location.column ?? null;
+    this.path = path;
+  }
+}
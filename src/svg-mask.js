@@ -0,0 +1,76 @@
+import { createElement } from "./svg-parser.js";
+import { elementBounds } from "./svg-geometry.js";
+import { parseLength } from "./svg-units.js";
+
+// Draw the <mask> referenced by a mask value such as "url(#fade)" into a
+// transparency group for masking the element. Returns the group name and
+// mask type for doc.softMask(), or null when the reference is missing and
+// the element is drawn unmasked.
+export function createMask(renderer, element, value) {
+  const match = /^url\(\s*['"]?#([^'")]+?)['"]?\s*\)$/.exec(value.trim());
+  if (!match) return null;
+
+  const id = match[1];
+  const mask = renderer.findElementById(id);
+  if (!mask || mask.tagName !== "mask") {
+    renderer.warn(`mask references a missing mask #${id}`);
+    return null;
+  }
+  if (renderer.activeMasks.has(id)) {
+    renderer.warn(`mask #${id} references itself`);
+    return null;
+  }
+
+  // Without a bounding box the mask region is empty and hides the element
+  const bbox = elementBounds(renderer, element) || {
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+  };
+
+  // The mask region defaults to the bounding box plus 10% on each side
+  const boundingBox = mask.getAttribute("maskUnits") !== "userSpaceOnUse";
+  const viewport = renderer.viewport || { width: 100, height: 100 };
+  const length = (name, fallback, reference) => {
+    const attr = mask.getAttribute(name);
+    const number = parseLength(attr, reference);
+    if (isNaN(number)) return fallback * reference;
+    if (attr.trim().endsWith("%")) return number;
+    // Bounding box units are fractions of the box
+    return boundingBox ? number * reference : number;
+  };
+  const region = boundingBox
+    ? {
+        x: bbox.x + length("x", -0.1, bbox.width),
+        y: bbox.y + length("y", -0.1, bbox.height),
+        width: length("width", 1.2, bbox.width),
+        height: length("height", 1.2, bbox.height),
+      }
+    : {
+        x: length("x", -0.1, viewport.width),
+        y: length("y", -0.1, viewport.height),
+        width: length("width", 1.2, viewport.width),
+        height: length("height", 1.2, viewport.height),
+      };
+
+  const doc = renderer.doc;
+  doc.beginGroup();
+  doc.rect(region.x, region.y, region.width, region.height).clip();
+  if (mask.getAttribute("maskContentUnits") === "objectBoundingBox") {
+    doc.transform(bbox.width, 0, 0, bbox.height, bbox.x, bbox.y);
+  }
+
+  // Mask content inherits style from the <mask>, not the masked element
+  const style = renderer.computeStyle(mask, {});
+  renderer.activeMasks.add(id);
+  for (const node of mask.children) {
+    renderer.renderElement(createElement(node), style);
+  }
+  renderer.activeMasks.delete(id);
+
+  return {
+    group: doc.endGroup(),
+    type: style["mask-type"] === "alpha" ? "alpha" : "luminosity",
+  };
+}
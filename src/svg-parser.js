@@ -1,147 +1,529 @@
-// Proper SVG Parser implementation
+// XML parser for SVG documents. It reads the source in a single pass,
+// resolving namespaces and decoding entities, and builds a tree of
+// { tagName, attributes, children } nodes with text as "#text" nodes.
+
+import { SVGLimitError, resolveLimits } from "./svg-limits.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+const XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace";
+
+// Attributes in these namespaces are named with these prefixes, whatever
+// prefix the document binds, so the renderer can ask for xlink:href
+const ATTRIBUTE_PREFIXES = new Map([
+  [XLINK_NAMESPACE, "xlink"],
+  [XML_NAMESPACE, "xml"],
+]);
+
+const PREDEFINED_ENTITIES = [
+  ["amp", "&"],
+  ["lt", "<"],
+  ["gt", ">"],
+  ["quot", '"'],
+  ["apos", "'"],
+];
+
+const PREDEFINED_NAMES = new Set(PREDEFINED_ENTITIES.map(([name]) => name));
+
+// Sticky patterns for the parts of a tag, matched at the parser's index
+const TAG_NAME = /<([^\s/>]+)/y;
+const ATTRIBUTE = /\s*(?:(\/?>)|([^\s=/>]+)\s*(?:=\s*("[^"]*"|'[^']*'))?)/y;
+const CLOSING_TAG = /<\/([^\s>]+)\s*>/y;
+
+// Entity values are expanded once when declared; longer expansions are
+// dropped so nested entities cannot blow up memory
+const MAX_ENTITY_LENGTH = 65536;
+
+// Thrown by a strict parser for malformed markup. `diagnostics` lists
+// every problem found; the message, line, column and path are the first
+// error's.
+export class SVGParseError extends Error {
+  constructor(diagnostics) {
+    const error = diagnostics.find(
+      (diagnostic) => diagnostic.severity === "error"
+    );
+    super(`SVGParser: ${formatDiagnostic(error)}`);
+    this.name = "SVGParseError";
+    this.diagnostics = diagnostics;
+    this.line = error.line;
+    this.column = error.column;
+    this.path = error.path;
+  }
+}
+
+// "unclosed <g> at line 3, column 5 (svg > g#logo)"
+export function formatDiagnostic({ message, line, column, path }) {
+  const position = line !== null ? ` at line ${line}, column ${column}` : "";
+  return `${message}${position}${path ? ` (${path})` : ""}`;
+}
+
 export class SVGParser {
+  // With `strict`, parse() throws an SVGParseError when the markup has
+  // errors instead of recovering. `limits` overrides the resource limits
+  // of svg-limits.js; exceeding one throws an SVGLimitError.
+  constructor(options = {}) {
+    this.strict = Boolean(options.strict);
+    this.limits = resolveLimits(options.limits);
+    // Elements of the last parse by id, the first in document order
+    this.ids = new Map();
+    // Problems found by the last parse, as { severity, message, line, column,
+    // path }, where severity is "error" or "warning" and path names the
+    // open elements, such as "svg > g#logo > rect"
+    this.diagnostics = [];
+    // Where each element starts, as a SourceLocation with line, column
+    // and path, keyed by its attributes object like the stylesheet matches
+    this.locations = new WeakMap();
+  }
+
+  // The root element of an SVG document, or null when it has none.
+  // Malformed markup is reported and parsed as far as possible.
   parse(svgString) {
-    // Clean up the SVG string
-    svgString = svgString.trim();
+    this.source = svgString;
+    this.index = 0;
+    this.ids = new Map();
+    this.locations = new WeakMap();
+    this.lineStarts = null;
+    this.entities = new Map(PREDEFINED_ENTITIES);
+    this.diagnostics = [];
+    this.elementCount = 0;
+    this.entityExpansion = 0;
+    if (svgString.length > this.limits.maxInputLength) {
+      throw new SVGLimitError("maxInputLength", this.limits.maxInputLength);
+    }
+
+    const document = { children: [] };
+    // Open elements, each with its qualified name, namespace bindings and
+    // where it starts
+    const stack = [
+      { node: document, name: null, namespaces: { xml: XML_NAMESPACE } },
+    ];
+    this.stack = stack;
 
-    // Create a simple DOM-like structure
-    const root = this.parseElement(svgString);
+    while (this.index < this.source.length) {
+      const tagStart = this.source.indexOf("<", this.index);
+      const textEnd = tagStart === -1 ? this.source.length : tagStart;
+      // Text outside the root element is only whitespace in valid XML
+      if (textEnd > this.index && stack.length > 1) {
+        const text = this.decodeEntities(
+          this.source.substring(this.index, textEnd)
+        );
+        appendText(stack[stack.length - 1].node, text);
+      }
+      if (tagStart === -1) break;
+      this.index = tagStart;
+
+      if (this.source.startsWith("<!--", tagStart)) {
+        // Comments are dropped
+        if (!this.skipPast("-->", "comment")) break;
+      } else if (this.source.startsWith("<![CDATA[", tagStart)) {
+        // CDATA sections are kept as text, without decoding
+        const end = this.source.indexOf("]]>", tagStart);
+        if (end === -1) {
+          this.error("unterminated CDATA section");
+          break;
+        }
+        if (stack.length > 1) {
+          appendText(
+            stack[stack.length - 1].node,
+            this.source.substring(tagStart + 9, end)
+          );
+        }
+        this.index = end + 3;
+      } else if (this.source.startsWith("<?", tagStart)) {
+        // The XML declaration and processing instructions are dropped
+        if (!this.skipPast("?>", "processing instruction")) break;
+      } else if (
+        this.source.slice(tagStart, tagStart + 9).toUpperCase() === "<!DOCTYPE"
+      ) {
+        if (!this.parseDoctype()) break;
+      } else if (this.source.startsWith("</", tagStart)) {
+        if (!this.parseClosingTag(stack)) break;
+      } else if (!this.parseOpeningTag(stack)) {
+        break;
+      }
+    }
+
+    while (stack.length > 1) {
+      this.reportUnclosed();
+    }
+    const root =
+      document.children.find((node) => node.tagName !== "#text") || null;
+    if (!root) {
+      this.error("no root element", 0);
+    }
+    if (
+      this.strict &&
+      this.diagnostics.some((diagnostic) => diagnostic.severity === "error")
+    ) {
+      throw new SVGParseError(this.diagnostics);
+    }
     return root;
   }
 
-  parseElement(str) {
-    // Match opening tag
-    const openTagMatch = str.match(/^<(\w+)([^>]*)>/);
-    if (!openTagMatch) return null;
+  error(message, index = this.index) {
+    this.report("error", message, index);
+  }
 
-    const tagName = openTagMatch[1];
-    const attrsString = openTagMatch[2];
-    const element = {
-      tagName: tagName.toLowerCase(),
-      attributes: this.parseAttributes(attrsString),
-      children: [],
+  warning(message, index = this.index) {
+    this.report("warning", message, index);
+  }
+
+  // Record a problem at a position in the source, with the path of the
+  // elements open there, and log it
+  report(severity, message, index) {
+    const diagnostic = {
+      severity,
+      message,
+      ...this.location(index),
+      path: this.openPath(),
     };
+    this.diagnostics.push(diagnostic);
+    console.warn(`SVGParser: ${formatDiagnostic(diagnostic)}`);
+  }
 
-    // Remove the opening tag
-    str = str.substring(openTagMatch[0].length);
+  // 1-based { line, column } of a source index
+  location(index) {
+    if (!this.lineStarts) {
+      this.lineStarts = [0];
+      let newline = this.source.indexOf("\n");
+      while (newline !== -1) {
+        this.lineStarts.push(newline + 1);
+        newline = this.source.indexOf("\n", newline + 1);
+      }
+    }
+    // The last line starting at or before the index
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= index) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: index - this.lineStarts[low] + 1 };
+  }
 
-    // Check if self-closing
-    if (attrsString.endsWith("/")) {
-      return element;
+  // Abort parsing at a source index
+  limitError(limit, index = this.index) {
+    return new SVGLimitError(limit, this.limits[limit], {
+      ...this.location(index),
+      path: this.openPath(),
+    });
+  }
+
+  openPath() {
+    return this.stack
+      .slice(1)
+      .map((open) => open.label)
+      .join(" > ");
+  }
+
+  // Close the innermost open element, reported where it starts
+  reportUnclosed() {
+    const open = this.stack[this.stack.length - 1];
+    this.report("error", `unclosed <${open.name}>`, open.start);
+    this.stack.pop();
+  }
+
+  // Move past the next `terminator`, warning when there is none
+  skipPast(terminator, construct) {
+    const end = this.source.indexOf(terminator, this.index);
+    if (end === -1) {
+      this.error(`unterminated ${construct}`);
+      return false;
     }
+    this.index = end + terminator.length;
+    return true;
+  }
 
-    // Parse children until we find the closing tag
-    const closingTag = `</${tagName}>`;
-    const closingIndex = str.lastIndexOf(closingTag);
+  // A DOCTYPE, collecting general entities declared in its internal subset
+  // such as the namespace entities written by Illustrator
+  parseDoctype() {
+    let quote = null;
+    let subsetStart = -1;
+    let subsetEnd = -1;
+    for (let i = this.index + 9; i < this.source.length; i++) {
+      const char = this.source[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "[" && subsetStart === -1) {
+        subsetStart = i + 1;
+      } else if (char === "]" && subsetStart !== -1 && subsetEnd === -1) {
+        subsetEnd = i;
+      } else if (char === ">" && (subsetStart === -1 || subsetEnd !== -1)) {
+        if (subsetStart !== -1) {
+          this.parseEntityDeclarations(
+            this.source.substring(subsetStart, subsetEnd)
+          );
+        }
+        this.index = i + 1;
+        return true;
+      } else if (char === "<" && this.source.startsWith("<!--", i)) {
+        const end = this.source.indexOf("-->", i);
+        if (end === -1) break;
+        i = end + 2;
+      }
+    }
+    this.error("unterminated DOCTYPE");
+    return false;
+  }
 
-    if (closingIndex === -1) {
-      console.warn(`No closing tag found for ${tagName}`);
-      return element;
+  // Internal general entities; parameter and external entities are ignored
+  parseEntityDeclarations(subset) {
+    const declaration =
+      /<!ENTITY\s+([^\s%"']+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+    let match;
+    while ((match = declaration.exec(subset)) !== null) {
+      const name = match[1];
+      if (this.entities.has(name)) continue; // the first declaration wins
+      const value = this.decodeEntities(
+        match[2] !== undefined ? match[2] : match[3]
+      );
+      if (value.length > MAX_ENTITY_LENGTH) {
+        this.warning(`entity &${name}; is too long, ignoring it`);
+        continue;
+      }
+      this.entities.set(name, value);
     }
+  }
 
-    const innerContent = str.substring(0, closingIndex);
-    element.children = this.parseChildren(innerContent);
+  parseOpeningTag(stack) {
+    const start = this.index;
+    TAG_NAME.lastIndex = this.index;
+    const name = TAG_NAME.exec(this.source);
+    if (!name) {
+      // A stray "<" is kept as text
+      this.error('unescaped "<"');
+      if (stack.length > 1) {
+        appendText(stack[stack.length - 1].node, "<");
+      }
+      this.index++;
+      return true;
+    }
+    this.index = TAG_NAME.lastIndex;
 
-    return element;
+    const rawAttributes = [];
+    const attributeNames = new Set();
+    let selfClosing = false;
+    for (;;) {
+      ATTRIBUTE.lastIndex = this.index;
+      const match = ATTRIBUTE.exec(this.source);
+      if (!match) {
+        this.error(`malformed <${name[1]}> tag`);
+        return false;
+      }
+      this.index = ATTRIBUTE.lastIndex;
+      if (match[1]) {
+        selfClosing = match[1] === "/>";
+        break;
+      }
+      // Attributes without a value are read as empty, and repeated ones
+      // keep their first value
+      const attributeStart = ATTRIBUTE.lastIndex - match[0].trimStart().length;
+      if (!match[3]) {
+        this.error(`attribute ${match[2]} has no value`, attributeStart);
+      }
+      if (attributeNames.has(match[2])) {
+        this.error(`duplicate attribute ${match[2]}`, attributeStart);
+        continue;
+      }
+      attributeNames.add(match[2]);
+      const value = match[3] ? match[3].slice(1, -1) : "";
+      // Literal whitespace is normalized to spaces before entities decode
+      rawAttributes.push([
+        match[2],
+        this.decodeEntities(value.replace(/[\t\n\r]/g, " ")),
+      ]);
+    }
+
+    // Namespace declarations apply to the element and its descendants
+    const parent = stack[stack.length - 1];
+    const namespaces = { ...parent.namespaces };
+    for (const [attributeName, value] of rawAttributes) {
+      if (attributeName === "xmlns") {
+        namespaces[""] = value;
+      } else if (attributeName.startsWith("xmlns:")) {
+        namespaces[attributeName.slice(6)] = value;
+      }
+    }
+
+    const node = this.createNode(
+      elementName(name[1], namespaces),
+      resolveAttributes(rawAttributes, namespaces)
+    );
+    parent.node.children.push(node);
+
+    // Elements are labeled with their id in paths
+    const id = node.attributes.id;
+    const open = {
+      node,
+      name: name[1],
+      label: id ? `${name[1]}#${id}` : name[1],
+      namespaces,
+      start,
+    };
+    stack.push(open);
+    if (stack.length - 1 > this.limits.maxDepth) {
+      throw this.limitError("maxDepth", start);
+    }
+    if (++this.elementCount > this.limits.maxElements) {
+      throw this.limitError("maxElements", start);
+    }
+    const { line, column } = this.location(start);
+    open.location = new SourceLocation(
+      line,
+      column,
+      open.label,
+      parent.location
+    );
+    this.locations.set(node.attributes, open.location);
+    if (selfClosing) {
+      stack.pop();
+    }
+    return true;
   }
 
-  parseChildren(str) {
-    const children = [];
-    let remaining = str.trim();
-
-    while (remaining) {
-      // Skip whitespace
-      remaining = remaining.trim();
-      if (!remaining) break;
-
-      // Check for element
-      if (remaining.startsWith("<")) {
-        // Find the end of this element
-        const tagMatch = remaining.match(/^<(\w+)([^>]*)>/);
-        if (tagMatch) {
-          const tagName = tagMatch[1];
-          const isSelfClosing = tagMatch[2].endsWith("/");
-
-          if (isSelfClosing) {
-            // Self-closing tag
-            const element = {
-              tagName: tagName.toLowerCase(),
-              attributes: this.parseAttributes(tagMatch[2]),
-              children: [],
-            };
-            children.push(element);
-            remaining = remaining.substring(tagMatch[0].length);
-          } else {
-            // Find matching closing tag
-            const closingTag = `</${tagName}>`;
-            let depth = 1;
-            let pos = tagMatch[0].length;
-
-            while (depth > 0 && pos < remaining.length) {
-              const nextOpen = remaining.indexOf(`<${tagName}`, pos);
-              const nextClose = remaining.indexOf(closingTag, pos);
-
-              if (nextClose === -1) break;
-
-              if (nextOpen !== -1 && nextOpen < nextClose) {
-                depth++;
-                pos = nextOpen + 1;
-              } else {
-                depth--;
-                if (depth === 0) {
-                  const fullElement = remaining.substring(
-                    0,
-                    nextClose + closingTag.length
-                  );
-                  const element = this.parseElement(fullElement);
-                  if (element) children.push(element);
-                  remaining = remaining.substring(
-                    nextClose + closingTag.length
-                  );
-                } else {
-                  pos = nextClose + 1;
-                }
-              }
-            }
+  // A closing tag for an ancestor closes the elements left open inside
+  // it; one without an open element is ignored
+  parseClosingTag(stack) {
+    const start = this.index;
+    CLOSING_TAG.lastIndex = this.index;
+    const match = CLOSING_TAG.exec(this.source);
+    if (!match) {
+      this.error("malformed closing tag");
+      return false;
+    }
+    this.index = CLOSING_TAG.lastIndex;
+
+    let open = stack.length - 1;
+    while (open > 0 && stack[open].name !== match[1]) {
+      open--;
+    }
+    if (open === 0) {
+      this.error(`unexpected </${match[1]}>`, start);
+      return true;
+    }
+    while (stack.length - 1 > open) {
+      this.reportUnclosed();
+    }
+    stack.pop();
+    return true;
+  }
 
-            if (depth > 0) {
-              console.warn(`Unclosed tag: ${tagName}`);
-              break;
+  // An element node, indexed by id; the first element with an id wins
+  createNode(tagName, attributes) {
+    const element = { tagName, attributes, children: [] };
+    const id = element.attributes.id;
+    if (id && !this.ids.has(id)) {
+      this.ids.set(id, element);
+    }
+    return element;
+  }
+
+  // Character references, the predefined entities and those declared in
+  // the DOCTYPE. Unknown entities are left as written.
+  decodeEntities(text) {
+    if (!text.includes("&")) return text;
+    return text.replace(
+      /&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_:][\w.:-]*);/g,
+      (reference, entity) => {
+        if (entity[0] === "#") {
+          const code =
+            entity[1] === "x"
+              ? parseInt(entity.slice(2), 16)
+              : parseInt(entity.slice(1), 10);
+          return code > 0 && code <= 0x10ffff
+            ? String.fromCodePoint(code)
+            : reference;
+        }
+        if (this.entities.has(entity)) {
+          const value = this.entities.get(entity);
+          if (!PREDEFINED_NAMES.has(entity)) {
+            this.entityExpansion += value.length;
+            if (this.entityExpansion > this.limits.maxEntityExpansion) {
+              throw this.limitError("maxEntityExpansion");
             }
           }
-        } else {
-          // Not a valid tag, skip
-          remaining = remaining.substring(1);
-        }
-      } else {
-        // Text content - for now we'll skip it
-        const nextTag = remaining.indexOf("<");
-        if (nextTag === -1) {
-          break;
-        } else {
-          remaining = remaining.substring(nextTag);
+          return value;
         }
+        this.error(`unknown entity ${reference}`);
+        return reference;
       }
-    }
-
-    return children;
+    );
   }
+}
 
-  parseAttributes(attrString) {
-    const attrs = {};
-    const attrRegex = /(\w+(?:-\w+)*)(?:\s*=\s*"([^"]*)"|\s*=\s*'([^']*)')?/g;
-    let match;
+// Where an element starts. Its path is built from its ancestors when
+// asked for, so deep documents do not store a path per element.
+class SourceLocation {
+  constructor(line, column, label, parent) {
+    this.line = line;
+    this.column = column;
+    this.label = label;
+    this.parent = parent;
+  }
 
-    while ((match = attrRegex.exec(attrString)) !== null) {
-      const name = match[1];
-      const value = match[2] || match[3] || "";
-      attrs[name] = value;
+  get path() {
+    const labels = [];
+    for (let location = this; location; location = location.parent) {
+      labels.unshift(location.label);
     }
+    return labels.join(" > ");
+  }
+}
+
+// Elements in the SVG namespace, or in none, are named by their lowercased
+// local name. Others keep their qualified name, such as
+// "sodipodi:namedview", so they never match an SVG element.
+function elementName(qualifiedName, namespaces) {
+  const colon = qualifiedName.indexOf(":");
+  const prefix = colon === -1 ? "" : qualifiedName.slice(0, colon);
+  const localName = qualifiedName.slice(colon + 1);
+  const namespace = namespaces[prefix];
+  if (namespace === SVG_NAMESPACE || (!prefix && !namespace)) {
+    return localName.toLowerCase();
+  }
+  return qualifiedName.toLowerCase();
+}
+
+// Attribute names are kept as written, except that xlink and xml
+// attributes are named with those prefixes
+function resolveAttributes(rawAttributes, namespaces) {
+  const attributes = {};
+  for (const [name, value] of rawAttributes) {
+    const colon = name.indexOf(":");
+    const prefix = colon === -1 ? "" : name.slice(0, colon);
+    const namespacePrefix =
+      prefix && prefix !== "xmlns"
+        ? ATTRIBUTE_PREFIXES.get(namespaces[prefix])
+        : null;
+    const resolved = namespacePrefix
+      ? `${namespacePrefix}:${name.slice(colon + 1)}`
+      : name;
+    attributes[resolved] = value;
+  }
+  return attributes;
+}
 
-    return attrs;
+// Text content is stored as a "#text" node with the element shape.
+// Adjacent text, such as text around a CDATA section, is merged.
+function appendText(parent, text) {
+  const last = parent.children[parent.children.length - 1];
+  if (last && last.tagName === "#text") {
+    last.text += text;
+  } else {
+    parent.children.push(createTextNode(text));
   }
 }
 
+function createTextNode(text) {
+  return { tagName: "#text", attributes: {}, children: [], text };
+}
+
 // Helper to create element accessor
 export function createElement(element) {
   return {
@@ -151,5 +533,6 @@ export function createElement(element) {
     },
     children: element.children,
     attributes: element.attributes,
+    text: element.text,
   };
 }
@@ -1,4 +1,50 @@
 // SVG Path Parser based on SVG-to-PDFKit implementation
+// Arguments taken by each path command, per repetition
+const ARGUMENT_COUNTS = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0,
+};
+
+const WHITESPACE = /[ \t\n\f\r]*/y;
+const COMMA_WHITESPACE = /[ \t\n\f\r]*,?[ \t\n\f\r]*/y;
+const COMMAND = /[MmLlHhVvCcSsQqTtAaZz]/y;
+const NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const FLAG = /[01]/y;
+
+// The text `pattern` matches at `index`, or null
+function token(pattern, text, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match ? match[0] : null;
+}
+
+// The index after what `pattern` matches at `index`
+function skip(pattern, text, index) {
+  pattern.lastIndex = index;
+  pattern.exec(text);
+  return pattern.lastIndex;
+}
+
+// Thrown by SVGPath.parse with `strict` for malformed path data. `offset`
+// is where the first error is in the data; valid path data is ASCII, so
+// it is also the byte offset.
+export class SVGPathError extends Error {
+  constructor(reason, offset) {
+    super(`SVGPath: ${reason} at offset ${offset}`);
+    this.name = "SVGPathError";
+    this.reason = reason;
+    this.offset = offset;
+  }
+}
+
 export class SVGPath {
   static apply(doc, pathData) {
     const path = new SVGPath();
@@ -14,270 +60,154 @@ export class SVGPath {
     this.lastCommand = "";
     this.lastControlX = 0;
     this.lastControlY = 0;
+    this.error = null; // the first error in the parsed path data
   }
 
-  parse(d) {
+  // Parse path data by the SVG 2 grammar. Numbers take the full syntax
+  // ("1e-3", "+2", "0.5.5" as two numbers) and arc flags are single
+  // digits, so "a5 5 0 015 5" parses. A command's arguments repeat while
+  // numbers follow, a moveto's extra pairs being linetos. Drawing stops
+  // before the segment holding the first error, as SVG requires; the
+  // error is kept as `error`, or thrown with `strict`.
+  parse(d, options = {}) {
+    this.error = null;
     if (!d) return this;
 
-    // More robust path parsing that handles decimal numbers correctly
-    const pathData = d.trim();
-    let currentIndex = 0;
-
-    while (currentIndex < pathData.length) {
-      // Skip whitespace
-      while (
-        currentIndex < pathData.length &&
-        /\s/.test(pathData[currentIndex])
-      ) {
-        currentIndex++;
+    const fail = (reason, offset) => {
+      const found = offset < d.length ? `"${d[offset]}"` : "end of data";
+      const error = new SVGPathError(`${reason}, found ${found}`, offset);
+      if (options.strict) throw error;
+      this.error = error;
+      return this;
+    };
+
+    let index = skip(WHITESPACE, d, 0);
+    let started = false;
+    while (index < d.length) {
+      const command = token(COMMAND, d, index);
+      if (!started && command !== "M" && command !== "m") {
+        return fail("expected a moveto command", index);
       }
-
-      if (currentIndex >= pathData.length) break;
-
-      // Get command letter
-      const command = pathData[currentIndex];
-      if (!/[MmLlHhVvCcSsQqTtAaZz]/.test(command)) {
-        console.warn(`Invalid path command: ${command}`);
-        currentIndex++;
-        continue;
-      }
-
-      currentIndex++;
-      const args = [];
-
-      // Parse numbers for this command
-      while (currentIndex < pathData.length) {
-        // Skip whitespace and commas
-        while (
-          currentIndex < pathData.length &&
-          /[\s,]/.test(pathData[currentIndex])
-        ) {
-          currentIndex++;
-        }
-
-        // Check if we've hit the next command
-        if (
-          currentIndex < pathData.length &&
-          /[MmLlHhVvCcSsQqTtAaZz]/.test(pathData[currentIndex])
-        ) {
-          break;
-        }
-
-        // Parse a number (including negative and decimal)
-        let numStr = "";
-        let hasDecimal = false;
-
-        // Handle negative sign
-        if (currentIndex < pathData.length && pathData[currentIndex] === "-") {
-          numStr += "-";
-          currentIndex++;
-        }
-
-        // Parse digits before decimal
-        while (
-          currentIndex < pathData.length &&
-          /\d/.test(pathData[currentIndex])
-        ) {
-          numStr += pathData[currentIndex];
-          currentIndex++;
-        }
-
-        // Parse decimal point and digits after
-        if (currentIndex < pathData.length && pathData[currentIndex] === ".") {
-          numStr += ".";
-          currentIndex++;
-          hasDecimal = true;
-
-          while (
-            currentIndex < pathData.length &&
-            /\d/.test(pathData[currentIndex])
-          ) {
-            numStr += pathData[currentIndex];
-            currentIndex++;
-          }
-        }
-
-        // Handle special case where number starts with decimal point (e.g., .01)
-        if (
-          numStr === "" &&
-          currentIndex < pathData.length &&
-          pathData[currentIndex] === "."
-        ) {
-          numStr = "0.";
-          currentIndex++;
-
-          while (
-            currentIndex < pathData.length &&
-            /\d/.test(pathData[currentIndex])
-          ) {
-            numStr += pathData[currentIndex];
-            currentIndex++;
+      if (!command) return fail("expected a command", index);
+      started = true;
+      index = skip(WHITESPACE, d, index + 1);
+
+      const count = ARGUMENT_COUNTS[command.toUpperCase()];
+      let type = command;
+      while (count > 0) {
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          if (i > 0) index = skip(COMMA_WHITESPACE, d, index);
+          const flag = (type === "A" || type === "a") && (i === 3 || i === 4);
+          const value = token(flag ? FLAG : NUMBER, d, index);
+          if (value === null) {
+            return fail(
+              flag ? "expected a flag (0 or 1)" : "expected a number",
+              index
+            );
           }
+          args.push(parseFloat(value));
+          index += value.length;
         }
-
-        if (numStr !== "" && numStr !== "-") {
-          args.push(parseFloat(numStr));
-        } else if (numStr === "-") {
-          // Handle case where we just have a minus sign (could be part of next number)
-          currentIndex--;
-          break;
-        }
-      }
-
-      if (args.length > 0 || /[Zz]/.test(command)) {
-        this.processCommand(command, args);
+        this.processCommand(type, args);
+        if (type === "M") type = "L";
+        if (type === "m") type = "l";
+
+        // Another argument set may follow a separator
+        const next = skip(COMMA_WHITESPACE, d, index);
+        if (token(NUMBER, d, next) === null) break;
+        index = next;
       }
+      if (count === 0) this.processCommand(type, []);
+      index = skip(WHITESPACE, d, index);
     }
 
     return this;
   }
 
+  // Draw one segment of an absolute or relative command
   processCommand(type, args) {
+    const x = this.currentX;
+    const y = this.currentY;
     switch (type) {
       case "M":
-        if (args.length >= 2) {
-          this.moveTo(args[0], args[1]);
-          // After M, subsequent pairs are implicit L commands
-          for (let i = 2; i < args.length; i += 2) {
-            if (i + 1 < args.length) {
-              this.lineTo(args[i], args[i + 1]);
-            }
-          }
-        }
+        this.moveTo(args[0], args[1]);
         break;
       case "m":
-        this.moveTo(this.currentX + args[0], this.currentY + args[1]);
-        for (let i = 2; i < args.length; i += 2) {
-          this.lineTo(this.currentX + args[i], this.currentY + args[i + 1]);
-        }
+        this.moveTo(x + args[0], y + args[1]);
         break;
       case "L":
-        for (let i = 0; i < args.length; i += 2) {
-          this.lineTo(args[i], args[i + 1]);
-        }
+        this.lineTo(args[0], args[1]);
         break;
       case "l":
-        for (let i = 0; i < args.length; i += 2) {
-          this.lineTo(this.currentX + args[i], this.currentY + args[i + 1]);
-        }
+        this.lineTo(x + args[0], y + args[1]);
         break;
       case "H":
-        for (let i = 0; i < args.length; i++) {
-          this.lineTo(args[i], this.currentY);
-        }
+        this.lineTo(args[0], y);
         break;
       case "h":
-        for (let i = 0; i < args.length; i++) {
-          this.lineTo(this.currentX + args[i], this.currentY);
-        }
+        this.lineTo(x + args[0], y);
         break;
       case "V":
-        for (let i = 0; i < args.length; i++) {
-          this.lineTo(this.currentX, args[i]);
-        }
+        this.lineTo(x, args[0]);
         break;
       case "v":
-        for (let i = 0; i < args.length; i++) {
-          this.lineTo(this.currentX, this.currentY + args[i]);
-        }
+        this.lineTo(x, y + args[0]);
         break;
       case "C":
-        for (let i = 0; i < args.length; i += 6) {
-          this.bezierCurveTo(
-            args[i],
-            args[i + 1],
-            args[i + 2],
-            args[i + 3],
-            args[i + 4],
-            args[i + 5]
-          );
-        }
+        this.bezierCurveTo(...args);
         break;
       case "c":
-        for (let i = 0; i < args.length; i += 6) {
-          this.bezierCurveTo(
-            this.currentX + args[i],
-            this.currentY + args[i + 1],
-            this.currentX + args[i + 2],
-            this.currentY + args[i + 3],
-            this.currentX + args[i + 4],
-            this.currentY + args[i + 5]
-          );
-        }
+        this.bezierCurveTo(
+          x + args[0],
+          y + args[1],
+          x + args[2],
+          y + args[3],
+          x + args[4],
+          y + args[5]
+        );
         break;
       case "S":
-        for (let i = 0; i < args.length; i += 4) {
-          this.smoothBezierCurveTo(
-            args[i],
-            args[i + 1],
-            args[i + 2],
-            args[i + 3]
-          );
-        }
+        this.smoothBezierCurveTo(...args);
         break;
       case "s":
-        for (let i = 0; i < args.length; i += 4) {
-          this.smoothBezierCurveTo(
-            this.currentX + args[i],
-            this.currentY + args[i + 1],
-            this.currentX + args[i + 2],
-            this.currentY + args[i + 3]
-          );
-        }
+        this.smoothBezierCurveTo(
+          x + args[0],
+          y + args[1],
+          x + args[2],
+          y + args[3]
+        );
         break;
       case "Q":
-        for (let i = 0; i < args.length; i += 4) {
-          this.quadraticCurveTo(args[i], args[i + 1], args[i + 2], args[i + 3]);
-        }
+        this.quadraticCurveTo(...args);
         break;
       case "q":
-        for (let i = 0; i < args.length; i += 4) {
-          this.quadraticCurveTo(
-            this.currentX + args[i],
-            this.currentY + args[i + 1],
-            this.currentX + args[i + 2],
-            this.currentY + args[i + 3]
-          );
-        }
+        this.quadraticCurveTo(
+          x + args[0],
+          y + args[1],
+          x + args[2],
+          y + args[3]
+        );
         break;
       case "T":
-        for (let i = 0; i < args.length; i += 2) {
-          this.smoothQuadraticCurveTo(args[i], args[i + 1]);
-        }
+        this.smoothQuadraticCurveTo(args[0], args[1]);
         break;
       case "t":
-        for (let i = 0; i < args.length; i += 2) {
-          this.smoothQuadraticCurveTo(
-            this.currentX + args[i],
-            this.currentY + args[i + 1]
-          );
-        }
+        this.smoothQuadraticCurveTo(x + args[0], y + args[1]);
         break;
       case "A":
-        for (let i = 0; i < args.length; i += 7) {
-          this.arcTo(
-            args[i],
-            args[i + 1],
-            args[i + 2],
-            args[i + 3],
-            args[i + 4],
-            args[i + 5],
-            args[i + 6]
-          );
-        }
+        this.arcTo(...args);
         break;
       case "a":
-        for (let i = 0; i < args.length; i += 7) {
-          this.arcTo(
-            args[i],
-            args[i + 1],
-            args[i + 2],
-            args[i + 3],
-            args[i + 4],
-            this.currentX + args[i + 5],
-            this.currentY + args[i + 6]
-          );
-        }
+        this.arcTo(
+          args[0],
+          args[1],
+          args[2],
+          args[3],
+          args[4],
+          x + args[5],
+          y + args[6]
+        );
         break;
       case "Z":
       case "z":
@@ -484,4 +414,184 @@ export class SVGPath {
     }
     return doc;
   }
+
+  // Exact bounding box of the path, including curve extrema
+  bounds() {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const add = (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    };
+
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    for (const cmd of this.commands) {
+      if (cmd.type === "Z") {
+        // Drawing after a close continues from the subpath's start
+        x = startX;
+        y = startY;
+        continue;
+      }
+      if (cmd.type === "M") {
+        startX = cmd.x;
+        startY = cmd.y;
+      }
+      if (cmd.type === "C") {
+        for (const t of bezierExtrema(x, cmd.cp1x, cmd.cp2x, cmd.x).concat(
+          bezierExtrema(y, cmd.cp1y, cmd.cp2y, cmd.y)
+        )) {
+          add(
+            bezierPoint(x, cmd.cp1x, cmd.cp2x, cmd.x, t),
+            bezierPoint(y, cmd.cp1y, cmd.cp2y, cmd.y, t)
+          );
+        }
+      }
+      x = cmd.x;
+      y = cmd.y;
+      add(x, y);
+    }
+
+    if (minX === Infinity) {
+      return { x: 0, y: 0, width: 0, height: 0 };
+    }
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  // A copy of the path with every point mapped through [a, b, c, d, e, f]
+  transform([a, b, c, d, e, f]) {
+    const path = new SVGPath();
+    path.commands = this.commands.map((cmd) => {
+      if (cmd.type === "Z") return cmd;
+      const mapped = {
+        type: cmd.type,
+        x: a * cmd.x + c * cmd.y + e,
+        y: b * cmd.x + d * cmd.y + f,
+      };
+      if (cmd.type === "C") {
+        mapped.cp1x = a * cmd.cp1x + c * cmd.cp1y + e;
+        mapped.cp1y = b * cmd.cp1x + d * cmd.cp1y + f;
+        mapped.cp2x = a * cmd.cp2x + c * cmd.cp2y + e;
+        mapped.cp2y = b * cmd.cp2x + d * cmd.cp2y + f;
+      }
+      return mapped;
+    });
+    return path;
+  }
+
+  // Signed area of the path's control polygons; its sign gives the overall
+  // winding direction
+  area() {
+    let area = 0;
+    for (const subpath of this.subpaths()) {
+      const points = [subpath.start];
+      for (const segment of subpath.segments) {
+        if (segment.type === "C") {
+          points.push([segment.cp1x, segment.cp1y]);
+          points.push([segment.cp2x, segment.cp2y]);
+        }
+        points.push([segment.x, segment.y]);
+      }
+      for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        area += x1 * y2 - x2 * y1;
+      }
+    }
+    return area / 2;
+  }
+
+  // A copy of the path with every subpath running the other way
+  reverse() {
+    const path = new SVGPath();
+    for (const subpath of this.subpaths()) {
+      const { segments } = subpath;
+      const end = segments.length
+        ? [segments[segments.length - 1].x, segments[segments.length - 1].y]
+        : subpath.start;
+      path.moveTo(end[0], end[1]);
+      for (let i = segments.length - 1; i >= 0; i--) {
+        const segment = segments[i];
+        const [x, y] =
+          i > 0 ? [segments[i - 1].x, segments[i - 1].y] : subpath.start;
+        if (segment.type === "C") {
+          path.bezierCurveTo(
+            segment.cp2x,
+            segment.cp2y,
+            segment.cp1x,
+            segment.cp1y,
+            x,
+            y
+          );
+        } else {
+          path.lineTo(x, y);
+        }
+      }
+      if (subpath.closed) {
+        path.closePath();
+      }
+    }
+    return path;
+  }
+
+  // Split the commands into subpaths of line and curve segments
+  subpaths() {
+    const subpaths = [];
+    let current = null;
+    let start = [0, 0];
+    for (const cmd of this.commands) {
+      if (cmd.type === "M") {
+        start = [cmd.x, cmd.y];
+        current = { start, segments: [], closed: false };
+        subpaths.push(current);
+      } else if (cmd.type === "Z") {
+        if (current) current.closed = true;
+        current = null;
+      } else {
+        // Drawing after Z continues from the start of the closed subpath
+        if (!current) {
+          current = { start, segments: [], closed: false };
+          subpaths.push(current);
+        }
+        current.segments.push(cmd);
+      }
+    }
+    return subpaths;
+  }
+}
+
+function bezierPoint(p0, p1, p2, p3, t) {
+  const mt = 1 - t;
+  return (
+    mt * mt * mt * p0 +
+    3 * mt * mt * t * p1 +
+    3 * mt * t * t * p2 +
+    t * t * t * p3
+  );
+}
+
+// Parameters in (0, 1) where one coordinate of a cubic bezier has a
+// local minimum or maximum
+function bezierExtrema(p0, p1, p2, p3) {
+  const a = -p0 + 3 * p1 - 3 * p2 + p3;
+  const b = 2 * (p0 - 2 * p1 + p2);
+  const c = p1 - p0;
+  const roots = [];
+
+  if (Math.abs(a) < 1e-12) {
+    if (Math.abs(b) > 1e-12) roots.push(-c / b);
+  } else {
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant >= 0) {
+      const sqrt = Math.sqrt(discriminant);
+      roots.push((-b + sqrt) / (2 * a), (-b - sqrt) / (2 * a));
+    }
+  }
+  return roots.filter((t) => t > 0 && t < 1);
 }
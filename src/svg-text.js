@@ -0,0 +1,617 @@
+import { createElement } from "./svg-parser.js";
+import { SVGPath } from "./svg-path.js";
+import { StandardFont } from "./standard-font.js";
+import { fontSize, resolveLength } from "./svg-units.js";
+
+// Standard font families keyed by CSS family name
+const STANDARD_FAMILIES = {
+  serif: "Times",
+  times: "Times",
+  "times new roman": "Times",
+  "sans-serif": "Helvetica",
+  helvetica: "Helvetica",
+  arial: "Helvetica",
+  monospace: "Courier",
+  courier: "Courier",
+  "courier new": "Courier",
+  symbol: "Symbol",
+  zapfdingbats: "ZapfDingbats",
+};
+
+const STANDARD_VARIANTS = {
+  Times: ["Times-Roman", "Times-Bold", "Times-Italic", "Times-BoldItalic"],
+  Helvetica: [
+    "Helvetica",
+    "Helvetica-Bold",
+    "Helvetica-Oblique",
+    "Helvetica-BoldOblique",
+  ],
+  Courier: [
+    "Courier",
+    "Courier-Bold",
+    "Courier-Oblique",
+    "Courier-BoldOblique",
+  ],
+};
+
+// Render <text> with its <tspan> and <textPath> descendants
+export function drawText(renderer, element, style) {
+  const chars = [];
+  const state = { lastWasSpace: true, lengths: [] };
+  collectCharacters(renderer, element, style, chars, state);
+  trimTrailingSpace(chars);
+  if (chars.length === 0) return;
+  for (const range of state.lengths) {
+    range.end = Math.min(range.end, chars.length - 1);
+  }
+
+  // Text rendering selects fonts on the document; keep the caller's choice
+  const doc = renderer.doc;
+  const { currentFont, currentFontSize } = doc;
+
+  const pen = { x: 0, y: 0 };
+  let start = 0;
+  for (const chunk of splitChunks(chars)) {
+    const end = start + chunk.length;
+    const lengths = chunkLengths(renderer, state.lengths, start, end);
+    layoutChunk(doc, chunk, pen, lengths);
+    start = end;
+  }
+
+  const bbox = textBounds(doc, chars);
+  for (const run of buildRuns(chars)) {
+    if (run.path) {
+      drawOnPath(renderer, run, bbox);
+    } else {
+      drawRun(renderer, run, bbox);
+    }
+  }
+
+  doc.currentFont = currentFont;
+  doc.currentFontSize = currentFontSize;
+}
+
+// Walk the text content, applying whitespace handling and gathering
+// per-character styles and positioning attributes
+function collectCharacters(renderer, element, style, chars, state, path) {
+  const start = chars.length;
+
+  for (const child of element.children || []) {
+    const node = createElement(child);
+    if (node.tagName === "#text") {
+      addText(node.text, style, chars, state, path);
+      continue;
+    }
+
+    const tagName = node.tagName?.toLowerCase();
+    if (tagName !== "tspan" && tagName !== "textpath") continue;
+
+    const childStyle = renderer.computeStyle(node, style);
+
+    let childPath = path;
+    if (tagName === "textpath") {
+      childPath = resolveTextPath(renderer, node);
+      if (!childPath) continue;
+      state.lastWasSpace = true;
+    }
+    collectCharacters(renderer, node, childStyle, chars, state, childPath);
+  }
+
+  // Position lists apply to this element's characters in order, unless a
+  // descendant already positioned them
+  const units = renderer.units(style);
+  for (const attr of ["x", "y", "dx", "dy", "rotate"]) {
+    const values = parseList(element.getAttribute(attr), attr, units);
+    values.forEach((value, i) => {
+      const char = chars[start + i];
+      if (char && char[attr] === undefined) {
+        char[attr] = value;
+      }
+    });
+    // The last rotate value applies to all remaining characters
+    if (attr === "rotate" && values.length > 0) {
+      for (let i = start + values.length; i < chars.length; i++) {
+        if (chars[i].rotate === undefined) {
+          chars[i].rotate = values[values.length - 1];
+        }
+      }
+    }
+  }
+
+  if (path && element.tagName?.toLowerCase() === "textpath" && chars[start]) {
+    chars[start].pathStart = true;
+  }
+
+  // textLength fits this element's characters to a length, after those of
+  // its descendants
+  const textLength = resolveLength(
+    element.getAttribute("textLength"),
+    "x",
+    units,
+    NaN
+  );
+  if (textLength >= 0 && chars.length > start) {
+    state.lengths.push({
+      start,
+      end: chars.length - 1,
+      length: textLength,
+      glyphs: element.getAttribute("lengthAdjust") === "spacingAndGlyphs",
+    });
+  }
+}
+
+function addText(text, style, chars, state, path) {
+  let content;
+  if (style["xml:space"] === "preserve") {
+    content = text.replace(/[\r\n\t]/g, " ");
+  } else {
+    content = text
+      .replace(/[\r\n]/g, "")
+      .replace(/\t/g, " ")
+      .replace(/ +/g, " ");
+  }
+
+  for (const ch of content) {
+    if (ch === " " && state.lastWasSpace && style["xml:space"] !== "preserve") {
+      continue;
+    }
+    state.lastWasSpace = ch === " ";
+    chars.push({ ch, style, path });
+  }
+}
+
+function trimTrailingSpace(chars) {
+  while (
+    chars.length > 0 &&
+    chars[chars.length - 1].ch === " " &&
+    chars[chars.length - 1].style["xml:space"] !== "preserve"
+  ) {
+    chars.pop();
+  }
+}
+
+// A new text chunk starts at every absolutely positioned character
+function splitChunks(chars) {
+  const chunks = [];
+  let current = [];
+  for (const char of chars) {
+    const absolute =
+      char.x !== undefined || char.y !== undefined || char.pathStart;
+    if (absolute && current.length > 0) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(char);
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// The textLength ranges within the chunk of characters start to end, as
+// indices into the chunk. Ranges reaching past an absolutely positioned
+// character into another chunk are not supported.
+function chunkLengths(renderer, lengths, start, end) {
+  const ranges = [];
+  for (const range of lengths) {
+    if (range.start < start || range.start >= end) continue;
+    if (range.end >= end) {
+      renderer.warn(
+        "textLength across absolutely positioned characters is not supported"
+      );
+      continue;
+    }
+    ranges.push({
+      ...range,
+      start: range.start - start,
+      end: range.end - start,
+    });
+  }
+  return ranges;
+}
+
+// Assign positions to each character of a chunk, fit textLength ranges and
+// apply text-anchor
+function layoutChunk(doc, chunk, pen, lengths) {
+  const first = chunk[0];
+  if (first.pathStart) {
+    pen.x = resolveStartOffset(first.path);
+    pen.y = 0;
+  }
+
+  for (const char of chunk) {
+    const font = resolveFont(doc, char.style);
+    char.font = font;
+    char.width = measure(doc, font, char.ch);
+
+    pen.x = (char.x !== undefined ? char.x : pen.x) + (char.dx || 0);
+    pen.y = (char.y !== undefined ? char.y : pen.y) + (char.dy || 0);
+    char.px = pen.x;
+    char.py = pen.y + baselineShift(doc, font, char.style);
+    pen.x += char.width + letterSpacing(char.style);
+  }
+
+  for (const range of lengths) {
+    pen.x += fitLength(chunk, range);
+  }
+
+  const anchor = first.style["text-anchor"];
+  if (anchor === "middle" || anchor === "end") {
+    const width =
+      pen.x - first.px - letterSpacing(chunk[chunk.length - 1].style);
+    const shift = anchor === "middle" ? width / 2 : width;
+    for (const char of chunk) {
+      char.px -= shift;
+    }
+  }
+}
+
+// Space or scale the characters start to end of a chunk to the range's
+// length, moving the characters after them along. Returns how far they
+// moved.
+function fitLength(chunk, { start, end, length, glyphs }) {
+  const origin = chunk[start].px;
+  const actual = chunk[end].px + chunk[end].width - origin;
+  const extra = length - actual;
+  if (glyphs) {
+    // lengthAdjust="spacingAndGlyphs" stretches the glyphs horizontally
+    const scale = actual > 0 ? length / actual : 1;
+    for (let i = start; i <= end; i++) {
+      const char = chunk[i];
+      char.px = origin + (char.px - origin) * scale;
+      char.width *= scale;
+      char.scaleX = (char.scaleX || 1) * scale;
+    }
+  } else if (end > start) {
+    // The default, lengthAdjust="spacing", adds space between them
+    const gap = extra / (end - start);
+    for (let i = start; i <= end; i++) {
+      chunk[i].px += gap * (i - start);
+      if (i < end) chunk[i].spacing = (chunk[i].spacing || 0) + gap;
+    }
+  }
+  for (let i = end + 1; i < chunk.length; i++) {
+    chunk[i].px += extra;
+  }
+  return extra;
+}
+
+// Group consecutive characters that can be drawn with one text operation
+function buildRuns(chars) {
+  const runs = [];
+  let run = null;
+  for (const char of chars) {
+    const continues =
+      run &&
+      !char.path &&
+      !run.path &&
+      char.style === run.style &&
+      char.font.name === run.font.name &&
+      char.scaleX === run.chars[0].scaleX &&
+      char.spacing === run.chars[0].spacing &&
+      char.x === undefined &&
+      char.y === undefined &&
+      !char.dx &&
+      !char.dy &&
+      !char.rotate &&
+      !run.chars[0].rotate;
+    if (continues) {
+      run.chars.push(char);
+    } else {
+      run = {
+        style: char.style,
+        font: char.font,
+        path: char.path,
+        chars: [char],
+      };
+      runs.push(run);
+    }
+  }
+  return runs;
+}
+
+function drawRun(renderer, run, bbox) {
+  const { style, font } = run;
+  if (!applyTextFill(renderer, style, bbox)) return;
+
+  const doc = renderer.doc;
+  const first = run.chars[0];
+  const text = run.chars.map((c) => c.ch).join("");
+
+  // SVG user space is y-down, so flip each run back to draw upright text
+  doc.save();
+  doc.translate(first.px, first.py);
+  if (first.rotate) {
+    doc.rotate((first.rotate * Math.PI) / 180);
+  }
+  doc.scale(first.scaleX || 1, -1);
+  doc.font(font.name, font.size);
+  doc.text(text, 0, 0, {
+    characterSpacing: letterSpacing(style) + (first.spacing || 0),
+  });
+  doc.restore();
+}
+
+// Place each character upright on the path at its distance along it
+function drawOnPath(renderer, run, bbox) {
+  const doc = renderer.doc;
+  for (const char of run.chars) {
+    const mid = char.px + char.width / 2;
+    const point = pointAtLength(run.path, mid);
+    if (!point) continue;
+    if (!applyTextFill(renderer, char.style, bbox)) continue;
+
+    const cos = Math.cos(point.angle);
+    const sin = Math.sin(point.angle);
+    doc.save();
+    doc.transform(cos, sin, -sin, cos, point.x, point.y);
+    doc.translate(0, char.py);
+    doc.scale(char.scaleX || 1, -1);
+    doc.font(char.font.name, char.font.size);
+    doc.text(char.ch, -char.width / 2 / (char.scaleX || 1), 0);
+    doc.restore();
+  }
+}
+
+function applyTextFill(renderer, style, bbox) {
+  const fill = style.fill !== undefined ? style.fill : "black";
+  if (!fill || fill === "none") {
+    return false;
+  }
+  return renderer.applyColor(fill, "fill", style, bbox);
+}
+
+// Bounding box of the laid-out characters from ascender to descender, used
+// for objectBoundingBox gradients; characters on a path are not included
+function textBounds(doc, chars) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const char of chars) {
+    if (char.path) continue;
+    const metrics = doc._fonts.get(char.font.name).font;
+    const scale = char.font.size / 1000;
+    minX = Math.min(minX, char.px);
+    maxX = Math.max(maxX, char.px + char.width);
+    minY = Math.min(minY, char.py - metrics.ascender * scale);
+    maxY = Math.max(maxY, char.py - metrics.descender * scale);
+  }
+  if (minX === Infinity) return null;
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+// Pick a registered or standard font for font-family, -weight and -style
+export function resolveFont(doc, style) {
+  const size = fontSize(style);
+  const weight = style["font-weight"] || "normal";
+  const bold =
+    weight === "bold" || weight === "bolder" || parseInt(weight, 10) >= 600;
+  const fontStyle = style["font-style"] || "normal";
+  const italic = fontStyle === "italic" || fontStyle === "oblique";
+  const variant = (bold ? 1 : 0) + (italic ? 2 : 0);
+
+  const families = (style["font-family"] || "serif")
+    .split(",")
+    .map((f) => f.trim().replace(/^["']|["']$/g, ""))
+    .filter(Boolean);
+
+  for (const family of families) {
+    // Registered fonts, with optional -Bold, -Italic, -BoldItalic variants
+    const registered = findRegisteredFont(doc, family, bold, italic);
+    if (registered) {
+      return { name: registered, size };
+    }
+
+    if (StandardFont.isStandardFont(family)) {
+      return { name: family, size };
+    }
+
+    const standard = STANDARD_FAMILIES[family.toLowerCase()];
+    if (standard) {
+      const variants = STANDARD_VARIANTS[standard];
+      return { name: variants ? variants[variant] : standard, size };
+    }
+  }
+
+  return { name: STANDARD_VARIANTS.Times[variant], size };
+}
+
+function findRegisteredFont(doc, family, bold, italic) {
+  const suffixes = [];
+  if (bold && italic) suffixes.push("-BoldItalic");
+  if (bold) suffixes.push("-Bold");
+  if (italic) suffixes.push("-Italic");
+  suffixes.push("");
+
+  const names = [...doc._fonts.keys()];
+  for (const suffix of suffixes) {
+    const wanted = `${family}${suffix}`.toLowerCase();
+    const match = names.find(
+      (name) =>
+        name.toLowerCase() === wanted &&
+        doc._fonts.get(name).font.type !== "standard"
+    );
+    if (match) return match;
+  }
+  return null;
+}
+
+function measure(doc, font, text) {
+  doc.font(font.name, font.size);
+  return doc.widthOfString(text);
+}
+
+// letter-spacing in user units; "normal" is none
+function letterSpacing(style) {
+  return resolveLength(style["letter-spacing"], "x", {
+    fontSize: fontSize(style),
+  });
+}
+
+// Offset from the alphabetic baseline, in SVG (y-down) user units
+function baselineShift(doc, font, style) {
+  const baseline = style["dominant-baseline"] || style["alignment-baseline"];
+  if (!baseline) return 0;
+
+  // measure() has already registered the font with the document
+  const metrics = doc._fonts.get(font.name).font;
+  const xHeight = metrics.xHeight || metrics.ascender / 2;
+  const scale = font.size / 1000;
+  switch (baseline) {
+    case "middle":
+      return (xHeight / 2) * scale;
+    case "central":
+      return ((metrics.ascender + metrics.descender) / 2) * scale;
+    case "hanging":
+      return metrics.ascender * 0.8 * scale;
+    case "mathematical":
+      return (metrics.ascender / 2) * scale;
+    case "text-before-edge":
+    case "text-top":
+      return metrics.ascender * scale;
+    case "text-after-edge":
+    case "text-bottom":
+    case "ideographic":
+      return metrics.descender * scale;
+    default:
+      return 0;
+  }
+}
+
+// A list of numbers for rotate, or of lengths in the direction of x, y, dx
+// or dy
+function parseList(value, attr, units) {
+  if (value === null || value === undefined) return [];
+  const direction = attr === "x" || attr === "dx" ? "x" : "y";
+  return value
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((item) =>
+      attr === "rotate"
+        ? parseFloat(item)
+        : resolveLength(item, direction, units, NaN)
+    )
+    .filter((n) => !isNaN(n));
+}
+
+// textPath
+
+function resolveTextPath(renderer, element) {
+  const href =
+    element.getAttribute("href") || element.getAttribute("xlink:href");
+  const target = href && renderer.findElementById(href.replace(/^#/, ""));
+  if (!target || target.tagName?.toLowerCase() !== "path") {
+    renderer.warn(`textPath references unknown path ${href}`);
+    return null;
+  }
+
+  // Each textPath counts its path's segments, as drawing it would
+  const parsed = new SVGPath().parse(target.attributes.d || "");
+  renderer.countPathSegments(parsed, element);
+  const path = flattenPath(parsed.commands);
+  path.startOffset = element.getAttribute("startOffset");
+  return path;
+}
+
+function resolveStartOffset(path) {
+  const value = path.startOffset;
+  if (!value) return 0;
+  if (value.trim().endsWith("%")) {
+    return (parseFloat(value) / 100) * path.length;
+  }
+  return parseFloat(value) || 0;
+}
+
+// Approximate the path with line segments for measuring
+function flattenPath(commands) {
+  const points = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+
+  for (const cmd of commands) {
+    switch (cmd.type) {
+      case "M":
+        x = startX = cmd.x;
+        y = startY = cmd.y;
+        points.push({ x, y, move: true });
+        break;
+      case "L":
+        x = cmd.x;
+        y = cmd.y;
+        points.push({ x, y });
+        break;
+      case "C":
+        for (let i = 1; i <= 16; i++) {
+          const t = i / 16;
+          const mt = 1 - t;
+          points.push({
+            x:
+              mt * mt * mt * x +
+              3 * mt * mt * t * cmd.cp1x +
+              3 * mt * t * t * cmd.cp2x +
+              t * t * t * cmd.x,
+            y:
+              mt * mt * mt * y +
+              3 * mt * mt * t * cmd.cp1y +
+              3 * mt * t * t * cmd.cp2y +
+              t * t * t * cmd.y,
+          });
+        }
+        x = cmd.x;
+        y = cmd.y;
+        break;
+      case "Z":
+        x = startX;
+        y = startY;
+        points.push({ x, y });
+        break;
+    }
+  }
+
+  const segments = [];
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].move) continue;
+    const a = points[i - 1];
+    const b = points[i];
+    const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+    if (segmentLength === 0) continue;
+    segments.push({ a, b, start: length, length: segmentLength });
+    length += segmentLength;
+  }
+
+  return { segments, length };
+}
+
+// Segments start at increasing lengths, so the one holding a distance is
+// found by binary search
+function pointAtLength(path, distance) {
+  const { segments } = path;
+  if (distance < 0 || distance > path.length || !segments.length) {
+    return null;
+  }
+
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (distance <= segments[mid].start + segments[mid].length) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  const segment = segments[low];
+  const t = Math.min(1, (distance - segment.start) / segment.length);
+  return {
+    x: segment.a.x + (segment.b.x - segment.a.x) * t,
+    y: segment.a.y + (segment.b.y - segment.a.y) * t,
+    angle: Math.atan2(segment.b.y - segment.a.y, segment.b.x - segment.a.x),
+  };
+}
@@ -1,26 +1,88 @@
-import { SVGParser, createElement } from "./svg-parser.js";
-import { SVGPath } from "./svg-path.js";
-
+import {
+  SVGParser,
+  createElement,
+  formatDiagnostic,
+} from "./svg-parser.js";
+import { shapePath } from "./svg-geometry.js";
+import { applyClipPath } from "./svg-clip.js";
+import { createMask } from "./svg-mask.js";
+import {
+  STYLE_PROPERTIES,
+  matchStylesheets,
+  parseStyleDeclarations,
+} from "./svg-css.js";
+import { drawText } from "./svg-text.js";
+import { createGradient } from "./svg-gradient.js";
+import { parseCSSColor, parsePrintColor } from "./css-color.js";
+import {
+  fontSize,
+  isAbsoluteLength,
+  parseLength,
+  resolveLength,
+} from "./svg-units.js";
+import { SVGLimitError, resolveLimits } from "./svg-limits.js";
+import { fromDOM, isDOMNode } from "./svg-dom.js";
+
+// Returns the problems found while parsing and rendering, as the
+// { severity, message, line, column, path } diagnostics of SVGParser. With
+// options.strict, malformed markup throws an SVGParseError instead. SVG
+// exceeding options.limits (see svg-limits.js) throws an SVGLimitError.
 export function SVGtoPDF(doc, svg, x = 0, y = 0, options = {}) {
   const renderer = new SVGRenderer(doc, options);
 
   // Parse SVG
   let svgElement;
   if (typeof svg === "string") {
-    const parser = new SVGParser();
+    const parser = new SVGParser({
+      strict: options.strict,
+      limits: options.limits,
+    });
     svgElement = parser.parse(svg);
+    renderer.idIndex = parser.ids;
+    renderer.locations = parser.locations;
+    renderer.diagnostics.push(...parser.diagnostics);
+  } else if (isDOMNode(svg)) {
+    // A browser or DOM library Document or Element
+    const tree = fromDOM(svg, {
+      computedStyle: options.computedStyle,
+      limits: options.limits,
+    });
+    svgElement = tree.root;
+    renderer.idIndex = tree.ids;
+    if (!svgElement) {
+      renderer.warn("no valid SVG element found");
+    }
   } else {
+    // A tree already in the parser's { tagName, attributes, children } shape
     svgElement = svg;
+    if (!svgElement) {
+      renderer.warn("no valid SVG element found");
+    }
   }
 
   if (!svgElement) {
-    console.warn("SVGtoPDF: No valid SVG element found");
-    return;
+    return renderer.diagnostics;
   }
 
   // Create element accessor
   const element = createElement(svgElement);
+  renderer.root = svgElement;
+  renderer.cssStyles = matchStylesheets(svgElement, options.limits);
+
+  // A failed rendering, such as one exceeding a limit, leaves the page as
+  // it was
+  const checkpoint = doc._checkpoint();
+  try {
+    drawRoot(doc, renderer, element, x, y, options);
+  } catch (error) {
+    doc._rollback(checkpoint);
+    throw error;
+  }
+  return renderer.diagnostics;
+}
 
+// Place the root <svg> at x, y in its viewport and draw it
+function drawRoot(doc, renderer, element, x, y, options) {
   // Save state
   doc.save();
 
@@ -28,132 +90,367 @@ export function SVGtoPDF(doc, svg, x = 0, y = 0, options = {}) {
   doc.translate(x, y);
 
   // Process viewBox and dimensions
-  const viewBox = element.getAttribute("viewBox");
-  const width =
-    parseFloat(element.getAttribute("width")) || options.width || 100;
-  const height =
-    parseFloat(element.getAttribute("height")) || options.height || 100;
+  const viewBox = parseViewBox(element);
+  // The root's size in user units and in points. Physical units convert
+  // exactly (a px is 3/4 pt); unitless and px sizes are taken as points.
+  const rootSize = (name, reference) => {
+    const value = element.getAttribute(name);
+    const user = parseLength(value, reference);
+    if (!(user > 0)) return null;
+    return { user, points: isAbsoluteLength(value) ? (user * 72) / 96 : user };
+  };
+  const rootWidth = rootSize("width", options.width || 100);
+  const rootHeight = rootSize("height", options.height || 100);
+
+  // When placed in a page box, the box size wins over the SVG's own size
+  const width = options.box
+    ? options.width
+    : rootWidth?.points || options.width || 100;
+  const height = options.box
+    ? options.height
+    : rootHeight?.points || options.height || 100;
+
+  // Percentages in user space are relative to the viewport
+  renderer.viewport = { width, height };
+
+  // The root's own transform applies in the viewport, before the viewBox
+  // maps user space into it. The root only clips to its viewport when its
+  // overflow is set to hidden or scroll, so artwork can run into the bleed.
+  const rootTransform = element.getAttribute("transform");
+  const overflow = renderer.computeStyle(element, {}).overflow;
+  const enterViewport = (viewportWidth, viewportHeight) => {
+    // Flip Y-axis to convert from SVG coordinate system to PDF coordinate system
+    doc.translate(0, viewportHeight);
+    doc.scale(1, -1);
+    if (rootTransform) {
+      renderer.applyTransform(rootTransform);
+    }
+    if (overflow === "hidden" || overflow === "scroll") {
+      doc.rect(0, 0, viewportWidth, viewportHeight).clip();
+    }
+  };
 
   if (viewBox) {
-    const [vx, vy, vw, vh] = viewBox.split(/\s+/).map(parseFloat);
-    if (!isNaN(vw) && !isNaN(vh) && vw > 0 && vh > 0) {
-      const scale = Math.min(width / vw, height / vh);
-
-      // Flip Y-axis to convert from SVG coordinate system to PDF coordinate system
-      doc.translate(0, height);
-      doc.scale(scale, -scale);
-      doc.translate(-vx, -vy);
-    }
+    renderer.viewport = { width: viewBox[2], height: viewBox[3] };
+    enterViewport(width, height);
+    doc.transform(...renderer.viewBoxTransform(element, width, height));
   } else if (options.width && options.height) {
     // If no viewBox but dimensions provided, scale to fit
-    const svgWidth = parseFloat(element.getAttribute("width")) || 100;
-    const svgHeight = parseFloat(element.getAttribute("height")) || 100;
-    const scaleX = options.width / svgWidth;
-    const scaleY = options.height / svgHeight;
-
-    // Flip Y-axis
-    doc.translate(0, options.height);
-    doc.scale(scaleX, -scaleY);
+    const svgWidth = rootWidth?.user || 100;
+    const svgHeight = rootHeight?.user || 100;
+    renderer.viewport = { width: svgWidth, height: svgHeight };
+    enterViewport(options.width, options.height);
+    doc.scale(options.width / svgWidth, options.height / svgHeight);
   } else {
-    // Default case: just flip Y-axis
-    doc.translate(0, height);
-    doc.scale(1, -1);
+    // Default case: flip the Y-axis, and scale user units to a size given
+    // in physical units
+    const userWidth = rootWidth?.user || width;
+    const userHeight = rootHeight?.user || height;
+    renderer.viewport = { width: userWidth, height: userHeight };
+    enterViewport(width, height);
+    if (userWidth !== width || userHeight !== height) {
+      doc.scale(width / userWidth, height / userHeight);
+    }
   }
 
   // Parse and render
-  renderer.renderElement(element);
+  renderer.renderElement(element, {}, true);
 
   // Restore state
   doc.restore();
 }
 
+// [x, y, width, height] of an element's viewBox, or null when it has no
+// usable viewBox
+function parseViewBox(element) {
+  const viewBox = element.getAttribute("viewBox");
+  if (!viewBox) return null;
+  const values = viewBox.trim().split(/[\s,]+/).map(parseFloat);
+  if (values.length !== 4 || values.some((value) => isNaN(value))) {
+    return null;
+  }
+  return values[2] > 0 && values[3] > 0 ? values : null;
+}
+
+// Argument counts each transform function accepts
+const TRANSFORM_ARGUMENTS = new Map([
+  ["matrix", [6]],
+  ["translate", [1, 2]],
+  ["scale", [1, 2]],
+  ["rotate", [1, 3]],
+  ["skewX", [1]],
+  ["skewY", [1]],
+]);
+
+// Split a transform list into [{ type, values }]. Functions and numbers
+// are separated by whitespace and at most one comma, and numbers take the
+// full SVG syntax, so "translate(10-20)scale(.5.5)" and "rotate(1e-5)"
+// parse. Returns null for a malformed list.
+function parseTransformList(text) {
+  const functionPattern = /\s*,?\s*([A-Za-z]+)\s*\(/y;
+  const numberPattern = /\s*,?\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+  const closePattern = /\s*\)/y;
+  const transforms = [];
+  let index = 0;
+
+  // A leading comma is not allowed before the first function
+  if (/^\s*,/.test(text)) return null;
+
+  while (!/^\s*$/.test(text.slice(index))) {
+    functionPattern.lastIndex = index;
+    const fn = functionPattern.exec(text);
+    if (!fn || !TRANSFORM_ARGUMENTS.has(fn[1])) return null;
+    index = functionPattern.lastIndex;
+
+    const values = [];
+    for (;;) {
+      // The first argument has no separator before it
+      numberPattern.lastIndex = index;
+      const number = numberPattern.exec(text);
+      if (!number || (values.length === 0 && number[0].includes(","))) break;
+      values.push(parseFloat(number[1]));
+      index = numberPattern.lastIndex;
+    }
+
+    closePattern.lastIndex = index;
+    if (!closePattern.exec(text)) return null;
+    index = closePattern.lastIndex;
+
+    if (!TRANSFORM_ARGUMENTS.get(fn[1]).includes(values.length)) return null;
+    transforms.push({ type: fn[1], values });
+  }
+  return transforms;
+}
+
 class SVGRenderer {
   constructor(doc, options) {
     this.doc = doc;
     this.options = options;
     this.colorSpace = doc.colorSpace;
     this.spotColors = doc.spotColors;
+    this.activeMasks = new Set(); // masks being drawn, to stop cycles
+    this.activeUses = new Set(); // ids drawn by <use>, to stop cycles
+    this.symbolGroups = new Map(); // symbol, size and style -> group name
+    this.diagnostics = [];
+    this.currentElement = null; // the element being rendered, for warnings
+    this.limits = resolveLimits(options.limits);
+    this.depth = 0; // elements being drawn, including through <use>
+    this.elementVisits = 0; // elements drawn or measured
+    this.pathSegments = 0; // path segments drawn
+  }
+
+  // Where an element starts in the source, when parsed from a string
+  location(element = this.currentElement) {
+    return (
+      (element && this.locations && this.locations.get(element.attributes)) ||
+      {}
+    );
+  }
+
+  // Count an element drawn or measured against maxRenderedElements
+  countElement(element) {
+    if (++this.elementVisits > this.limits.maxRenderedElements) {
+      throw this.limitError("maxRenderedElements", element);
+    }
+  }
+
+  // Count a path's segments against maxPathSegments
+  countPathSegments(path, element) {
+    this.pathSegments += path.commands.length;
+    if (this.pathSegments > this.limits.maxPathSegments) {
+      throw this.limitError("maxPathSegments", element);
+    }
+  }
+
+  // Malformed path data is drawn up to its first error, with a warning
+  checkPathData(path, element) {
+    if (path.error) {
+      this.warn(
+        `invalid path data: ${path.error.reason} at offset ${path.error.offset}`,
+        element
+      );
+    }
   }
 
-  renderElement(element, inheritedStyle = {}) {
+  limitError(limit, element) {
+    return new SVGLimitError(limit, this.limits[limit], this.location(element));
+  }
+
+  // Record and log a rendering problem, located at the element's start
+  // tag when the SVG was parsed from a string
+  warn(message, element = this.currentElement) {
+    const location = this.location(element);
+    const diagnostic = {
+      severity: "warning",
+      message,
+      line: location.line ?? null,
+      column: location.column ?? null,
+      path: location.path ?? "",
+    };
+    this.diagnostics.push(diagnostic);
+    console.warn(`SVGtoPDF: ${formatDiagnostic(diagnostic)}`);
+  }
+
+  // The root <svg> element's transform is applied by SVGtoPDF
+  renderElement(element, inheritedStyle = {}, isRoot = false) {
     const tagName = element.tagName?.toLowerCase();
     if (!tagName) return;
 
+    const parentElement = this.currentElement;
+    this.currentElement = element;
+    this.countElement(element);
+    if (++this.depth > this.limits.maxDepth) {
+      throw this.limitError("maxDepth", element);
+    }
+
     // Compute style for this element
     const style = this.computeStyle(element, inheritedStyle);
 
     // Apply transformations
-    const transform = element.getAttribute("transform");
+    const transform = !isRoot && element.getAttribute("transform");
     if (transform) {
       this.doc.save();
       this.applyTransform(transform);
     }
 
+    // Clipping and masking apply in the element's user space. A masked
+    // element is drawn into a group painted under the mask, so soft masks
+    // of its own gradients do not replace the mask.
+    const clipPath = style["clip-path"] !== "none" && style["clip-path"];
+    const maskValue = style.mask !== "none" && style.mask;
+    const mask = maskValue && createMask(this, element, maskValue);
+    if (clipPath || mask) {
+      this.doc.save();
+    }
+    if (clipPath) {
+      applyClipPath(this, element, clipPath);
+    }
+    if (mask) {
+      this.doc.beginGroup();
+    }
+
     // Process element based on type
     switch (tagName) {
       case "svg":
-      case "g":
-        // Process children
-        if (element.children) {
-          for (let child of element.children) {
-            this.renderElement(createElement(child), style);
-          }
+        if (isRoot) {
+          this.renderChildren(element, style);
+        } else {
+          this.drawNestedSVG(element, style);
         }
         break;
 
-      case "rect":
-        this.drawRect(element, style);
+      case "g":
+        this.renderChildren(element, style);
         break;
 
+      case "rect":
       case "circle":
-        this.drawCircle(element, style);
-        break;
-
       case "ellipse":
-        this.drawEllipse(element, style);
-        break;
-
       case "path":
-        this.drawPath(element, style);
+      case "line":
+      case "polyline":
+      case "polygon":
+        this.drawShape(element, style);
         break;
 
-      case "line":
-        this.drawLine(element, style);
+      case "text":
+        drawText(this, element, style);
         break;
 
-      case "polyline":
-        this.drawPolyline(element, style);
+      case "use":
+        this.drawUse(element, style);
         break;
 
-      case "polygon":
-        this.drawPolygon(element, style);
+      case "image":
+        this.drawImage(element, style);
         break;
     }
 
+    if (mask) {
+      const content = this.doc.endGroup();
+      this.doc.softMask(mask.group, mask.type);
+      // The opacity of the content is already inside the group
+      this.doc.fillOpacity(1).drawGroup(content);
+    }
+    if (clipPath || mask) {
+      this.doc.restore();
+    }
+
     // Restore transformation
     if (transform) {
       this.doc.restore();
     }
+    this.currentElement = parentElement;
+    this.depth--;
   }
 
+  renderChildren(element, style) {
+    if (element.children) {
+      for (let child of element.children) {
+        this.renderElement(createElement(child), style);
+      }
+    }
+  }
+
+  // Look up an element anywhere in the document by its id. The parser
+  // indexes ids; trees passed in already parsed are indexed on first use.
+  findElementById(id) {
+    if (!this.idIndex) {
+      this.idIndex = new Map();
+      const stack = [this.root];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        const nodeId = node.attributes && node.attributes.id;
+        if (nodeId && !this.idIndex.has(nodeId)) {
+          this.idIndex.set(nodeId, node);
+        }
+        // Visit children in document order
+        stack.push(...[...(node.children || [])].reverse());
+      }
+    }
+    const node = this.idIndex.get(id);
+    return node ? createElement(node) : null;
+  }
+
+  // Cascade presentation attributes, <style> rules and the style attribute
+  // over the inherited style
   computeStyle(element, inherited) {
     const style = { ...inherited };
 
-    // Get presentation attributes
-    const attrs = [
-      "fill",
-      "stroke",
-      "fill-opacity",
-      "stroke-opacity",
-      "opacity",
-      "stroke-width",
-      "fill-rule",
-    ];
-
-    attrs.forEach((attr) => {
-      const value = element.getAttribute(attr);
+    // These apply to the element itself and are not inherited
+    ["opacity", "clip-path", "mask", "mask-type", "overflow"].forEach(
+      (property) => {
+        delete style[property];
+      }
+    );
+
+    // Presentation attributes lose to stylesheet rules, which lose to the
+    // style attribute; !important declarations win in the reverse order
+    const presentation = {};
+    STYLE_PROPERTIES.forEach((property) => {
+      const value = element.getAttribute(property);
       if (value !== null) {
-        style[attr] = value;
+        presentation[property] = value;
+      }
+    });
+    const rules = (this.cssStyles &&
+      this.cssStyles.get(element.attributes)) || {
+      normal: {},
+      important: {},
+    };
+    const inline = parseStyleDeclarations(element.getAttribute("style") || "");
+    const declared = {
+      ...presentation,
+      ...rules.normal,
+      ...inline.normal,
+      ...rules.important,
+      ...inline.important,
+    };
+
+    STYLE_PROPERTIES.forEach((property) => {
+      const value = declared[property];
+      if (value !== undefined && value !== "inherit") {
+        style[property] = value;
       }
     });
 
@@ -172,161 +469,351 @@ class SVGRenderer {
   }
 
   applyTransform(transform) {
-    const transforms = transform.match(/(\w+)\(([^)]+)\)/g);
-    if (!transforms) return;
+    this.doc.transform(...this.parseTransform(transform));
+  }
 
-    transforms.forEach((t) => {
-      const match = t.match(/(\w+)\(([^)]+)\)/);
-      if (!match) return;
+  // Combine a transform list into a single [a, b, c, d, e, f] matrix. A
+  // malformed list is ignored, as SVG requires.
+  parseTransform(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const transforms = parseTransformList(transform);
+    if (!transforms) {
+      this.warn(`invalid transform "${transform}", ignoring it`);
+      return matrix;
+    }
 
-      const type = match[1];
-      const values = match[2].split(/[\s,]+/).map(parseFloat);
+    // Later transforms in the list apply to points first
+    const concat = (a, b, c, d, e, f) => {
+      const [a1, b1, c1, d1, e1, f1] = matrix;
+      matrix = [
+        a1 * a + c1 * b,
+        b1 * a + d1 * b,
+        a1 * c + c1 * d,
+        b1 * c + d1 * d,
+        a1 * e + c1 * f + e1,
+        b1 * e + d1 * f + f1,
+      ];
+    };
 
+    transforms.forEach(({ type, values }) => {
       switch (type) {
         case "translate":
-          this.doc.translate(values[0] || 0, values[1] || 0);
+          concat(1, 0, 0, 1, values[0], values[1] ?? 0);
           break;
         case "scale":
-          this.doc.scale(values[0] || 1, values[1] || values[0] || 1);
+          concat(values[0], 0, 0, values[1] ?? values[0], 0, 0);
+          break;
+        case "rotate": {
+          const angle = (values[0] * Math.PI) / 180;
+          const cos = Math.cos(angle);
+          const sin = Math.sin(angle);
+          const cx = values[1] ?? 0;
+          const cy = values[2] ?? 0;
+          concat(1, 0, 0, 1, cx, cy);
+          concat(cos, sin, -sin, cos, 0, 0);
+          concat(1, 0, 0, 1, -cx, -cy);
+          break;
+        }
+        case "skewX":
+          concat(1, 0, Math.tan((values[0] * Math.PI) / 180), 1, 0, 0);
           break;
-        case "rotate":
-          const angle = ((values[0] || 0) * Math.PI) / 180;
-          this.doc.rotate(angle, values[1] || 0, values[2] || 0);
+        case "skewY":
+          concat(1, Math.tan((values[0] * Math.PI) / 180), 0, 1, 0, 0);
           break;
         case "matrix":
-          if (values.length === 6) {
-            this.doc.transform(...values);
-          }
+          concat(...values);
           break;
       }
     });
+    return matrix;
   }
 
-  drawRect(element, style) {
-    const x = parseFloat(element.getAttribute("x")) || 0;
-    const y = parseFloat(element.getAttribute("y")) || 0;
-    const width = parseFloat(element.getAttribute("width")) || 0;
-    const height = parseFloat(element.getAttribute("height")) || 0;
-    const rx = parseFloat(element.getAttribute("rx")) || 0;
-    const ry = parseFloat(element.getAttribute("ry")) || 0;
-
-    if (rx || ry) {
-      // Rounded rectangle
-      const r = Math.min(rx || ry, ry || rx, width / 2, height / 2);
-      this.doc.moveTo(x + r, y);
-      this.doc.lineTo(x + width - r, y);
-      this.doc.bezierCurveTo(
-        x + width - r * 0.45,
-        y,
-        x + width,
-        y + r * 0.45,
-        x + width,
-        y + r
-      );
-      this.doc.lineTo(x + width, y + height - r);
-      this.doc.bezierCurveTo(
-        x + width,
-        y + height - r * 0.45,
-        x + width - r * 0.45,
-        y + height,
-        x + width - r,
-        y + height
-      );
-      this.doc.lineTo(x + r, y + height);
-      this.doc.bezierCurveTo(
-        x + r * 0.45,
-        y + height,
-        x,
-        y + height - r * 0.45,
-        x,
-        y + height - r
-      );
-      this.doc.lineTo(x, y + r);
-      this.doc.bezierCurveTo(x, y + r * 0.45, x + r * 0.45, y, x + r, y);
-      this.doc.closePath();
-    } else {
-      this.doc.rect(x, y, width, height);
-    }
-
-    this.applyStyle(style);
+  // The viewport and font size lengths in `style` resolve against
+  units(style = {}) {
+    return { viewport: this.viewport, fontSize: fontSize(style) };
   }
 
-  drawCircle(element, style) {
-    const cx = parseFloat(element.getAttribute("cx")) || 0;
-    const cy = parseFloat(element.getAttribute("cy")) || 0;
-    const r = parseFloat(element.getAttribute("r")) || 0;
-
-    this.doc.circle(cx, cy, r);
-    this.applyStyle(style);
+  // Basic shapes and paths; lines and polylines only stroke
+  drawShape(element, style) {
+    const path = shapePath(element, this.units(style));
+    if (!path) return;
+    this.checkPathData(path, element);
+    this.countPathSegments(path, element);
+
+    path.applyTo(this.doc);
+    const strokeOnly =
+      element.tagName === "line" || element.tagName === "polyline";
+    this.applyStyle(style, strokeOnly, path.bounds());
   }
 
-  drawEllipse(element, style) {
-    const cx = parseFloat(element.getAttribute("cx")) || 0;
-    const cy = parseFloat(element.getAttribute("cy")) || 0;
-    const rx = parseFloat(element.getAttribute("rx")) || 0;
-    const ry = parseFloat(element.getAttribute("ry")) || 0;
+  // Draw the element referenced by a <use> at its x/y offset, inheriting
+  // the <use> element's style
+  drawUse(element, style) {
+    const href =
+      element.getAttribute("href") || element.getAttribute("xlink:href");
+    const id = href && href.startsWith("#") ? href.slice(1) : null;
+    const target = id && this.findElementById(id);
+    if (!target) {
+      this.warn(`<use> references a missing element ${href}`);
+      return;
+    }
+    if (this.activeUses.has(id)) {
+      this.warn(`<use> of #${id} references itself`);
+      return;
+    }
+    if (this.activeUses.size >= this.limits.maxReferenceDepth) {
+      throw this.limitError("maxReferenceDepth", element);
+    }
 
-    this.doc.ellipse(cx, cy, rx, ry);
-    this.applyStyle(style);
-  }
+    const units = this.units(style);
+    const x = resolveLength(element.getAttribute("x"), "x", units);
+    const y = resolveLength(element.getAttribute("y"), "y", units);
 
-  drawPath(element, style) {
-    const d = element.getAttribute("d");
-    if (!d) return;
+    this.activeUses.add(id);
+    this.doc.save();
+    this.doc.translate(x, y);
+    if (target.tagName === "symbol") {
+      this.drawSymbol(target, element, style);
+    } else {
+      this.renderElement(target, style);
+    }
+    this.doc.restore();
+    this.activeUses.delete(id);
+  }
 
-    // Use the SVGPath parser
-    SVGPath.apply(this.doc, d);
-    this.applyStyle(style);
+  // A nested <svg> establishes a new viewport at x/y, 100% of the current
+  // one unless sized by width and height, with its own viewBox. It clips
+  // to that viewport unless its overflow is visible or auto.
+  drawNestedSVG(element, style) {
+    const viewport = this.viewport || { width: 100, height: 100 };
+    const units = this.units(style);
+    const x = resolveLength(element.getAttribute("x"), "x", units);
+    const y = resolveLength(element.getAttribute("y"), "y", units);
+    const width = resolveLength(
+      element.getAttribute("width"),
+      "x",
+      units,
+      viewport.width
+    );
+    const height = resolveLength(
+      element.getAttribute("height"),
+      "y",
+      units,
+      viewport.height
+    );
+    if (width <= 0 || height <= 0) return;
+
+    this.doc.save();
+    if (style.overflow !== "visible" && style.overflow !== "auto") {
+      this.doc.rect(x, y, width, height).clip();
+    }
+    this.doc.translate(x, y);
+    const viewBox = parseViewBox(element);
+    if (viewBox) {
+      this.doc.transform(...this.viewBoxTransform(element, width, height));
+    }
+    this.viewport = viewBox
+      ? { width: viewBox[2], height: viewBox[3] }
+      : { width, height };
+    this.renderChildren(element, style);
+    this.viewport = viewport;
+    this.doc.restore();
   }
 
-  drawLine(element, style) {
-    const x1 = parseFloat(element.getAttribute("x1")) || 0;
-    const y1 = parseFloat(element.getAttribute("y1")) || 0;
-    const x2 = parseFloat(element.getAttribute("x2")) || 0;
-    const y2 = parseFloat(element.getAttribute("y2")) || 0;
+  // A symbol is drawn in a viewport sized by the <use>, with its own
+  // viewBox. Clipped symbols are embedded once per size and style as a
+  // group shared by every <use>.
+  drawSymbol(symbol, use, inheritedStyle) {
+    const viewport = this.viewport || { width: 100, height: 100 };
+    const style = this.computeStyle(symbol, inheritedStyle);
+    const size = (name, direction, reference) =>
+      resolveLength(
+        use.getAttribute(name) || symbol.getAttribute(name),
+        direction,
+        this.units(style),
+        reference
+      );
+    const width = size("width", "x", viewport.width);
+    const height = size("height", "y", viewport.height);
+    if (width <= 0 || height <= 0) return;
+
+    // Percentages inside the symbol are of its own viewport, like those
+    // in a nested <svg>
+    const drawContent = () => {
+      const viewBox = parseViewBox(symbol);
+      if (viewBox) {
+        this.doc.transform(...this.viewBoxTransform(symbol, width, height));
+      }
+      this.viewport = viewBox
+        ? { width: viewBox[2], height: viewBox[3] }
+        : { width, height };
+      for (const child of symbol.children) {
+        this.renderElement(createElement(child), style);
+      }
+      this.viewport = viewport;
+    };
 
-    this.doc.moveTo(x1, y1);
-    this.doc.lineTo(x2, y2);
-    this.applyStyle(style, true); // lines only stroke
-  }
+    if (style.overflow === "visible" || style.overflow === "auto") {
+      this.doc.save();
+      drawContent();
+      this.doc.restore();
+      return;
+    }
 
-  drawPolyline(element, style) {
-    const points = this.parsePoints(element.getAttribute("points"));
-    if (points.length < 2) return;
+    const key = JSON.stringify([symbol.attributes.id, width, height, style]);
+    let group = this.symbolGroups.get(key);
+    if (!group) {
+      this.doc.beginGroup({ x: 0, y: 0, width, height });
+      drawContent();
+      group = this.doc.endGroup();
+      this.symbolGroups.set(key, group);
+    }
+    this.doc.fillOpacity(1).drawGroup(group);
+  }
 
-    this.doc.moveTo(points[0], points[1]);
-    for (let i = 2; i < points.length; i += 2) {
-      this.doc.lineTo(points[i], points[i + 1]);
+  // The transform mapping an element's viewBox into a width x height
+  // viewport following preserveAspectRatio, or null without a viewBox
+  viewBoxTransform(element, width, height) {
+    const viewBox = parseViewBox(element);
+    if (!viewBox) return null;
+    const [vx, vy, vw, vh] = viewBox;
+
+    // "defer" only applies to images, where it is ignored too
+    const [align, meetOrSlice] = (
+      element.getAttribute("preserveAspectRatio") || "xMidYMid meet"
+    )
+      .trim()
+      .replace(/^defer\s+/, "")
+      .split(/\s+/);
+    let scaleX = width / vw;
+    let scaleY = height / vh;
+    let tx = 0;
+    let ty = 0;
+    if (align !== "none") {
+      scaleX = scaleY =
+        meetOrSlice === "slice"
+          ? Math.max(scaleX, scaleY)
+          : Math.min(scaleX, scaleY);
+      const alignX = align.slice(0, 4);
+      const alignY = align.slice(4);
+      if (alignX === "xMid") tx = (width - vw * scaleX) / 2;
+      if (alignX === "xMax") tx = width - vw * scaleX;
+      if (alignY === "YMid") ty = (height - vh * scaleY) / 2;
+      if (alignY === "YMax") ty = height - vh * scaleY;
     }
-    this.applyStyle(style, true); // polylines only stroke by default
+    return [scaleX, 0, 0, scaleY, tx - vx * scaleX, ty - vy * scaleY];
   }
 
-  drawPolygon(element, style) {
-    const points = this.parsePoints(element.getAttribute("points"));
-    if (points.length < 2) return;
+  // Only embedded data: URIs are supported; the image is fitted into its
+  // x/y/width/height viewport following preserveAspectRatio
+  drawImage(element, style) {
+    const href =
+      element.getAttribute("href") || element.getAttribute("xlink:href");
+    if (!href || !href.startsWith("data:")) {
+      this.warn("skipping image without a data: URI");
+      return;
+    }
+
+    // A zero or negative size disables rendering, so the image is not
+    // even loaded; a missing size is the image's own
+    const units = this.units(style);
+    const givenWidth = resolveLength(
+      element.getAttribute("width"),
+      "x",
+      units,
+      NaN
+    );
+    const givenHeight = resolveLength(
+      element.getAttribute("height"),
+      "y",
+      units,
+      NaN
+    );
+    if (givenWidth <= 0 || givenHeight <= 0) {
+      if (givenWidth < 0 || givenHeight < 0) {
+        this.warn("image has a negative width or height");
+      }
+      return;
+    }
 
-    this.doc.moveTo(points[0], points[1]);
-    for (let i = 2; i < points.length; i += 2) {
-      this.doc.lineTo(points[i], points[i + 1]);
+    let image;
+    try {
+      image =
+        this.doc.resources.XObject[
+          this.doc._getImage(href, this.options.useCMYK)
+        ];
+    } catch (e) {
+      this.warn(e.message);
+      return;
     }
-    this.doc.closePath();
-    this.applyStyle(style);
-  }
 
-  parsePoints(pointsStr) {
-    if (!pointsStr) return [];
-    return pointsStr
+    const x = resolveLength(element.getAttribute("x"), "x", units);
+    const y = resolveLength(element.getAttribute("y"), "y", units);
+    const width = isNaN(givenWidth) ? image.width : givenWidth;
+    const height = isNaN(givenHeight) ? image.height : givenHeight;
+
+    const [align, meetOrSlice] = (
+      element.getAttribute("preserveAspectRatio") || "xMidYMid meet"
+    )
       .trim()
-      .split(/[\s,]+/)
-      .map(parseFloat);
+      .split(/\s+/);
+
+    let drawWidth = width;
+    let drawHeight = height;
+    let drawX = x;
+    let drawY = y;
+    if (align !== "none") {
+      const scaleX = width / image.width;
+      const scaleY = height / image.height;
+      const scale =
+        meetOrSlice === "slice"
+          ? Math.max(scaleX, scaleY)
+          : Math.min(scaleX, scaleY);
+      drawWidth = image.width * scale;
+      drawHeight = image.height * scale;
+
+      const alignX = align.slice(0, 4);
+      const alignY = align.slice(4);
+      if (alignX === "xMid") drawX += (width - drawWidth) / 2;
+      if (alignX === "xMax") drawX += width - drawWidth;
+      if (alignY === "YMid") drawY += (height - drawHeight) / 2;
+      if (alignY === "YMax") drawY += height - drawHeight;
+    }
+
+    const opacity = parseFloat(style.opacity);
+    const previousOpacity = this.doc.currentOpacity.fill;
+    if (!isNaN(opacity)) {
+      this.doc.fillOpacity(opacity);
+    }
+
+    this.doc.save();
+    if (meetOrSlice === "slice") {
+      // Clip the overflowing part of the image to the viewport
+      this.doc.rect(x, y, width, height).clip();
+    }
+    // Images are drawn bottom-up, so undo the SVG y-flip around the image
+    this.doc.translate(drawX, drawY + drawHeight);
+    this.doc.scale(1, -1);
+    this.doc.image(href, 0, 0, {
+      width: drawWidth,
+      height: drawHeight,
+      cmyk: this.options.useCMYK,
+    });
+    this.doc.restore();
+
+    this.doc.fillOpacity(previousOpacity);
   }
 
-  applyStyle(style, strokeOnly = false) {
+  // bbox is the element's bounding box, for objectBoundingBox gradients
+  applyStyle(style, strokeOnly = false, bbox = null) {
     const fill = style.fill !== undefined ? style.fill : "black";
     const stroke = style.stroke;
-    const fillOpacity = parseFloat(style["fill-opacity"] || 1);
-    const strokeOpacity = parseFloat(style["stroke-opacity"] || 1);
-    const strokeWidth = parseFloat(style["stroke-width"] || 1);
+    const strokeWidth = resolveLength(
+      style["stroke-width"],
+      "diagonal",
+      this.units(style),
+      1
+    );
     const fillRule = style["fill-rule"] || "nonzero";
 
     let hasFill = false;
@@ -334,16 +821,13 @@ class SVGRenderer {
 
     // Apply colors and styles
     if (fill && fill !== "none" && !strokeOnly) {
-      this.applyColor(fill, "fill");
-      this.doc.fillOpacity(fillOpacity);
-      hasFill = true;
+      hasFill = this.applyColor(fill, "fill", style, bbox);
     }
 
     if (stroke && stroke !== "none") {
-      this.applyColor(stroke, "stroke");
-      this.doc.strokeOpacity(strokeOpacity);
+      hasStroke = this.applyColor(stroke, "stroke", style, bbox);
       this.doc.lineWidth(strokeWidth);
-      hasStroke = true;
+      this.applyLineStyle(style);
     }
 
     // Perform fill/stroke operations
@@ -353,22 +837,104 @@ class SVGRenderer {
       this.doc.fill(fillRule);
     } else if (hasStroke) {
       this.doc.stroke();
+    } else {
+      // Nothing to paint
+      this.doc.endPath();
     }
   }
 
-  applyColor(color, type) {
+  applyLineStyle(style) {
+    const cap = style["stroke-linecap"];
+    this.doc.lineCap(["butt", "round", "square"].includes(cap) ? cap : "butt");
+    // PDF has no miter-clip or arcs joins; SVG falls back to miter for them
+    const join = style["stroke-linejoin"];
+    this.doc.lineJoin(["round", "bevel"].includes(join) ? join : "miter");
+    // SVG's default miter limit is 4, PDF's is 10
+    this.doc.miterLimit(parseFloat(style["stroke-miterlimit"]) || 4);
+
+    // A negative or invalid length makes the whole array invalid and the
+    // line solid
+    const units = this.units(style);
+    const dashArray = style["stroke-dasharray"];
+    const lengths =
+      dashArray && dashArray !== "none"
+        ? dashArray
+            .trim()
+            .split(/[\s,]+/)
+            .map((length) => resolveLength(length, "diagonal", units, NaN))
+        : [];
+    const valid = lengths.every((length) => length >= 0);
+    this.doc.dash(
+      valid ? lengths : [],
+      resolveLength(style["stroke-dashoffset"], "diagonal", units)
+    );
+  }
+
+  // Set the fill or stroke color, and the opacity from the style's
+  // fill-opacity or stroke-opacity times the color's alpha. Returns false
+  // when nothing should be painted, e.g. for a gradient over an empty
+  // bounding box.
+  applyColor(color, type, style, bbox = null) {
+    const doc = this.doc;
+    const setColor = (...args) =>
+      type === "fill" ? doc.fillColor(...args) : doc.strokeColor(...args);
+    const setCMYK = (cmyk) =>
+      type === "fill"
+        ? doc.fillColorCMYK(cmyk.c, cmyk.m, cmyk.y, cmyk.k)
+        : doc.strokeColorCMYK(cmyk.c, cmyk.m, cmyk.y, cmyk.k);
+    const setOpacity = (alpha) => {
+      const opacity = parseFloat(style[`${type}-opacity`] || 1) * alpha;
+      if (type === "fill") {
+        doc.fillOpacity(opacity);
+      } else {
+        doc.strokeOpacity(opacity);
+      }
+    };
+
+    // Paint server references, with an optional fallback color
+    const paintServer = color.match(
+      /^url\(\s*["']?#([^"')\s]+)["']?\s*\)\s*(.*)$/
+    );
+    if (paintServer) {
+      const element = this.findElementById(paintServer[1]);
+      if (
+        element &&
+        (element.tagName === "lineargradient" ||
+          element.tagName === "radialgradient")
+      ) {
+        const gradient = createGradient(this, element, bbox);
+        if (!gradient) {
+          return false;
+        }
+        setColor(gradient);
+        setOpacity(1);
+        return true;
+      }
+
+      const fallback = paintServer[2].trim();
+      if (!fallback || fallback === "none") {
+        if (!element) {
+          this.warn(`paint server not found: #${paintServer[1]}`);
+        }
+        return false;
+      }
+      color = fallback;
+    }
+
+    // currentColor is the element's color property
+    if (color.trim().toLowerCase() === "currentcolor") {
+      color = style.color || "black";
+    }
+
     // Check for color callback
     if (this.options.colorCallback) {
       const result = this.options.colorCallback(color);
       if (result) {
         // Handle CMYK object returned from colorCallback
         if (typeof result === "object" && result.c !== undefined) {
-          if (type === "fill") {
-            this.doc.fillColorCMYK(result.c, result.m, result.y, result.k);
-          } else {
-            this.doc.strokeColorCMYK(result.c, result.m, result.y, result.k);
-          }
-          return;
+          setCMYK(result);
+          setOpacity(1);
+          return true;
         }
         color = result;
       }
@@ -378,105 +944,98 @@ class SVGRenderer {
     if (this.options.spotColorMap && this.options.spotColorMap[color]) {
       const spotInfo = this.options.spotColorMap[color];
       if (type === "fill") {
-        this.doc.fillSpotColor(spotInfo.name, spotInfo.tint || 1);
+        doc.fillSpotColor(spotInfo.name, spotInfo.tint || 1);
       } else {
-        this.doc.strokeSpotColor(spotInfo.name, spotInfo.tint || 1);
+        doc.strokeSpotColor(spotInfo.name, spotInfo.tint || 1);
       }
-      return;
+      setOpacity(1);
+      return true;
     }
 
-    // Special handling for white in CMYK mode
-    if (this.options.useCMYK) {
-      const colorLower = color.toLowerCase();
-
-      // Check if color is white
-      if (
-        colorLower === "white" ||
-        colorLower === "#ffffff" ||
-        colorLower === "#fff" ||
-        colorLower === "rgb(255,255,255)" ||
-        colorLower === "rgb(255, 255, 255)"
-      ) {
-        // In CMYK, white is 0,0,0,0
-        if (type === "fill") {
-          this.doc.fillColorCMYK(0, 0, 0, 0);
-        } else {
-          this.doc.strokeColorCMYK(0, 0, 0, 0);
-        }
-        return;
-      }
-
-      // Convert other colors to CMYK
-      const rgb = this.parseColor(color);
-      if (rgb) {
-        const cmyk = this.colorSpace.rgbToCMYK(rgb.r, rgb.g, rgb.b);
-        if (type === "fill") {
-          this.doc.fillColorCMYK(
-            cmyk.c * 100,
-            cmyk.m * 100,
-            cmyk.y * 100,
-            cmyk.k * 100
-          );
-        } else {
-          this.doc.strokeColorCMYK(
-            cmyk.c * 100,
-            cmyk.m * 100,
-            cmyk.y * 100,
-            cmyk.k * 100
-          );
-        }
-        return;
+    // Print colors given in the SVG win over converting the sRGB color
+    const print = this.printColor(color);
+    if (print && print.cmyk) {
+      setCMYK(print.cmyk);
+      setOpacity(print.alpha);
+      return true;
+    }
+    if (print && print.spot) {
+      if (type === "fill") {
+        doc.fillSpotColor(print.spot, print.tint);
+      } else {
+        doc.strokeSpotColor(print.spot, print.tint);
       }
+      setOpacity(print.alpha);
+      return true;
+    }
+    if (print) {
+      color = print.fallback;
     }
 
-    // Default RGB color
-    if (type === "fill") {
-      this.doc.fillColor(color);
+    const rgb = this.parseColor(color);
+    if (this.options.useCMYK) {
+      const cmyk = this.colorSpace.rgbToCMYK(rgb.r, rgb.g, rgb.b);
+      setCMYK({
+        c: cmyk.c * 100,
+        m: cmyk.m * 100,
+        y: cmyk.y * 100,
+        k: cmyk.k * 100,
+      });
     } else {
-      this.doc.strokeColor(color);
+      setColor(rgb.r * 255, rgb.g * 255, rgb.b * 255);
     }
+    setOpacity(rgb.alpha);
+    return true;
   }
 
-  parseColor(colorStr) {
-    // Handle hex colors
-    if (colorStr.startsWith("#")) {
-      const hex = colorStr.slice(1);
-      const r = parseInt(hex.substr(0, 2), 16) / 255;
-      const g = parseInt(hex.substr(2, 2), 16) / 255;
-      const b = parseInt(hex.substr(4, 2), 16) / 255;
-      return { r, g, b };
-    }
-
-    // Handle rgb() colors
-    const rgbMatch = colorStr.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-    if (rgbMatch) {
+  // The device-cmyk() or icc-color() in a color value, as { cmyk } (0-100)
+  // or { spot, tint } with its alpha. An icc-color() names a CMYK profile
+  // with four components, or a defined spot color with a tint. Unusable
+  // print colors give { fallback }, the sRGB color given with them. Returns
+  // null for colors without one.
+  printColor(color) {
+    const print = parsePrintColor(color);
+    if (!print) return null;
+
+    let cmyk = print.cmyk;
+    if (print.icc) {
+      const { name, components } = print.icc;
+      if (components.length === 1 && this.doc.spotColors.has(name)) {
+        const tint = Math.min(1, Math.max(0, components[0]));
+        return { spot: name, tint, alpha: print.alpha };
+      }
+      if (components.length === 4) {
+        const [c, m, y, k] = components.map((component) =>
+          Math.min(1, Math.max(0, component))
+        );
+        cmyk = { c, m, y, k };
+      }
+    }
+    if (cmyk) {
       return {
-        r: parseInt(rgbMatch[1]) / 255,
-        g: parseInt(rgbMatch[2]) / 255,
-        b: parseInt(rgbMatch[3]) / 255,
+        cmyk: {
+          c: cmyk.c * 100,
+          m: cmyk.m * 100,
+          y: cmyk.y * 100,
+          k: cmyk.k * 100,
+        },
+        alpha: print.alpha,
       };
     }
 
-    // Handle named colors
-    const namedColors = {
-      red: { r: 1, g: 0, b: 0 },
-      green: { r: 0, g: 1, b: 0 },
-      blue: { r: 0, g: 0, b: 1 },
-      black: { r: 0, g: 0, b: 0 },
-      white: { r: 1, g: 1, b: 1 },
-      yellow: { r: 1, g: 1, b: 0 },
-      cyan: { r: 0, g: 1, b: 1 },
-      magenta: { r: 1, g: 0, b: 1 },
-      gray: { r: 0.5, g: 0.5, b: 0.5 },
-      grey: { r: 0.5, g: 0.5, b: 0.5 },
-      orange: { r: 1, g: 0.647, b: 0 },
-      purple: { r: 0.5, g: 0, b: 0.5 },
-    };
+    this.warn(
+      `unsupported print color in ${color}, using ${print.fallback || "black"}`
+    );
+    return { fallback: print.fallback || "black" };
+  }
 
-    if (namedColors[colorStr.toLowerCase()]) {
-      return namedColors[colorStr.toLowerCase()];
+  // { r, g, b, alpha } for a CSS color, black for an unknown one
+  parseColor(colorStr) {
+    const color = parseCSSColor(colorStr);
+    if (!color) {
+      this.warn(`unknown color ${colorStr}, using black`);
+      return { r: 0, g: 0, b: 0, alpha: 1 };
     }
-
-    return { r: 0, g: 0, b: 0 };
+    return color;
   }
 }
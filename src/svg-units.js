@@ -0,0 +1,83 @@
+// SVG lengths in user units. A user unit is a CSS px, so absolute units
+// convert at 96 per inch, em and ex are relative to the font size and
+// percentages to a reference length.
+
+const UNITS_PER_INCH = {
+  px: 96,
+  in: 1,
+  cm: 2.54,
+  mm: 25.4,
+  q: 101.6,
+  pt: 72,
+  pc: 6,
+};
+
+const DEFAULT_VIEWPORT = { width: 100, height: 100 };
+const DEFAULT_FONT_SIZE = 16;
+
+// A number with an optional unit, or NaN when the value is missing, not a
+// length or has an unknown unit
+export function parseLength(value, reference = 0, fontSize = 16) {
+  const length = splitLength(value);
+  if (!length) return NaN;
+
+  const { number, unit } = length;
+  switch (unit) {
+    case "":
+      return number;
+    case "%":
+      return (number / 100) * reference;
+    case "em":
+      return number * fontSize;
+    case "ex":
+      return (number * fontSize) / 2;
+  }
+  return UNITS_PER_INCH[unit] ? (number * 96) / UNITS_PER_INCH[unit] : NaN;
+}
+
+// Whether a length is given in a physical unit (in, cm, mm, Q, pt or pc)
+export function isAbsoluteLength(value) {
+  const length = splitLength(value);
+  return Boolean(length && length.unit !== "px" && UNITS_PER_INCH[length.unit]);
+}
+
+// A length attribute or property of an element in `viewport`, with
+// `fontSize` for em and ex. Percentages are of the viewport width for the
+// "x" direction, its height for "y" and its normalized diagonal otherwise.
+// Returns `fallback` for a missing or invalid length.
+export function resolveLength(value, direction, units = {}, fallback = 0) {
+  const viewport = units.viewport || DEFAULT_VIEWPORT;
+  const reference =
+    direction === "x"
+      ? viewport.width
+      : direction === "y"
+      ? viewport.height
+      : Math.sqrt((viewport.width ** 2 + viewport.height ** 2) / 2);
+  const length = parseLength(
+    value,
+    reference,
+    units.fontSize || DEFAULT_FONT_SIZE
+  );
+  return isNaN(length) ? fallback : length;
+}
+
+// The font-size of a computed style in user units. Relative sizes are
+// taken against the default size, as the parent's size is not tracked.
+export function fontSize(style) {
+  const size = parseLength(
+    style["font-size"],
+    DEFAULT_FONT_SIZE,
+    DEFAULT_FONT_SIZE
+  );
+  return size > 0 ? size : DEFAULT_FONT_SIZE;
+}
+
+function splitLength(value) {
+  if (value === null || value === undefined) return null;
+  const match =
+    /^\s*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)\s*(%|[a-zA-Z]*)\s*$/.exec(
+      String(value)
+    );
+  if (!match) return null;
+  return { number: parseFloat(match[1]), unit: match[2].toLowerCase() };
+}
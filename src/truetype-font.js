@@ -0,0 +1,583 @@
+// TrueType font parser and glyph subsetter for embedding as CIDFontType2
+
+// Composite glyph component flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+// Tables copied into the subset; cmap is not needed because PDF text uses
+// glyph ids directly through an Identity CIDToGIDMap
+const SUBSET_TABLES = [
+  "cvt ",
+  "fpgm",
+  "glyf",
+  "head",
+  "hhea",
+  "hmtx",
+  "loca",
+  "maxp",
+  "prep",
+];
+
+export class TrueTypeFont {
+  constructor(data) {
+    this.type = "truetype";
+    this.data = toUint8Array(data);
+    this.view = new DataView(
+      this.data.buffer,
+      this.data.byteOffset,
+      this.data.byteLength
+    );
+
+    this.tables = this.parseTableDirectory();
+    if (this.tables.CFF || !this.tables.glyf) {
+      throw new Error(
+        "TrueTypeFont: only fonts with TrueType (glyf) outlines can be embedded"
+      );
+    }
+
+    this.parseHead();
+    this.parseHhea();
+    this.parseMaxp();
+    this.parseHmtx();
+    this.parseLoca();
+    this.parsePost();
+    this.parseOS2();
+    this.postScriptName = this.parseName(6) || "EmbeddedFont";
+    this.cmap = this.parseCmap();
+
+    // Subset state: glyph 0 (.notdef) always keeps id 0
+    this.subsetGlyphs = [0]; // new glyph id -> original glyph id
+    this.glyphIdMap = new Map([[0, 0]]); // original glyph id -> new glyph id
+    this.unicodes = new Map(); // new glyph id -> code points
+  }
+
+  // Font tables
+
+  parseTableDirectory() {
+    const sfntVersion = this.view.getUint32(0);
+    if (sfntVersion !== 0x00010000 && sfntVersion !== 0x74727565) {
+      if (sfntVersion === 0x4f54544f) {
+        throw new Error(
+          "TrueTypeFont: CFF-flavored OpenType fonts (OTTO) are not supported, only fonts with TrueType (glyf) outlines can be embedded"
+        );
+      }
+      throw new Error("TrueTypeFont: not a TrueType font");
+    }
+
+    const numTables = this.view.getUint16(4);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      const tag = this.readTag(record);
+      tables[tag.trim()] = {
+        tag,
+        offset: this.view.getUint32(record + 8),
+        length: this.view.getUint32(record + 12),
+      };
+    }
+    return tables;
+  }
+
+  parseHead() {
+    const head = this.tables.head.offset;
+    this.unitsPerEm = this.view.getUint16(head + 18);
+    this.bbox = [
+      this.view.getInt16(head + 36),
+      this.view.getInt16(head + 38),
+      this.view.getInt16(head + 40),
+      this.view.getInt16(head + 42),
+    ].map((v) => this.toPdfUnits(v));
+    this.indexToLocFormat = this.view.getInt16(head + 50);
+  }
+
+  parseHhea() {
+    const hhea = this.tables.hhea.offset;
+    this.ascender = this.toPdfUnits(this.view.getInt16(hhea + 4));
+    this.descender = this.toPdfUnits(this.view.getInt16(hhea + 6));
+    this.numberOfHMetrics = this.view.getUint16(hhea + 34);
+  }
+
+  parseMaxp() {
+    this.numGlyphs = this.view.getUint16(this.tables.maxp.offset + 4);
+  }
+
+  parseHmtx() {
+    const hmtx = this.tables.hmtx.offset;
+    this.advanceWidths = [];
+    this.leftSideBearings = [];
+    let advance = 0;
+    for (let i = 0; i < this.numGlyphs; i++) {
+      if (i < this.numberOfHMetrics) {
+        advance = this.view.getUint16(hmtx + i * 4);
+        this.leftSideBearings.push(this.view.getInt16(hmtx + i * 4 + 2));
+      } else {
+        const lsb = hmtx + this.numberOfHMetrics * 4;
+        this.leftSideBearings.push(
+          this.view.getInt16(lsb + (i - this.numberOfHMetrics) * 2)
+        );
+      }
+      this.advanceWidths.push(advance);
+    }
+  }
+
+  parseLoca() {
+    const loca = this.tables.loca.offset;
+    this.glyphOffsets = [];
+    for (let i = 0; i <= this.numGlyphs; i++) {
+      this.glyphOffsets.push(
+        this.indexToLocFormat === 0
+          ? this.view.getUint16(loca + i * 2) * 2
+          : this.view.getUint32(loca + i * 4)
+      );
+    }
+  }
+
+  parsePost() {
+    const post = this.tables.post;
+    this.italicAngle = post ? this.view.getInt32(post.offset + 4) / 65536 : 0;
+    this.isFixedPitch = post
+      ? this.view.getUint32(post.offset + 12) !== 0
+      : false;
+  }
+
+  parseOS2() {
+    const os2 = this.tables["OS/2"];
+    this.capHeight = this.ascender;
+    this.weightClass = 400;
+    if (!os2) return;
+
+    this.weightClass = this.view.getUint16(os2.offset + 4);
+    const fsType = this.view.getUint16(os2.offset + 8);
+    if ((fsType & 0x000f) === 0x0002) {
+      console.warn(
+        "TrueTypeFont: font license restricts embedding (OS/2 fsType), embedding anyway"
+      );
+    }
+    if (this.view.getUint16(os2.offset) >= 2) {
+      this.capHeight = this.toPdfUnits(this.view.getInt16(os2.offset + 88));
+    }
+  }
+
+  parseName(nameId) {
+    const table = this.tables.name;
+    if (!table) return null;
+
+    const count = this.view.getUint16(table.offset + 2);
+    const stringOffset = table.offset + this.view.getUint16(table.offset + 4);
+    for (let i = 0; i < count; i++) {
+      const record = table.offset + 6 + i * 12;
+      const platformId = this.view.getUint16(record);
+      if (this.view.getUint16(record + 6) !== nameId) continue;
+
+      const length = this.view.getUint16(record + 8);
+      const start = stringOffset + this.view.getUint16(record + 10);
+      let name = "";
+      if (platformId === 0 || platformId === 3) {
+        for (let j = 0; j < length; j += 2) {
+          name += String.fromCharCode(this.view.getUint16(start + j));
+        }
+      } else {
+        for (let j = 0; j < length; j++) {
+          name += String.fromCharCode(this.data[start + j]);
+        }
+      }
+      // PostScript names must not contain PDF delimiters or spaces
+      return name.replace(/[^\x21-\x7e]|[[\](){}<>/%]/g, "");
+    }
+    return null;
+  }
+
+  // Pick the best Unicode subtable and return a code point -> glyph lookup
+  parseCmap() {
+    const cmap = this.tables.cmap.offset;
+    const numTables = this.view.getUint16(cmap + 2);
+    const subtables = [];
+    for (let i = 0; i < numTables; i++) {
+      const record = cmap + 4 + i * 8;
+      const offset = cmap + this.view.getUint32(record + 4);
+      subtables.push({
+        platformId: this.view.getUint16(record),
+        encodingId: this.view.getUint16(record + 2),
+        offset,
+        format: this.view.getUint16(offset),
+      });
+    }
+
+    const rank = ({ platformId, encodingId, format }) => {
+      if (format !== 4 && format !== 12) return -1;
+      const unicode =
+        platformId === 0 ||
+        (platformId === 3 && (encodingId === 1 || encodingId === 10));
+      if (unicode) return format === 12 ? 3 : 2;
+      return platformId === 3 && encodingId === 0 ? 1 : -1;
+    };
+    const best = subtables
+      .filter((t) => rank(t) >= 0)
+      .sort((a, b) => rank(b) - rank(a))[0];
+
+    if (!best) {
+      throw new Error("TrueTypeFont: font has no usable Unicode cmap");
+    }
+
+    const symbol = best.platformId === 3 && best.encodingId === 0;
+    const lookup =
+      best.format === 12
+        ? this.cmapFormat12(best.offset)
+        : this.cmapFormat4(best.offset);
+
+    // Symbol fonts map their characters into the U+F000 private use range
+    return symbol
+      ? (cp) => lookup(cp) || (cp <= 0xff ? lookup(0xf000 + cp) : 0)
+      : lookup;
+  }
+
+  cmapFormat4(offset) {
+    const segCount = this.view.getUint16(offset + 6) / 2;
+    const endCodes = offset + 14;
+    const startCodes = endCodes + segCount * 2 + 2;
+    const idDeltas = startCodes + segCount * 2;
+    const idRangeOffsets = idDeltas + segCount * 2;
+
+    return (cp) => {
+      if (cp > 0xffff) return 0;
+      for (let i = 0; i < segCount; i++) {
+        if (cp > this.view.getUint16(endCodes + i * 2)) continue;
+
+        const start = this.view.getUint16(startCodes + i * 2);
+        if (cp < start) return 0;
+
+        const delta = this.view.getUint16(idDeltas + i * 2);
+        const rangeOffsetPos = idRangeOffsets + i * 2;
+        const rangeOffset = this.view.getUint16(rangeOffsetPos);
+        if (rangeOffset === 0) {
+          return (cp + delta) & 0xffff;
+        }
+
+        const glyph = this.view.getUint16(
+          rangeOffsetPos + rangeOffset + (cp - start) * 2
+        );
+        return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+      }
+      return 0;
+    };
+  }
+
+  cmapFormat12(offset) {
+    const numGroups = this.view.getUint32(offset + 12);
+    const groups = offset + 16;
+
+    return (cp) => {
+      // Groups are sorted by start code, so binary search them
+      let low = 0;
+      let high = numGroups - 1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        const group = groups + mid * 12;
+        const start = this.view.getUint32(group);
+        const end = this.view.getUint32(group + 4);
+        if (cp < start) {
+          high = mid - 1;
+        } else if (cp > end) {
+          low = mid + 1;
+        } else {
+          return this.view.getUint32(group + 8) + (cp - start);
+        }
+      }
+      return 0;
+    };
+  }
+
+  // Text layout
+
+  // Original glyph id for a code point, .notdef when the font lacks it
+  glyphForCodePoint(cp) {
+    const glyph = this.cmap(cp);
+    return glyph < this.numGlyphs ? glyph : 0;
+  }
+
+  // Map text to subset glyph ids, adding any new glyphs to the subset
+  encode(text) {
+    const codes = [];
+    for (const char of text) {
+      const cp = char.codePointAt(0);
+      const id = this.includeGlyph(this.glyphForCodePoint(cp));
+      if (id !== 0 && !this.unicodes.has(id)) {
+        this.unicodes.set(id, cp);
+      }
+      codes.push(id);
+    }
+    return codes;
+  }
+
+  includeGlyph(glyph) {
+    let id = this.glyphIdMap.get(glyph);
+    if (id !== undefined) return id;
+
+    id = this.subsetGlyphs.length;
+    this.subsetGlyphs.push(glyph);
+    this.glyphIdMap.set(glyph, id);
+
+    // Composite glyphs need their component glyphs too
+    for (const component of this.componentGlyphs(glyph)) {
+      this.includeGlyph(component.glyph);
+    }
+    return id;
+  }
+
+  componentGlyphs(glyph) {
+    const start = this.tables.glyf.offset + this.glyphOffsets[glyph];
+    const length = this.glyphOffsets[glyph + 1] - this.glyphOffsets[glyph];
+    if (length === 0 || this.view.getInt16(start) >= 0) {
+      return [];
+    }
+
+    const components = [];
+    let pos = start + 10;
+    let flags;
+    do {
+      flags = this.view.getUint16(pos);
+      components.push({
+        position: pos + 2 - start,
+        glyph: this.view.getUint16(pos + 2),
+      });
+      pos += 4;
+      pos += flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2;
+      if (flags & WE_HAVE_A_SCALE) {
+        pos += 2;
+      } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+        pos += 4;
+      } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+        pos += 8;
+      }
+    } while (flags & MORE_COMPONENTS);
+    return components;
+  }
+
+  widthOfGlyph(id) {
+    return this.toPdfUnits(this.advanceWidths[this.subsetGlyphs[id]]);
+  }
+
+  widthOfCodes(codes) {
+    let width = 0;
+    for (const id of codes) {
+      width += this.widthOfGlyph(id);
+    }
+    return width;
+  }
+
+  // Measured from the font's own glyphs, so measuring text does not add
+  // them to the subset
+  widthOfString(text, size) {
+    let width = 0;
+    for (const char of text) {
+      const glyph = this.glyphForCodePoint(char.codePointAt(0));
+      width += this.toPdfUnits(this.advanceWidths[glyph]);
+    }
+    return (width * size) / 1000;
+  }
+
+  // Glyph ids as a two-byte hex string for the Identity-H encoding
+  toPDFString(codes) {
+    return `<${codes.map((id) => id.toString(16).padStart(4, "0")).join("")}>`;
+  }
+
+  toPdfUnits(value) {
+    return (value * 1000) / this.unitsPerEm;
+  }
+
+  // Subset generation
+
+  // Six-letter subset tag derived from the glyph set, as PDF requires
+  subsetTag() {
+    let hash = 0;
+    for (const glyph of this.subsetGlyphs) {
+      hash = (hash * 31 + glyph) >>> 0;
+    }
+    let tag = "";
+    for (let i = 0; i < 6; i++) {
+      tag += String.fromCharCode(65 + (hash % 26));
+      hash = Math.floor(hash / 26);
+    }
+    return tag;
+  }
+
+  // Build a standalone TrueType file containing only the subset glyphs
+  generateSubset() {
+    const glyphs = this.subsetGlyphs.map((glyph) => {
+      const start = this.tables.glyf.offset + this.glyphOffsets[glyph];
+      const end = this.tables.glyf.offset + this.glyphOffsets[glyph + 1];
+      const bytes = copyBytes(this.data, start, end);
+
+      // Point composite components at their new glyph ids
+      const view = dataView(bytes);
+      for (const component of this.componentGlyphs(glyph)) {
+        view.setUint16(
+          component.position,
+          this.glyphIdMap.get(component.glyph)
+        );
+      }
+      return bytes;
+    });
+
+    const glyf = concat(glyphs.map((bytes) => pad(bytes, 4)));
+    const loca = new DataView(new ArrayBuffer((glyphs.length + 1) * 4));
+    let offset = 0;
+    glyphs.forEach((bytes, i) => {
+      loca.setUint32(i * 4, offset);
+      offset += align(bytes.length, 4);
+    });
+    loca.setUint32(glyphs.length * 4, offset);
+
+    const hmtx = new DataView(new ArrayBuffer(glyphs.length * 4));
+    this.subsetGlyphs.forEach((glyph, i) => {
+      hmtx.setUint16(i * 4, this.advanceWidths[glyph]);
+      hmtx.setInt16(i * 4 + 2, this.leftSideBearings[glyph]);
+    });
+
+    const head = this.tableData("head");
+    dataView(head).setUint32(8, 0); // checkSumAdjustment
+    dataView(head).setInt16(50, 1); // long loca offsets
+
+    const hhea = this.tableData("hhea");
+    dataView(hhea).setUint16(34, glyphs.length);
+
+    const maxp = this.tableData("maxp");
+    dataView(maxp).setUint16(4, glyphs.length);
+
+    const tables = {
+      glyf,
+      head,
+      hhea,
+      hmtx: new Uint8Array(hmtx.buffer),
+      loca: new Uint8Array(loca.buffer),
+      maxp,
+    };
+    for (const tag of ["cvt ", "fpgm", "prep"]) {
+      if (this.tables[tag.trim()]) {
+        tables[tag] = this.tableData(tag);
+      }
+    }
+
+    const font = buildSfnt(
+      SUBSET_TABLES.filter((tag) => tables[tag]).map((tag) => ({
+        tag,
+        data: tables[tag],
+      }))
+    );
+
+    // The whole-font checksum is stored in head.checkSumAdjustment
+    const headOffset = findTableOffset(font, "head");
+    dataView(font).setUint32(
+      headOffset + 8,
+      (0xb1b0afba - checksum(font)) >>> 0
+    );
+    return font;
+  }
+
+  // A copy of a table, safe to modify without changing the font data
+  tableData(tag) {
+    const table = this.tables[tag.trim()];
+    return copyBytes(this.data, table.offset, table.offset + table.length);
+  }
+
+  readTag(offset) {
+    return String.fromCharCode(...this.data.subarray(offset, offset + 4));
+  }
+}
+
+function toUint8Array(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error("TrueTypeFont: font data must be a Buffer or Uint8Array");
+}
+
+// A copy of bytes start to end; a Buffer's slice() would share its memory
+function copyBytes(bytes, start, end) {
+  return new Uint8Array(bytes.subarray(start, end));
+}
+
+// A DataView of exactly these bytes, which may be a view into a larger
+// buffer
+function dataView(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function align(length, boundary) {
+  return Math.ceil(length / boundary) * boundary;
+}
+
+function pad(bytes, boundary) {
+  const padded = new Uint8Array(align(bytes.length, boundary));
+  padded.set(bytes);
+  return padded;
+}
+
+function concat(arrays) {
+  const total = arrays.reduce((sum, a) => sum + a.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const a of arrays) {
+    result.set(a, offset);
+    offset += a.length;
+  }
+  return result;
+}
+
+function checksum(bytes) {
+  const padded = pad(bytes, 4);
+  const view = dataView(padded);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) {
+    sum = (sum + view.getUint32(i)) >>> 0;
+  }
+  return sum;
+}
+
+function buildSfnt(tables) {
+  const numTables = tables.length;
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = Math.pow(2, entrySelector) * 16;
+
+  const headerLength = 12 + numTables * 16;
+  const header = new DataView(new ArrayBuffer(headerLength));
+  header.setUint32(0, 0x00010000);
+  header.setUint16(4, numTables);
+  header.setUint16(6, searchRange);
+  header.setUint16(8, entrySelector);
+  header.setUint16(10, numTables * 16 - searchRange);
+
+  let offset = headerLength;
+  tables.forEach(({ tag, data }, i) => {
+    const record = 12 + i * 16;
+    for (let j = 0; j < 4; j++) {
+      header.setUint8(record + j, tag.charCodeAt(j));
+    }
+    header.setUint32(record + 4, checksum(data));
+    header.setUint32(record + 8, offset);
+    header.setUint32(record + 12, data.length);
+    offset += align(data.length, 4);
+  });
+
+  return concat([
+    new Uint8Array(header.buffer),
+    ...tables.map(({ data }) => pad(data, 4)),
+  ]);
+}
+
+function findTableOffset(font, tag) {
+  const view = dataView(font);
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (String.fromCharCode(...font.subarray(record, record + 4)) === tag) {
+      return view.getUint32(record + 8);
+    }
+  }
+  return -1;
+}
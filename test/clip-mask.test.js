@@ -0,0 +1,111 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+test("clip() intersects the clip with the current path", () => {
+  const doc = new PDFDocument();
+  doc.save().rect(0, 0, 10, 10).clip("evenodd").rect(0, 0, 20, 20).fill();
+  doc.restore();
+  assert.deepEqual(doc.contentStream.slice(0, 5), [
+    "q",
+    "0 0 10 10 re",
+    "W*",
+    "n",
+    "0 0 20 20 re",
+  ]);
+});
+
+test("SVG clip paths clip before the element is painted", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <clipPath id="c" clip-rule="evenodd"><circle cx="5" cy="5" r="5"/></clipPath>
+      <rect clip-path="url(#c)" width="10" height="10"/>
+    </svg>`
+  );
+  assert.equal(console.warn.mock.callCount(), 0);
+
+  const ops = doc.contentStream;
+  const clip = ops.indexOf("W*");
+  assert.ok(clip > 0, "clips");
+  assert.equal(ops[clip - 1], "h");
+  assert.equal(ops[clip + 1], "n");
+  assert.ok(ops.indexOf("f") > clip, "paints after clipping");
+});
+
+test("an empty clip path hides the element", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    '<svg><clipPath id="c"/><rect clip-path="url(#c)" width="10"/></svg>'
+  );
+  assert.ok(doc.contentStream.includes("0 0 0 0 re"));
+});
+
+test("clip path cycles are skipped with a warning", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <clipPath id="a" clip-path="url(#b)"><rect width="5" height="5"/></clipPath>
+      <clipPath id="b" clip-path="url(#a)"><rect width="5" height="5"/></clipPath>
+      <rect clip-path="url(#a)" width="10" height="10"/>
+    </svg>`
+  );
+  assert.ok(console.warn.mock.callCount() > 0);
+});
+
+test("SVG masks paint through a luminosity soft mask", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <mask id="m"><rect width="5" height="10" fill="white"/></mask>
+      <rect mask="url(#m)" width="10" height="10" fill="red"/>
+    </svg>`
+  );
+  assert.equal(console.warn.mock.callCount(), 0);
+
+  const [name, state] = Object.entries(doc.resources.ExtGState).find(
+    ([, value]) => value.SMask
+  );
+  assert.equal(state.SMask.type, "Luminosity");
+  assert.ok(doc.contentStream.includes(`/${name} gs`));
+  assert.ok(state.SMask.group in doc.resources.XObject);
+});
+
+test("mask-type alpha uses the mask's opacity", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <mask id="m" mask-type="alpha"><rect width="5" height="10"/></mask>
+      <rect mask="url(#m)" width="10" height="10"/>
+    </svg>`
+  );
+  const state = Object.values(doc.resources.ExtGState).find(
+    (value) => value.SMask
+  );
+  assert.equal(state.SMask.type, "Alpha");
+});
+
+test("groups become form XObjects usable as soft masks", () => {
+  const doc = new PDFDocument();
+  doc.beginGroup();
+  doc.rect(0, 0, 10, 10).fillColor("white").fill();
+  const mask = doc.endGroup();
+  doc.save().softMask(mask, "alpha").rect(0, 0, 10, 10).fill().restore();
+  doc.beginGroup();
+  const group = doc.endGroup();
+  doc.drawGroup(group);
+
+  assert.deepEqual([mask, group], ["Fm1", "Fm2"]);
+  assert.equal(doc.resources.XObject.Fm1.softMask, true);
+  assert.ok(doc.contentStream.includes("/Fm1_Alpha gs"));
+  assert.ok(doc.contentStream.includes("/Fm2 Do"));
+  assert.throws(() => doc.endGroup(), /without beginGroup/);
+  assert.match(doc.end().toString("latin1"), /\/S \/Alpha/);
+});
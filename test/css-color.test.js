@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCSSColor } from "../src/css-color.js";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+const rgba = (r, g, b, alpha = 1) => ({
+  r: r / 255,
+  g: g / 255,
+  b: b / 255,
+  alpha,
+});
+
+test("hex and named colors", () => {
+  assert.deepEqual(parseCSSColor("#f00"), rgba(255, 0, 0));
+  assert.deepEqual(parseCSSColor("#ff000080"), rgba(255, 0, 0, 128 / 255));
+  assert.deepEqual(parseCSSColor(" Lime "), rgba(0, 255, 0));
+  assert.deepEqual(parseCSSColor("transparent"), rgba(0, 0, 0, 0));
+  assert.deepEqual(parseCSSColor("#ff00"), rgba(255, 255, 0, 0));
+  assert.equal(parseCSSColor("#ff000"), null);
+  assert.equal(parseCSSColor("nocolor"), null);
+});
+
+test("rgb() in the comma and space separated syntax", () => {
+  assert.deepEqual(parseCSSColor("rgb(255, 0, 0)"), rgba(255, 0, 0));
+  assert.deepEqual(
+    parseCSSColor("rgba(100%, 0%, 0%, 0.5)"),
+    rgba(255, 0, 0, 0.5)
+  );
+  assert.deepEqual(parseCSSColor("rgb(255 0 0 / 25%)"), rgba(255, 0, 0, 0.25));
+  assert.deepEqual(parseCSSColor("rgb(300 none 0)"), rgba(255, 0, 0));
+  // The comma syntax neither mixes numbers and percentages nor takes none
+  assert.equal(parseCSSColor("rgb(255, 0%, 0)"), null);
+  assert.equal(parseCSSColor("rgb(255, none, 0)"), null);
+  assert.equal(parseCSSColor("rgb(255 0 0 / 1 / 1)"), null);
+});
+
+test("hsl() and hwb() hues in any angle unit", () => {
+  assert.deepEqual(parseCSSColor("hsl(120, 100%, 50%)"), rgba(0, 255, 0));
+  assert.deepEqual(
+    parseCSSColor("hsl(0.5turn 100% 50% / .5)"),
+    rgba(0, 255, 255, 0.5)
+  );
+  assert.deepEqual(parseCSSColor("hsl(-120deg 100 50)"), rgba(0, 0, 255));
+  assert.deepEqual(parseCSSColor("hwb(0 0% 0%)"), rgba(255, 0, 0));
+  assert.deepEqual(parseCSSColor("hwb(90 60% 60%)"), rgba(127.5, 127.5, 127.5));
+  assert.equal(parseCSSColor("hwb(0, 0%, 0%)"), null);
+  assert.equal(parseCSSColor("hsl(120px, 100%, 50%)"), null);
+});
+
+test("currentColor takes the given color, black without one", () => {
+  assert.deepEqual(parseCSSColor("currentColor", "#00f"), rgba(0, 0, 255));
+  assert.deepEqual(parseCSSColor("currentcolor"), rgba(0, 0, 0));
+  assert.deepEqual(
+    parseCSSColor("currentColor", "currentColor"),
+    rgba(0, 0, 0)
+  );
+});
+
+test("a color's alpha multiplies the fill and stroke opacity", () => {
+  const doc = new PDFDocument();
+  doc.fillOpacity(0.5).fillColor("rgb(0 0 255 / 50%)");
+  doc.rect(0, 0, 1, 1).fill();
+  assert.ok(doc.contentStream.includes("0 0 1 rg"));
+  assert.deepEqual(Object.values(doc.resources.ExtGState), [{ ca: 0.25 }]);
+});
+
+test("SVG currentColor uses the inherited color property", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg color="red">
+      <g style="color: hsl(120 100% 50%)">
+        <rect width="1" height="1" fill="currentColor" stroke="currentColor"/>
+      </g>
+      <rect width="1" height="1" fill="currentColor"/>
+    </svg>`
+  );
+  assert.deepEqual(
+    doc.contentStream.filter((op) => / (rg|RG)$/.test(op)),
+    ["0 1 0 rg", "0 1 0 RG", "1 0 0 rg"]
+  );
+});
@@ -0,0 +1,156 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+// The shadings of the patterns a document's paint uses
+const shadings = (doc) =>
+  Object.values(doc.resources.Pattern).map((pattern) => pattern.shading);
+
+test("linear and radial gradients become axial and radial shadings", () => {
+  const doc = new PDFDocument();
+  doc
+    .fillColor(
+      doc.linearGradient(0, 0, 100, 0).stop(0, "red").stop(1, "blue")
+    )
+    .rect(0, 0, 100, 10)
+    .fill();
+  doc
+    .fillColor(
+      doc.radialGradient(50, 50, 0, 50, 50, 50).stop(0, "white").stop(1, "red")
+    )
+    .rect(0, 0, 100, 100)
+    .fill();
+
+  const [linear, radial] = shadings(doc);
+  assert.equal(linear.shadingType, 2);
+  assert.deepEqual(linear.coords, [0, 0, 100, 0]);
+  assert.deepEqual(linear.components, [
+    [1, 0, 0],
+    [0, 0, 1],
+  ]);
+  assert.equal(radial.shadingType, 3);
+  assert.deepEqual(radial.coords, [50, 50, 0, 50, 50, 50]);
+});
+
+test("gradients without extent paint their last stop", () => {
+  const doc = new PDFDocument();
+  doc
+    .fillColor(
+      doc.linearGradient(10, 10, 10, 10).stop(0, "red").stop(1, "blue")
+    )
+    .rect(0, 0, 10, 10)
+    .fill();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <radialGradient id="g" r="0">
+        <stop stop-color="red"/><stop offset="1" stop-color="#00ff00"/>
+      </radialGradient>
+      <rect fill="url(#g)" width="5" height="5"/>
+    </svg>`
+  );
+
+  const [linear, radial] = shadings(doc);
+  assert.deepEqual(linear.components, [
+    [0, 0, 1],
+    [0, 0, 1],
+  ]);
+  assert.equal(radial.shadingType, 2);
+  assert.deepEqual(radial.components, [
+    [0, 1, 0],
+    [0, 1, 0],
+  ]);
+});
+
+test("translucent stops add a soft mask", () => {
+  const doc = new PDFDocument();
+  doc
+    .fillColor(
+      doc.linearGradient(0, 0, 100, 0).stop(0, "red").stop(1, "red", 0.25)
+    )
+    .rect(0, 0, 100, 10)
+    .fill();
+  assert.ok(doc.contentStream.some((op) => /^\/P1_mask gs$/.test(op)));
+});
+
+test("SVG gradients inherit through href and fall back without one", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <linearGradient id="a" spreadMethod="reflect">
+        <stop stop-color="red"/><stop offset="1" stop-color="blue"/>
+      </linearGradient>
+      <linearGradient id="b" href="#a" x1="0.5"/>
+      <rect fill="url(#b)" x="10" y="10" width="100" height="50"/>
+      <rect fill="url(#missing) #0000ff" width="10" height="10"/>
+    </svg>`
+  );
+
+  // The bounding box units map the gradient onto the rectangle
+  const [pattern] = Object.values(doc.resources.Pattern);
+  assert.deepEqual(pattern.matrix, [100, 0, 0, -50, 10, 90]);
+  assert.equal(pattern.shading.spread, "reflect");
+  assert.deepEqual(pattern.shading.components, [
+    [1, 0, 0],
+    [0, 0, 1],
+  ]);
+  assert.ok(doc.contentStream.includes("0 0 1 rg"));
+});
+
+test("SVG gradients shade in CMYK and in a spot color's space", () => {
+  const doc = new PDFDocument();
+  doc.defineSpotColor("Brand", { c: 100, m: 50, y: 0, k: 0 });
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <linearGradient id="cmyk">
+        <stop stop-color="red"/><stop offset="1" stop-color="blue"/>
+      </linearGradient>
+      <linearGradient id="spot">
+        <stop stop-color="white"/><stop offset="1" stop-color="#123456"/>
+      </linearGradient>
+      <rect fill="url(#cmyk)" width="5" height="5"/>
+      <rect fill="url(#spot)" x="10" width="5" height="5"/>
+    </svg>`,
+    0,
+    0,
+    { useCMYK: true, spotColorMap: { "#123456": { name: "Brand" } } }
+  );
+
+  const [cmyk, spot] = shadings(doc);
+  assert.equal(cmyk.colorSpace, "DeviceCMYK");
+  assert.deepEqual(spot.components, [[0], [1]]);
+});
+
+test("gradient stops shade in Lab, or in CMYK when mixed with it", () => {
+  const doc = new PDFDocument();
+  const paint = (gradient) =>
+    doc.fillColor(gradient).rect(0, 0, 100, 10).fill();
+  paint(
+    doc
+      .linearGradient(0, 0, 100, 0)
+      .stop(0, { L: 50, a: 10, b: -10 })
+      .stop(1, { L: 100, a: 0, b: 0 })
+  );
+  paint(
+    doc
+      .linearGradient(0, 0, 100, 0)
+      .stop(0, { c: 100, m: 0, y: 0, k: 0 })
+      .stop(1, "red")
+  );
+
+  const [lab, cmyk] = shadings(doc);
+  assert.equal(lab.colorSpace, "Lab");
+  assert.deepEqual(lab.components, [
+    [50, 10, -10],
+    [100, 0, 0],
+  ]);
+  assert.equal(cmyk.colorSpace, "DeviceCMYK");
+  assert.deepEqual(cmyk.components, [
+    [1, 0, 0, 0],
+    [0, 1, 1, 0],
+  ]);
+});
@@ -0,0 +1,77 @@
+import { deflateSync } from "node:zlib";
+
+// PNG files built from unfiltered rows of samples, and JPEG headers
+// enough for the image parser
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// `rows` holds each row's samples; `chunks` adds chunks such as PLTE and
+// tRNS by type
+export function png(width, height, colorType, rows, chunks = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = colorType;
+
+  const raw = Buffer.concat(
+    rows.map((row) => Buffer.from([0, ...row])) // filter type None
+  );
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    ...Object.entries(chunks).map(([type, data]) =>
+      chunk(type, Buffer.from(data))
+    ),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+export function dataURI(mimeType, bytes) {
+  return `data:${mimeType};base64,${Buffer.from(bytes).toString("base64")}`;
+}
+
+// A baseline JPEG's start of image, optional Adobe segment and frame
+// header; the image parser reads no further
+export function jpeg(width, height, components, { adobe = false } = {}) {
+  const segments = [Buffer.from([0xff, 0xd8])];
+  if (adobe) {
+    segments.push(
+      Buffer.from([0xff, 0xee, 0x00, 0x0e]),
+      Buffer.from("Adobe\0\0\0\0\0\0\0", "latin1")
+    );
+  }
+  const frame = Buffer.alloc(10 + components * 3);
+  frame.writeUInt16BE(0xffc0, 0);
+  frame.writeUInt16BE(8 + components * 3, 2);
+  frame[4] = 8;
+  frame.writeUInt16BE(height, 5);
+  frame.writeUInt16BE(width, 7);
+  frame[9] = components;
+  segments.push(frame, Buffer.from([0xff, 0xd9]));
+  return Buffer.concat(segments);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const byte of bytes) {
+    c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
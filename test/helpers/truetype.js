@@ -0,0 +1,161 @@
+// A small TrueType font built in memory: .notdef, simple glyphs for "A"
+// and "B", and a composite "C" made of the "A" glyph
+
+const UNITS_PER_EM = 1000;
+const WIDTHS = [500, 600, 700, 800];
+
+export function buildTrueTypeFont() {
+  const glyphs = [
+    new Uint8Array(0),
+    simpleGlyph([0, 300, 600], [0, 700, 0]),
+    simpleGlyph([0, 0, 500], [0, 700, 350]),
+    compositeGlyph(1, 100, 0),
+  ];
+
+  const loca = new DataView(new ArrayBuffer((glyphs.length + 1) * 4));
+  let offset = 0;
+  glyphs.forEach((bytes, i) => {
+    loca.setUint32(i * 4, offset);
+    offset += bytes.length;
+  });
+  loca.setUint32(glyphs.length * 4, offset);
+
+  const head = new DataView(new ArrayBuffer(54));
+  head.setUint32(0, 0x00010000);
+  head.setUint32(12, 0x5f0f3cf5);
+  head.setUint16(18, UNITS_PER_EM);
+  head.setInt16(40, 800);
+  head.setInt16(42, 700);
+  head.setInt16(50, 1); // long loca offsets
+
+  const hhea = new DataView(new ArrayBuffer(36));
+  hhea.setUint32(0, 0x00010000);
+  hhea.setInt16(4, 800);
+  hhea.setInt16(6, -200);
+  hhea.setUint16(34, glyphs.length);
+
+  const maxp = new DataView(new ArrayBuffer(6));
+  maxp.setUint32(0, 0x00005000);
+  maxp.setUint16(4, glyphs.length);
+
+  const hmtx = new DataView(new ArrayBuffer(glyphs.length * 4));
+  WIDTHS.forEach((width, i) => hmtx.setUint16(i * 4, width));
+
+  return sfnt({
+    cmap: cmap(),
+    glyf: concat(glyphs),
+    head: bytes(head),
+    hhea: bytes(hhea),
+    hmtx: bytes(hmtx),
+    loca: bytes(loca),
+    maxp: bytes(maxp),
+  });
+}
+
+// The tables of an sfnt file by tag
+export function readTables(font) {
+  const view = new DataView(font.buffer, font.byteOffset, font.byteLength);
+  const tables = {};
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16;
+    const tag = String.fromCharCode(...font.subarray(record, record + 4));
+    const offset = view.getUint32(record + 8);
+    const length = view.getUint32(record + 12);
+    tables[tag] = new DataView(font.buffer, font.byteOffset + offset, length);
+  }
+  return tables;
+}
+
+function simpleGlyph(xs, ys) {
+  const view = new DataView(new ArrayBuffer(30));
+  view.setInt16(0, 1); // one contour
+  view.setInt16(6, Math.max(...xs));
+  view.setInt16(8, Math.max(...ys));
+  view.setUint16(10, xs.length - 1);
+  view.setUint16(12, 0); // no instructions
+  for (let i = 0; i < xs.length; i++) {
+    view.setUint8(14 + i, 0x01); // on curve, two-byte coordinates
+  }
+  let x = 0;
+  let y = 0;
+  xs.forEach((value, i) => {
+    view.setInt16(17 + i * 2, value - x);
+    view.setInt16(23 + i * 2, ys[i] - y);
+    x = value;
+    y = ys[i];
+  });
+  return bytes(view);
+}
+
+function compositeGlyph(component, dx, dy) {
+  const view = new DataView(new ArrayBuffer(18));
+  view.setInt16(0, -1);
+  view.setUint16(10, 0x0003); // ARG_1_AND_2_ARE_WORDS | ARGS_ARE_XY_VALUES
+  view.setUint16(12, component);
+  view.setInt16(14, dx);
+  view.setInt16(16, dy);
+  return bytes(view);
+}
+
+// A format 4 subtable mapping "A" to "C" to glyphs 1 to 3
+function cmap() {
+  const segments = 2;
+  const view = new DataView(new ArrayBuffer(12 + 16 + segments * 8));
+  view.setUint16(2, 1);
+  view.setUint16(4, 3); // Windows
+  view.setUint16(6, 1); // Unicode BMP
+  view.setUint32(8, 12);
+
+  const subtable = 12;
+  view.setUint16(subtable, 4);
+  view.setUint16(subtable + 2, 16 + segments * 8);
+  view.setUint16(subtable + 6, segments * 2);
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segments * 2 + 2;
+  const idDeltas = startCodes + segments * 2;
+  view.setUint16(endCodes, 0x43);
+  view.setUint16(endCodes + 2, 0xffff);
+  view.setUint16(startCodes, 0x41);
+  view.setUint16(startCodes + 2, 0xffff);
+  view.setUint16(idDeltas, (1 - 0x41) & 0xffff);
+  view.setUint16(idDeltas + 2, 1);
+  return bytes(view);
+}
+
+function sfnt(tables) {
+  const tags = Object.keys(tables).sort();
+  const header = new DataView(new ArrayBuffer(12 + tags.length * 16));
+  header.setUint32(0, 0x00010000);
+  header.setUint16(4, tags.length);
+
+  const data = [];
+  let offset = header.byteLength;
+  tags.forEach((tag, i) => {
+    const record = 12 + i * 16;
+    for (let j = 0; j < 4; j++) {
+      header.setUint8(record + j, tag.charCodeAt(j));
+    }
+    const table = tables[tag];
+    const padded = new Uint8Array(Math.ceil(table.length / 4) * 4);
+    padded.set(table);
+    header.setUint32(record + 8, offset);
+    header.setUint32(record + 12, table.length);
+    data.push(padded);
+    offset += padded.length;
+  });
+  return concat([bytes(header), ...data]);
+}
+
+function bytes(view) {
+  return new Uint8Array(view.buffer);
+}
+
+function concat(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+  let offset = 0;
+  for (const a of arrays) {
+    result.set(a, offset);
+    offset += a.length;
+  }
+  return result;
+}
@@ -0,0 +1,168 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+import { dataURI, jpeg, png } from "./helpers/images.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+const GRAY = 0;
+const RGB = 2;
+const PALETTE = 3;
+const RGBA = 6;
+
+const images = (doc) => Object.values(doc.resources.XObject);
+
+test("opaque PNGs are embedded with their compressed data", () => {
+  const doc = new PDFDocument();
+  doc.image(png(2, 1, RGB, [[255, 0, 0, 0, 0, 255]]), 10, 10);
+
+  const [image] = images(doc);
+  assert.equal(image.colorSpace, "DeviceRGB");
+  assert.equal(image.compressed, true);
+  assert.equal(image.decodeParms.Predictor, 15);
+  assert.ok(doc.contentStream.includes("/Im1 Do"));
+});
+
+test("PNG transparency becomes an alpha channel", () => {
+  const doc = new PDFDocument();
+  doc.image(png(2, 1, RGBA, [[255, 0, 0, 255, 0, 0, 255, 0]]));
+  doc.image(
+    png(2, 1, PALETTE, [[0, 1]], {
+      PLTE: [255, 0, 0, 0, 255, 0],
+      tRNS: [128],
+    })
+  );
+
+  const [rgba, palette] = images(doc);
+  assert.deepEqual([...rgba.data], [255, 0, 0, 0, 0, 255]);
+  assert.deepEqual([...rgba.alpha], [255, 0]);
+  assert.deepEqual([...palette.data], [255, 0, 0, 0, 255, 0]);
+  assert.deepEqual([...palette.alpha], [128, 255]);
+});
+
+test("JPEGs are embedded unchanged", () => {
+  const doc = new PDFDocument();
+  const data = jpeg(4, 3, 3);
+  doc.image(data, 0, 0, { width: 8 });
+
+  const [image] = images(doc);
+  assert.deepEqual([image.width, image.height], [4, 3]);
+  assert.equal(image.colorSpace, "DeviceRGB");
+  assert.deepEqual(image.data, data);
+  assert.ok(doc.contentStream.includes("8 0 0 6 0 0 cm"));
+});
+
+test("RGB PNGs convert to CMYK", () => {
+  const doc = new PDFDocument();
+  doc.image(png(1, 1, RGB, [[0, 0, 0]]), 0, 0, { cmyk: true });
+  doc.image(
+    png(2, 1, PALETTE, [[0, 1]], { PLTE: [255, 0, 0, 255, 255, 255] }),
+    0,
+    0,
+    { cmyk: true }
+  );
+  doc.image(png(1, 1, GRAY, [[128]]), 0, 0, { cmyk: true });
+
+  const [rgb, palette, gray] = images(doc);
+  assert.equal(rgb.colorSpace, "DeviceCMYK");
+  assert.deepEqual([...rgb.data], [0, 0, 0, 255]);
+  assert.equal(palette.paletteColorSpace, "DeviceCMYK");
+  assert.equal(palette.palette.length, 8);
+  assert.equal(gray.colorSpace, "DeviceGray");
+});
+
+test("JPEGs are tagged with their color space, inverting Adobe CMYK", () => {
+  const doc = new PDFDocument();
+  doc.image(jpeg(4, 3, 1));
+  doc.image(jpeg(4, 3, 4));
+  doc.image(jpeg(4, 3, 4, { adobe: true }));
+
+  const [gray, cmyk, adobe] = images(doc);
+  assert.deepEqual([gray.width, gray.height], [4, 3]);
+  assert.equal(gray.colorSpace, "DeviceGray");
+  assert.equal(cmyk.colorSpace, "DeviceCMYK");
+  assert.equal(cmyk.decodeArray, undefined);
+  assert.equal(adobe.colorSpace, "DeviceCMYK");
+  assert.deepEqual(adobe.decodeArray, [1, 0, 1, 0, 1, 0, 1, 0]);
+
+  const pdf = doc.end().toString("latin1");
+  assert.match(pdf, /\/ColorSpace \/DeviceGray/);
+  assert.match(pdf, /\/Decode \[1 0 1 0 1 0 1 0\]/);
+});
+
+test("RGB JPEGs cannot be converted to CMYK", () => {
+  const doc = new PDFDocument();
+  assert.throws(
+    () => doc.image(jpeg(4, 3, 3), 0, 0, { cmyk: true }),
+    /RGB JPEGs cannot be converted to CMYK/
+  );
+  doc.image(jpeg(4, 3, 1), 0, 0, { cmyk: true });
+  assert.equal(images(doc)[0].colorSpace, "DeviceGray");
+
+  // SVG skips the image and reports it
+  const diagnostics = SVGtoPDF(
+    doc,
+    `<svg><image href="${dataURI("image/jpeg", jpeg(4, 3, 3))}"/></svg>`,
+    0,
+    0,
+    { useCMYK: true }
+  );
+  assert.equal(images(doc).length, 1);
+  assert.match(diagnostics[0].message, /RGB JPEGs cannot be converted/);
+});
+
+test("PNG data must match the image size before it is decoded", () => {
+  const doc = new PDFDocument();
+  assert.throws(
+    () => doc.image(png(2, 2, RGBA, [[0, 0, 0, 0, 0, 0, 0, 0]])),
+    /image data is truncated/
+  );
+  // Rows past the image's height are not inflated
+  const rows = Array(1000).fill([0, 0, 0, 0]);
+  assert.throws(
+    () => doc.image(png(1, 1, RGBA, rows)),
+    /image data is larger than the image/
+  );
+  assert.throws(
+    () => doc.image(png(100000, 100000, RGB, [])),
+    /unsupported image size 100000x100000/
+  );
+  assert.throws(() => doc.image(png(0, 1, RGB, [])), /unsupported image size/);
+  assert.deepEqual(images(doc), []);
+});
+
+test("an image drawn several times is embedded once per conversion", () => {
+  const doc = new PDFDocument();
+  const data = png(1, 1, RGB, [[255, 0, 0]]);
+  doc.image(data).image(data, 10, 10).image(data, 0, 0, { cmyk: true });
+  assert.deepEqual(Object.keys(doc.resources.XObject), ["Im1", "Im2"]);
+});
+
+test("SVG images are placed by preserveAspectRatio", () => {
+  const doc = new PDFDocument();
+  const href = dataURI("image/png", png(2, 1, RGB, [[0, 0, 0, 0, 0, 0]]));
+  SVGtoPDF(
+    doc,
+    `<svg width="100" height="100"><image href="${href}" width="40" height="40"/></svg>`
+  );
+
+  // A 2:1 image meets a 40 by 40 box 40 wide and 20 high
+  assert.ok(doc.contentStream.includes("/Im1 Do"));
+  assert.ok(doc.contentStream.some((op) => /^40 0 0 -?20 /.test(op)));
+});
+
+test("SVG images of zero or negative size are not loaded", () => {
+  const doc = new PDFDocument();
+  const diagnostics = SVGtoPDF(
+    doc,
+    `<svg>
+      <image href="data:image/png;base64,AAAA" width="0" height="10"/>
+      <image href="data:image/png;base64,AAAA" width="10" height="-1"/>
+    </svg>`
+  );
+  assert.deepEqual(images(doc), []);
+  assert.deepEqual(
+    diagnostics.map((diagnostic) => diagnostic.message),
+    ["image has a negative width or height"]
+  );
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+const LINE_STYLE = /^(\d+ [Jj]|[\d.]+ M|\[.*\] [\d.]+ d)$/;
+
+test("line style is written when a stroke uses it", () => {
+  const doc = new PDFDocument();
+  doc.lineCap("round").lineJoin("bevel").miterLimit(3).dash([6, 3], -2);
+  doc.moveTo(0, 0).lineTo(10, 0).stroke();
+  doc.moveTo(0, 5).lineTo(10, 5).stroke();
+  doc.undash().moveTo(0, 10).lineTo(10, 10).stroke();
+
+  assert.deepEqual(
+    doc.contentStream.filter((op) => LINE_STYLE.test(op)),
+    ["1 J", "2 j", "3 M", "[6 3] 7 d", "[] 0 d"]
+  );
+});
+
+test("invalid line styles fall back to the defaults", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const doc = new PDFDocument();
+  doc.lineCap("flat").lineJoin("arcs").miterLimit(0).dash([2, -1]);
+  assert.equal(doc.currentLineCap, "butt");
+  assert.equal(doc.currentLineJoin, "miter");
+  assert.equal(doc.currentMiterLimit, 1);
+  assert.deepEqual(doc.currentDash, { array: [], phase: 0 });
+  assert.equal(console.warn.mock.callCount(), 2);
+
+  // Odd-length patterns repeat twice, so the phase wraps at 2 x 5
+  doc.dash(5, 12);
+  assert.deepEqual(doc.currentDash, { array: [5], phase: 2 });
+});
+
+test("saved line styles are written again after restore", () => {
+  const doc = new PDFDocument();
+  doc.save().lineCap("square").moveTo(0, 0).lineTo(10, 0).stroke().restore();
+  doc.moveTo(0, 0).lineTo(10, 0).stroke();
+  assert.deepEqual(
+    doc.contentStream.filter((op) => LINE_STYLE.test(op)),
+    ["2 J", "2 J"]
+  );
+});
+
+test("SVG stroke properties set the line style", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <path d="M0 0L10 0" stroke="#000000" stroke-linecap="square"
+        stroke-linejoin="round" stroke-dasharray="4, 2 1"
+        stroke-dashoffset="1"/>
+      <path d="M0 5L10 5" stroke="#000000" stroke-linejoin="miter-clip"
+        stroke-miterlimit="8" stroke-dasharray="4 -2"/>
+    </svg>`
+  );
+  assert.deepEqual(
+    doc.contentStream.filter((op) => LINE_STYLE.test(op)),
+    ["2 J", "1 j", "4 M", "[4 2 1] 1 d", "0 J", "0 j", "8 M", "[] 0 d"]
+  );
+});
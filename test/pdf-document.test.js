@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "../src/index.js";
+
+// The written PDF as text; content streams are compressed, dictionaries
+// are not
+const output = (doc) => doc.end().toString("latin1");
+
+test("drawing goes to the most recently added page", () => {
+  const doc = new PDFDocument({ width: 200, height: 100 });
+  doc.rect(0, 0, 10, 10).fill();
+  doc.addPage({ width: 300 });
+  doc.circle(5, 5, 5).fill();
+
+  assert.equal(doc.pages.length, 2);
+  assert.equal(doc.page, doc.pages[1]);
+  assert.deepEqual([doc.width, doc.height], [300, 100]);
+  assert.equal(doc.contentStream, doc.pages[1].contentStream);
+  assert.ok(doc.pages[0].contentStream.includes("0 0 10 10 re"));
+  assert.ok(!doc.pages[1].contentStream.includes("0 0 10 10 re"));
+
+  const pdf = output(doc);
+  assert.match(pdf, /\/Count 2/);
+  assert.match(pdf, /\/MediaBox \[0 0 200 100\]/);
+  assert.match(pdf, /\/MediaBox \[0 0 300 100\]/);
+});
+
+test("pages share resources and list only those they use", () => {
+  const doc = new PDFDocument();
+  doc.defineSpotColor("Brand", { c: 100, m: 0, y: 0, k: 0 });
+  doc.fillSpotColor("Brand").rect(0, 0, 10, 10).fill();
+  doc.addPage();
+  doc.fillSpotColor("Brand", 0.5).rect(0, 0, 10, 10).fill();
+  doc.addPage();
+  doc.fillColorCMYK(0, 0, 0, 100).rect(0, 0, 10, 10).fill();
+
+  assert.deepEqual(
+    doc.pages.map((page) => [...page.resources.ColorSpace]),
+    [["CS1"], ["CS1"], []]
+  );
+  const pdf = output(doc);
+  assert.equal(pdf.match(/\/Separation/g).length, 1);
+});
+
+test("trim size, bleed and slug give the page boxes", () => {
+  const doc = new PDFDocument({
+    trimWidth: 100,
+    trimHeight: 200,
+    bleed: 5,
+    slug: 10,
+    cropBox: true,
+    artBox: true,
+  });
+
+  assert.deepEqual([doc.width, doc.height], [130, 230]);
+  assert.deepEqual(doc.trimBox, { x: 15, y: 15, width: 100, height: 200 });
+  assert.deepEqual(doc.bleedBox, { x: 10, y: 10, width: 110, height: 210 });
+  assert.deepEqual(doc.page.cropBox, doc.bleedBox);
+  assert.deepEqual(doc.page.artBox, doc.trimBox);
+
+  const pdf = output(doc);
+  assert.match(pdf, /\/MediaBox \[0 0 130 230\]/);
+  assert.match(pdf, /\/CropBox \[10 10 120 220\]/);
+  assert.match(pdf, /\/BleedBox \[10 10 120 220\]/);
+  assert.match(pdf, /\/TrimBox \[15 15 115 215\]/);
+  assert.match(pdf, /\/ArtBox \[15 15 115 215\]/);
+});
+
+test("without a trim size the trim box is inset from the page", (t) => {
+  const doc = new PDFDocument({ width: 100, height: 100, bleed: 10 });
+  assert.deepEqual(doc.trimBox, { x: 10, y: 10, width: 80, height: 80 });
+
+  // Bleed leaving no trim area is ignored
+  t.mock.method(console, "warn", () => {});
+  doc.addPage({ bleed: 60 });
+  assert.deepEqual(doc.trimBox, { x: 0, y: 0, width: 100, height: 100 });
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test("a page size given to addPage replaces the document's trim size", () => {
+  const doc = new PDFDocument({ trimWidth: 100, trimHeight: 200, bleed: 5 });
+  doc.addPage({ width: 300, height: 400 });
+  assert.deepEqual([doc.width, doc.height], [300, 400]);
+  assert.deepEqual(doc.trimBox, { x: 5, y: 5, width: 290, height: 390 });
+
+  // Each dimension is replaced on its own
+  doc.addPage({ width: 300 });
+  assert.deepEqual([doc.width, doc.height], [300, 210]);
+
+  // A trim size given with it still derives the page size
+  doc.addPage({ width: 300, trimWidth: 50 });
+  assert.deepEqual([doc.width, doc.height], [60, 210]);
+});
+
+test("addSVG places artwork in the trim or bleed box", () => {
+  const doc = new PDFDocument({ trimWidth: 100, trimHeight: 50, bleed: 5 });
+  const svg = '<svg viewBox="0 0 10 5"><rect width="10" height="5"/></svg>';
+  doc.addSVG(svg, 0, 0, { box: "trim" });
+  // Moves to the trim box and scales the 10 x 5 view box to 100 x 50
+  assert.equal(doc.contentStream[1], "1 0 0 1 5 5 cm");
+  assert.ok(doc.contentStream.includes("10 0 0 10 0 0 cm"));
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+// The color operators of the shapes drawn, in order
+const colors = (doc) =>
+  doc.contentStream.filter((op) => / (k|rg|cs|scn)$/.test(op));
+
+test("device-cmyk() colors are used as given", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <rect width="1" height="1" fill="device-cmyk(0 0.8 1 0 / 50%)"/>
+      <rect width="1" height="1"
+        fill="#231f20 device-cmyk(0.2, 0.2, 0.2, 1)"/>
+      <rect width="1" height="1" fill="device-cmyk(10% 0 0)"/>
+    </svg>`
+  );
+  assert.deepEqual(colors(doc), [
+    "0 0.8 1 0 k",
+    "0.2 0.2 0.2 1 k",
+    "0 0 0 rg",
+  ]);
+  assert.ok(doc.contentStream.includes("/fill_0.5 gs"));
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test("icc-color() gives CMYK or a defined spot color's tint", () => {
+  const doc = new PDFDocument();
+  doc.defineSpotColor("Gold", { c: 0, m: 20, y: 80, k: 10 });
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <rect width="1" height="1" fill="#ff0000 icc-color(FOGRA39, 0, 1, 1, 0)"/>
+      <rect width="1" height="1" fill="#ff0000 icc-color('Gold', 0.5)"/>
+      <rect width="1" height="1" fill="#0000ff icc-color(Unknown, 0.5)"/>
+    </svg>`
+  );
+  assert.deepEqual(colors(doc), [
+    "0 1 1 0 k",
+    "/CS1 cs",
+    "0.5 scn",
+    "0 0 1 rg",
+  ]);
+  assert.match(
+    console.warn.mock.calls[0].arguments[0],
+    /unsupported print color in #0000ff icc-color\(Unknown, 0.5\)/
+  );
+});
+
+test("colorCallback takes precedence over print colors", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg><rect width="1" height="1" fill="device-cmyk(0 0 0 1)"/></svg>`,
+    0,
+    0,
+    { colorCallback: () => "#00ff00" }
+  );
+  assert.deepEqual(colors(doc), ["0 1 0 rg"]);
+});
+
+test("gradient stops shade in their print colors", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg>
+      <linearGradient id="g">
+        <stop offset="0" stop-color="device-cmyk(1 0 0 0)"/>
+        <stop offset="1" stop-color="#ffffff device-cmyk(0, 0, 0, 0)"/>
+      </linearGradient>
+      <rect width="10" height="10" fill="url(#g)"/>
+    </svg>`
+  );
+  const [{ shading }] = Object.values(doc.resources.Pattern);
+  assert.equal(shading.colorSpace, "DeviceCMYK");
+  assert.deepEqual(shading.components, [
+    [1, 0, 0, 0],
+    [0, 0, 0, 0],
+  ]);
+});
@@ -0,0 +1,94 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+test("crop marks start outside the bleed in line with the trim edges", () => {
+  const doc = new PDFDocument({
+    trimWidth: 100,
+    trimHeight: 100,
+    bleed: 3,
+    slug: 30,
+  });
+  doc.addPrinterMarks({
+    registration: false,
+    colorBars: false,
+    pageInfo: false,
+  });
+
+  // The trim box starts 33pt in; marks 6pt out, 18pt long
+  const ops = doc.contentStream;
+  assert.deepEqual(ops.slice(1, 5), ["27 33 m", "9 33 l", "33 27 m", "33 9 l"]);
+  assert.ok(ops.includes("139 133 m") && ops.includes("157 133 l"));
+  assert.equal(console.warn.mock.callCount(), 0);
+});
+
+test("marks print on every plate in the registration color", () => {
+  const doc = new PDFDocument({ trimWidth: 100, trimHeight: 100, slug: 30 });
+  doc.addPrinterMarks({ colorBars: false, pageInfo: false });
+
+  const [name, space] = Object.entries(doc.resources.ColorSpace)[0];
+  assert.equal(space.type, "Separation");
+  assert.equal(space.name, "All");
+  assert.deepEqual(space.tintTransform, { c: 1, m: 1, y: 1, k: 1 });
+  assert.ok(doc.contentStream.includes(`/${name} CS`));
+  assert.ok(doc.contentStream.includes(`/${name} cs`));
+  assert.equal(doc.spotColors.size, 0);
+  assert.match(doc.end().toString("latin1"), /\/Separation \/All/);
+});
+
+test("color bars add tint steps for each spot color", () => {
+  const doc = new PDFDocument({ trimWidth: 400, trimHeight: 100, slug: 30 });
+  doc.defineSpotColor("Brand", { c: 0, m: 100, y: 0, k: 0 });
+  doc.addPrinterMarks({ crop: false, registration: false, pageInfo: false });
+
+  const ops = doc.contentStream;
+  assert.ok(ops.includes("1 0 0 0 k") && ops.includes("0 0 0 1 k"));
+  for (const tint of ["1", "0.75", "0.5", "0.25"]) {
+    assert.ok(ops.includes(`${tint} scn`), `Brand at ${tint}`);
+  }
+  assert.equal(console.warn.mock.callCount(), 0);
+});
+
+test("marks leave the caller's drawing state unchanged", () => {
+  const doc = new PDFDocument({ trimWidth: 100, trimHeight: 100, slug: 30 });
+  doc.fillColorCMYK(0, 100, 0, 0).lineWidth(3).opacity(0.5);
+  const color = doc.currentColor;
+  doc.addPrinterMarks({ pageInfo: "Job 42" });
+
+  assert.equal(doc.currentColor, color);
+  assert.equal(doc.currentLineWidth, 3);
+  assert.deepEqual(doc.currentOpacity, { fill: 0.5, stroke: 0.5 });
+  assert.equal(doc.contentStream[0], "q");
+  assert.equal(doc.contentStream[doc.contentStream.length - 1], "Q");
+});
+
+test("warns when the slug is too small for the marks", () => {
+  const doc = new PDFDocument({ trimWidth: 100, trimHeight: 100, slug: 10 });
+  doc.addPrinterMarks({ colorBars: false });
+  assert.match(console.warn.mock.calls[0].arguments[0], /increase the slug/);
+});
+
+test("marks are drawn in page space whatever the caller's transform", () => {
+  const doc = new PDFDocument({ trimWidth: 100, trimHeight: 100, slug: 30 });
+  doc.translate(0, 160).scale(2, -2);
+  const before = doc.contentStream.length;
+  doc.addPrinterMarks({
+    registration: false,
+    colorBars: false,
+    pageInfo: false,
+  });
+
+  const ops = doc.contentStream.slice(before);
+  assert.deepEqual(ops.slice(0, 3), ["q", "0.5 0 0 -0.5 0 80 cm", "24 30 m"]);
+  assert.equal(ops[ops.length - 1], "Q");
+  assert.deepEqual(doc._ctm, [2, 0, 0, -2, 0, 160]);
+
+  // A transform that cannot be undone leaves no marks
+  doc.scale(0);
+  const length = doc.contentStream.length;
+  doc.addPrinterMarks();
+  assert.equal(doc.contentStream.length, length);
+  assert.match(console.warn.mock.calls.at(-1).arguments[0], /cannot be undone/);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, StandardFont } from "../src/index.js";
+
+test("measures text with the AFM widths", () => {
+  const doc = new PDFDocument();
+  doc.font("Helvetica", 10);
+  // H e l l o: 722 556 222 222 556
+  assert.equal(doc.widthOfString("Hello"), 22.78);
+  assert.equal(doc.widthOfString("Hello", { characterSpacing: 1 }), 27.78);
+  doc.font("Courier");
+  assert.equal(doc.widthOfString("iiii"), 24);
+});
+
+test("encodes text in WinAnsiEncoding", () => {
+  const font = new StandardFont("Times-Roman");
+  assert.deepEqual(font.encode("A€é一"), [65, 128, 233, 63]);
+  assert.equal(font.toPDFString([40, 92, 128, 65]), "(\\(\\\\\\200A)");
+  assert.ok(StandardFont.isStandardFont("ZapfDingbats"));
+  assert.ok(!StandardFont.isStandardFont("Arial"));
+});
+
+test("aligns lines to x or to a box", () => {
+  const doc = new PDFDocument();
+  doc.font("Courier", 10);
+  // Courier is 6pt wide per character at 10pt
+  doc.text("ab\ncd", 100, 50, { align: "right", lineHeight: 20 });
+  doc.text("ab", 100, 50, { align: "center", width: 40 });
+
+  const placements = doc.contentStream.filter((op) => op.endsWith(" Tm"));
+  assert.deepEqual(placements, [
+    "1 0 0 1 88 50 Tm",
+    "1 0 0 1 88 30 Tm",
+    "1 0 0 1 114 50 Tm",
+  ]);
+  assert.ok(doc.contentStream.includes("/F1 10 Tf"));
+  assert.ok(doc.contentStream.includes("(ab) Tj"));
+});
+
+test("fonts are written once with their encoding", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const doc = new PDFDocument();
+  doc.font("Unknown").text("a", 0, 0);
+  doc.font("Helvetica").text("b", 0, 0);
+  doc.font("Symbol").text("c", 0, 0);
+
+  assert.equal(console.warn.mock.callCount(), 1);
+  assert.deepEqual(Object.keys(doc.resources.Font), ["F1", "F2"]);
+  const pdf = doc.end().toString("latin1");
+  assert.match(pdf, /\/BaseFont \/Helvetica\n\s*\/Encoding \/WinAnsiEncoding/);
+  assert.match(pdf, /\/BaseFont \/Symbol\n\s*>>/);
+});
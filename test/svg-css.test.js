@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+// The fill color operators of the shapes drawn, in order
+const fills = (svg) => {
+  const doc = new PDFDocument();
+  SVGtoPDF(doc, svg);
+  return doc.contentStream.filter((op) => op.endsWith(" rg"));
+};
+
+const RED = "1 0 0 rg";
+const GREEN = "0 1 0 rg";
+const BLUE = "0 0 1 rg";
+
+test("style rules override presentation attributes, style attributes both", () => {
+  assert.deepEqual(
+    fills(
+      `<svg>
+        <style>rect { fill: #00ff00 } .important { fill: #0000ff !important }</style>
+        <rect fill="#ff0000" width="1" height="1"/>
+        <rect style="fill: #ff0000" width="1" height="1"/>
+        <rect class="important" style="fill: #ff0000" width="1" height="1"/>
+        <rect style="fill: #ff0000 !important" class="important" width="1" height="1"/>
+      </svg>`
+    ),
+    [GREEN, RED, BLUE, RED]
+  );
+});
+
+test("more specific selectors win, then later rules", () => {
+  assert.deepEqual(
+    fills(
+      `<svg>
+        <style>
+          #a { fill: #ff0000 }
+          .b.c { fill: #00ff00 }
+          .b { fill: #0000ff }
+          rect.b { fill: #ff0000 }
+          circle { fill: #0000ff }
+          * { fill: #ff0000 }
+          circle { fill: #00ff00 }
+        </style>
+        <rect id="a" class="b c" width="1" height="1"/>
+        <rect class="b c" width="1" height="1"/>
+        <rect class="b" width="1" height="1"/>
+        <circle r="1"/>
+      </svg>`
+    ),
+    [RED, GREEN, RED, GREEN]
+  );
+});
+
+test("descendant and child combinators match through the ancestors", () => {
+  assert.deepEqual(
+    fills(
+      `<svg>
+        <style>
+          svg rect { fill: #ff0000 }
+          g > rect { fill: #00ff00 }
+          .outer rect { fill: #0000ff }
+        </style>
+        <rect width="1" height="1"/>
+        <g><rect width="1" height="1"/></g>
+        <g class="outer"><g><rect width="1" height="1"/></g></g>
+      </svg>`
+    ),
+    [RED, GREEN, BLUE]
+  );
+});
+
+test("unsupported selectors and at-rules are ignored", () => {
+  assert.deepEqual(
+    fills(
+      `<svg>
+        <style>
+          /* a comment { fill: #0000ff } */
+          @media print { rect { fill: #0000ff } }
+          rect:hover, rect[x] { fill: #0000ff }
+          rect { fill: #00ff00 }
+        </style>
+        <rect x="1" width="1" height="1"/>
+      </svg>`
+    ),
+    [GREEN]
+  );
+});
+
+test("child combinators match past a nearer descendant", () => {
+  // The nearest g.b is not a child of g.a, the outer one is
+  assert.deepEqual(
+    fills(
+      `<svg>
+        <style>.a > .b rect { fill: #00ff00 }</style>
+        <g class="a">
+          <g class="b"><g class="b"><rect width="1" height="1"/></g></g>
+        </g>
+      </svg>`
+    ),
+    [GREEN]
+  );
+});
+
+test(
+  "long selectors against deep trees match in linear time",
+  { timeout: 5000 },
+  () => {
+    // Every way of placing the g parts among the ancestors fails at .missing
+    const depth = 200;
+    const svg = `<svg>
+      <style>.missing ${"g ".repeat(30)}rect { fill: #ff0000 }</style>
+      ${"<g>".repeat(depth)}<rect width="1" height="1"/>${"</g>".repeat(depth)}
+    </svg>`;
+    assert.deepEqual(fills(svg), ["0 0 0 rg"]);
+  }
+);
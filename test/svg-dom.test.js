@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGLimitError, SVGtoPDF } from "../src/index.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const XLINK_NAMESPACE = "http://www.w3.org/1999/xlink";
+
+// Just enough of the DOM for SVGtoPDF: elements with namespaced attributes
+// and child nodes, in a document whose window may have getComputedStyle
+function createDocument(computedStyles = null) {
+  const document = {
+    nodeType: 9,
+    documentElement: null,
+    defaultView: computedStyles && {
+      getComputedStyle: (element) => ({
+        getPropertyValue: (property) =>
+          (computedStyles.get(element) || {})[property] || "",
+      }),
+    },
+  };
+  const element = (name, attributes = {}, children = []) => {
+    const node = {
+      nodeType: 1,
+      namespaceURI: SVG_NAMESPACE,
+      localName: name,
+      nodeName: name,
+      ownerDocument: document,
+      attributes: Object.entries(attributes).map(([qualified, value]) => {
+        const [prefix, localName] = qualified.includes(":")
+          ? qualified.split(":")
+          : [null, qualified];
+        return {
+          name: qualified,
+          localName,
+          namespaceURI: prefix === "xl" ? XLINK_NAMESPACE : null,
+          value,
+        };
+      }),
+      childNodes: children.map((child) =>
+        typeof child === "string" ? { nodeType: 3, data: child } : child
+      ),
+    };
+    return node;
+  };
+  return { document, element };
+}
+
+const fills = (doc) => doc.contentStream.filter((op) => op.endsWith(" rg"));
+
+test("draws DOM elements and documents", () => {
+  const { document, element } = createDocument();
+  const rect = element("rect", { id: "r", width: "10", height: "5" });
+  document.documentElement = element("svg", { width: "20" }, [
+    element("defs", {}, [rect]),
+    element("use", { "xl:href": "#r", fill: "#ff0000" }),
+    element("text", { y: "10" }, ["Hi"]),
+  ]);
+
+  for (const svg of [document, document.documentElement]) {
+    const doc = new PDFDocument();
+    SVGtoPDF(doc, svg);
+    assert.deepEqual(fills(doc), ["1 0 0 rg", "0 0 0 rg"]);
+    assert.ok(doc.contentStream.includes("(Hi) Tj"));
+  }
+});
+
+test("DOM elements use their computed styles, with local url()s", () => {
+  const styles = new Map();
+  const { document, element } = createDocument(styles);
+  const gradient = element("linearGradient", { id: "g" }, [
+    element("stop", { "stop-color": "#00ff00" }),
+    element("stop", { offset: "1", "stop-color": "#ffffff" }),
+  ]);
+  const rect = element("rect", { width: "10", height: "5", fill: "#000000" });
+  const circle = element("circle", { r: "5" });
+  document.documentElement = element("svg", {}, [gradient, rect, circle]);
+  styles.set(rect, { fill: "rgb(0, 0, 255)" });
+  styles.set(circle, { fill: 'url("https://example.com/page#g")' });
+
+  const doc = new PDFDocument();
+  SVGtoPDF(doc, document);
+  assert.deepEqual(fills(doc), ["0 0 1 rg"]);
+  assert.ok(doc.contentStream.includes("/P1 scn"));
+
+  const plain = new PDFDocument();
+  SVGtoPDF(plain, document, 0, 0, { computedStyle: false });
+  assert.deepEqual(fills(plain), ["0 0 0 rg", "0 0 0 rg"]);
+  assert.ok(!plain.contentStream.includes("/P1 scn"));
+});
+
+test("DOM trees are held to the depth and element limits", () => {
+  const { document, element } = createDocument();
+  document.documentElement = element("svg", {}, [
+    element("g", { id: "a" }, [element("rect"), element("rect")]),
+  ]);
+
+  assert.throws(
+    () =>
+      SVGtoPDF(new PDFDocument(), document, 0, 0, { limits: { maxDepth: 2 } }),
+    (error) =>
+      error instanceof SVGLimitError &&
+      error.limit === "maxDepth" &&
+      error.path === "svg > g#a > rect"
+  );
+  assert.throws(
+    () =>
+      SVGtoPDF(new PDFDocument(), document, 0, 0, {
+        limits: { maxElements: 3 },
+      }),
+    (error) => error instanceof SVGLimitError && error.limit === "maxElements"
+  );
+  SVGtoPDF(new PDFDocument(), document, 0, 0, {
+    limits: { maxDepth: 3, maxElements: 4 },
+  });
+});
@@ -0,0 +1,173 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PDFDocument,
+  SVGParser,
+  SVGLimitError,
+  SVGtoPDF,
+} from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+const exceeds = (limit) => (error) =>
+  error instanceof SVGLimitError && error.limit === limit;
+
+test("the parser enforces its limits", () => {
+  assert.throws(
+    () =>
+      new SVGParser({ limits: { maxDepth: 2 } }).parse(
+        "<svg><g><g/></g></svg>"
+      ),
+    exceeds("maxDepth")
+  );
+  assert.throws(
+    () =>
+      new SVGParser({ limits: { maxElements: 2 } }).parse(
+        "<svg><g/><g/></svg>"
+      ),
+    exceeds("maxElements")
+  );
+  assert.throws(
+    () =>
+      new SVGParser({ limits: { maxInputLength: 10 } }).parse("<svg></svg> "),
+    exceeds("maxInputLength")
+  );
+
+  // An entity repeated past the expansion limit
+  const entity = `<!ENTITY e "${"x".repeat(60000)}">`;
+  assert.throws(
+    () =>
+      new SVGParser().parse(
+        `<!DOCTYPE svg [${entity}]><svg>${"&e;".repeat(20)}</svg>`
+      ),
+    exceeds("maxEntityExpansion")
+  );
+});
+
+test("limit errors locate the element", () => {
+  assert.throws(
+    () =>
+      new SVGParser({ limits: { maxDepth: 2 } }).parse(
+        '<svg>\n<g id="a">\n  <g/></g></svg>'
+      ),
+    (error) =>
+      error.line === 3 && error.column === 3 && error.path === "svg > g#a > g"
+  );
+});
+
+test("nested <use> expansions count against the rendering limits", () => {
+  const doc = new PDFDocument();
+  let svg = '<svg><defs><rect id="u0" width="1" height="1"/>';
+  for (let i = 1; i < 8; i++) {
+    svg += `<g id="u${i}">${`<use href="#u${i - 1}"/>`.repeat(10)}</g>`;
+  }
+  svg += '</defs><use href="#u7"/></svg>';
+
+  // A failed rendering leaves the page unchanged
+  const before = doc.contentStream.length;
+  assert.throws(
+    () => SVGtoPDF(doc, svg, 0, 0, { limits: { maxRenderedElements: 1000 } }),
+    exceeds("maxRenderedElements")
+  );
+  assert.equal(doc.contentStream.length, before);
+
+  assert.throws(
+    () => SVGtoPDF(doc, svg, 0, 0, { limits: { maxReferenceDepth: 4 } }),
+    exceeds("maxReferenceDepth")
+  );
+  assert.throws(
+    () => SVGtoPDF(doc, svg, 0, 0, { limits: { maxDepth: 10 } }),
+    exceeds("maxDepth")
+  );
+});
+
+test("path segments count against maxPathSegments", () => {
+  const svg = `<svg>
+    <path id="p" d="M0 0${" L1 1".repeat(50)}"/>
+    <use href="#p"/><use href="#p"/>
+  </svg>`;
+  SVGtoPDF(new PDFDocument(), svg, 0, 0, { limits: { maxPathSegments: 200 } });
+  assert.throws(
+    () =>
+      SVGtoPDF(new PDFDocument(), svg, 0, 0, {
+        limits: { maxPathSegments: 100 },
+      }),
+    exceeds("maxPathSegments")
+  );
+});
+
+test("textPath counts its path's segments", () => {
+  const svg = `<svg>
+    <defs><path id="p" d="M0 0${" L1 0".repeat(50)}"/></defs>
+    <text><textPath href="#p">a</textPath></text>
+    <text><textPath href="#p">b</textPath></text>
+  </svg>`;
+  SVGtoPDF(new PDFDocument(), svg, 0, 0, { limits: { maxPathSegments: 102 } });
+  assert.throws(
+    () =>
+      SVGtoPDF(new PDFDocument(), svg, 0, 0, {
+        limits: { maxPathSegments: 100 },
+      }),
+    exceeds("maxPathSegments")
+  );
+});
+
+test("stylesheet matching is held to the limits", () => {
+  const rules = Array.from({ length: 100 }, (_, i) => `g .c${i} rect {}`);
+  const svg = `<svg>
+    <style>${rules.join("\n")}</style>
+    <g id="a">${"<rect/>".repeat(100)}</g>
+  </svg>`;
+  assert.throws(
+    () =>
+      SVGtoPDF(new PDFDocument(), svg, 0, 0, {
+        limits: { maxSelectorChecks: 10000 },
+      }),
+    (error) =>
+      error instanceof SVGLimitError &&
+      error.limit === "maxSelectorChecks" &&
+      error.path.startsWith("svg > g#a > rect")
+  );
+  SVGtoPDF(new PDFDocument(), svg, 0, 0, {
+    limits: { maxSelectorChecks: 100000 },
+  });
+
+  // A tree that was not parsed is checked for depth before matching
+  let tree = { tagName: "rect", attributes: {}, children: [] };
+  for (let i = 0; i < 20; i++) {
+    tree = { tagName: "g", attributes: {}, children: [tree] };
+  }
+  const style = {
+    tagName: "style",
+    attributes: {},
+    children: [{ tagName: "#text", attributes: {}, text: "rect {}" }],
+  };
+  const root = { tagName: "svg", attributes: {}, children: [style, tree] };
+  assert.throws(
+    () => SVGtoPDF(new PDFDocument(), root, 0, 0, { limits: { maxDepth: 10 } }),
+    exceeds("maxDepth")
+  );
+});
+
+test("reference cycles are skipped with a warning", () => {
+  const diagnostics = SVGtoPDF(
+    new PDFDocument(),
+    `<svg>
+      <g id="a"><use href="#b"/></g>
+      <g id="b"><use href="#a"/></g>
+      <clipPath id="c" clip-path="url(#c)">
+        <rect width="1" height="1"/>
+      </clipPath>
+      <rect clip-path="url(#c)" width="5" height="5"/>
+    </svg>`
+  );
+  const messages = new Set(diagnostics.map(({ message }) => message));
+  assert.deepEqual(
+    [...messages],
+    [
+      "<use> of #b references itself",
+      "<use> of #a references itself",
+      "clipPath #c references itself",
+    ]
+  );
+});
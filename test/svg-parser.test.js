@@ -0,0 +1,114 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PDFDocument,
+  SVGParser,
+  SVGParseError,
+  SVGtoPDF,
+} from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+test("parses elements, namespaces, entities and CDATA", () => {
+  const parser = new SVGParser();
+  const root = parser.parse(`<?xml version="1.0"?>
+<!DOCTYPE svg [<!ENTITY color "red">]>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:x="http://www.w3.org/1999/xlink">
+  <!-- comment -->
+  <rect id="a" fill="&color;" x:href="#b"/>
+  <text>a &amp; <![CDATA[<b>]]></text>
+</svg>`);
+
+  assert.equal(root.tagName, "svg");
+  const [rect, text] = root.children.filter((n) => n.tagName !== "#text");
+  assert.equal(rect.attributes.fill, "red");
+  assert.equal(rect.attributes["xlink:href"], "#b");
+  assert.equal(text.children[0].text, "a & <b>");
+  assert.equal(parser.ids.get("a"), rect);
+  assert.deepEqual(parser.diagnostics, []);
+});
+
+test("reports malformed markup with its position and element path", () => {
+  const parser = new SVGParser();
+  const root = parser.parse(
+    '<svg>\n  <g id="logo">\n    <rect></g>\n<circle/></svg>'
+  );
+  const [g, circle] = root.children.filter((n) => n.tagName !== "#text");
+  assert.equal(g.children[1].tagName, "rect");
+  assert.equal(circle.tagName, "circle");
+  assert.deepEqual(parser.diagnostics, [
+    {
+      severity: "error",
+      message: "unclosed <rect>",
+      line: 3,
+      column: 5,
+      path: "svg > g#logo > rect",
+    },
+  ]);
+});
+
+test("reports attributes without a value and duplicate attributes", () => {
+  const parser = new SVGParser();
+  const root = parser.parse('<svg><rect hidden x="1" x="2"/></svg>');
+  assert.deepEqual(
+    parser.diagnostics.map(({ message, column }) => ({ message, column })),
+    [
+      { message: "attribute hidden has no value", column: 12 },
+      { message: "duplicate attribute x", column: 25 },
+    ]
+  );
+  assert.deepEqual(root.children[0].attributes, { hidden: "", x: "1" });
+
+  assert.throws(
+    () => new SVGParser({ strict: true }).parse('<svg x="1" x="2"/>'),
+    SVGParseError
+  );
+});
+
+test("strict mode throws the first error", () => {
+  const parser = new SVGParser({ strict: true });
+  assert.throws(
+    () => parser.parse("<svg>\n<g></svg>"),
+    (error) =>
+      error instanceof SVGParseError &&
+      error.line === 2 &&
+      error.column === 1 &&
+      error.path === "svg > g"
+  );
+});
+
+test("a reused parser only knows the last document's ids", () => {
+  const parser = new SVGParser();
+  parser.parse('<svg><rect id="a"/><rect id="b"/></svg>');
+  const root = parser.parse('<svg><circle id="a"/></svg>');
+  assert.deepEqual([...parser.ids.keys()], ["a"]);
+  assert.equal(parser.ids.get("a"), root.children[0]);
+});
+
+test("entities expanding past the length limit are dropped", () => {
+  const x = "x".repeat(60000);
+  const parser = new SVGParser();
+  const root = parser.parse(
+    `<!DOCTYPE svg [<!ENTITY e "${x}"><!ENTITY f "&e;&e;">]><svg>&f;&e;</svg>`
+  );
+  assert.equal(root.children[0].text, `&f;${x}`);
+  assert.match(parser.diagnostics[0].message, /entity &f; is too long/);
+});
+
+test("SVGtoPDF returns parse and render diagnostics", () => {
+  const diagnostics = SVGtoPDF(
+    new PDFDocument(),
+    '<svg>\n<rect fill="url(#missing)" width="5" height="5"/><g></svg>'
+  );
+  assert.deepEqual(
+    diagnostics.map(({ severity, line, path }) => ({ severity, line, path })),
+    [
+      { severity: "error", line: 2, path: "svg > g" },
+      { severity: "warning", line: 2, path: "svg > rect" },
+    ]
+  );
+  assert.throws(
+    () => SVGtoPDF(new PDFDocument(), "<svg><g></svg>", 0, 0, { strict: true }),
+    SVGParseError
+  );
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SVGPath, SVGPathError } from "../src/index.js";
+
+const points = (d) =>
+  new SVGPath()
+    .parse(d)
+    .commands.map((cmd) =>
+      cmd.type === "Z" ? "Z" : `${cmd.type}${cmd.x},${cmd.y}`
+    );
+
+test("reads numbers in the full SVG syntax", () => {
+  assert.deepEqual(points("M1e-3+2L.5.5 1E1-1"), [
+    "M0.001,2",
+    "L0.5,0.5",
+    "L10,-1",
+  ]);
+});
+
+test("reads compact arc flags", () => {
+  const compact = new SVGPath().parse("M0 0a5 5 0 015 5").commands;
+  const spaced = new SVGPath().parse("M0 0 a 5 5 0 0 1 5 5").commands;
+  assert.deepEqual(compact, spaced);
+  const end = compact[compact.length - 1];
+  assert.deepEqual([end.x, end.y], [5, 5]);
+});
+
+test("repeats arguments, extra moveto pairs being linetos", () => {
+  assert.deepEqual(points("M10 10 20 20m5 5 5 5h5 5z"), [
+    "M10,10",
+    "L20,20",
+    "M25,25",
+    "L30,30",
+    "L35,30",
+    "L40,30",
+    "Z",
+  ]);
+});
+
+test("draws up to the segment with the first error", () => {
+  assert.deepEqual(points("M0 0 L10 10 20"), ["M0,0", "L10,10"]);
+  assert.equal(new SVGPath().parse("M0 0 L10 10 20").error.offset, 14);
+
+  assert.deepEqual(points("L10 10"), []);
+  assert.deepEqual(points("M0 0 a5 5 0 2 1 5 5"), ["M0,0"]);
+  assert.deepEqual(points("M0 0 L10 10, L 3 3"), ["M0,0", "L10,10"]);
+});
+
+test("strict parsing throws the offset of the first error", () => {
+  assert.throws(
+    () => new SVGPath().parse("M0 0 L1 x", { strict: true }),
+    (error) => error instanceof SVGPathError && error.offset === 8
+  );
+  assert.doesNotThrow(() =>
+    new SVGPath().parse("M 1,2 ,3 4", { strict: true })
+  );
+});
+
+test("bounds continue from the subpath start after a close", () => {
+  const path = new SVGPath().parse("M0 0 H20 V20 Z C0 -10 0 -10 0 0");
+  const { y } = path.bounds();
+  assert.ok(Math.abs(y + 7.5) < 1e-9, `top at ${y}`);
+
+  assert.deepEqual(
+    new SVGPath().parse("M10 10 h20 v20 z l5 5").bounds(),
+    { x: 10, y: 10, width: 20, height: 20 }
+  );
+});
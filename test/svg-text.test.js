@@ -0,0 +1,91 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+// The content stream operators placing and showing text
+const textOperators = (svg) => {
+  const doc = new PDFDocument();
+  const diagnostics = SVGtoPDF(doc, svg);
+  const operators = doc.contentStream.filter((op) =>
+    /( cm| Tc| Tj)$/.test(op)
+  );
+  // The first three place the root <svg>
+  return { operators: operators.slice(3), diagnostics };
+};
+
+test("positions characters with dx, dy and rotate lists", () => {
+  const { operators } = textOperators(
+    '<svg><text x="10" y="20" dx="5 1em" dy="1 2" rotate="90">AB</text></svg>'
+  );
+  assert.deepEqual(operators.slice(0, 2), [
+    "1 0 0 1 15 21 cm",
+    "0 1 -1 0 0 0 cm",
+  ]);
+  assert.match(operators[4], /^1 0 0 1 [\d.]+ 23 cm$/);
+});
+
+test("resolves letter-spacing lengths", () => {
+  const { operators } = textOperators(
+    '<svg><text letter-spacing="0.5em" font-size="10">AB</text></svg>'
+  );
+  assert.ok(operators.includes("5 Tc"));
+});
+
+test("fits text to textLength", () => {
+  // Times "A" and "B" at 16px are 11.552 and 10.672 wide
+  const spacing = textOperators(
+    '<svg><text x="10" textLength="100">AB</text></svg>'
+  ).operators;
+  assert.ok(spacing.includes("77.776 Tc"));
+
+  const glyphs = textOperators(
+    `<svg>
+      <text textLength="44.448" lengthAdjust="spacingAndGlyphs">AB</text>
+    </svg>`
+  ).operators;
+  assert.ok(glyphs.includes("2 0 0 -1 0 0 cm"));
+
+  const { diagnostics } = textOperators(
+    '<svg><text textLength="100">A<tspan x="50">B</tspan></text></svg>'
+  );
+  assert.equal(diagnostics.length, 1);
+});
+
+test("sets characters along a textPath, centered on their offset", () => {
+  const { operators } = textOperators(
+    `<svg>
+      <defs><path id="p" d="M0 0 L0 100"/></defs>
+      <text><textPath xlink:href="#p" startOffset="10">AB</textPath></text>
+    </svg>`
+  );
+  // Rotated to the path's direction, "A" centered 10 + 11.552 / 2 along it
+  assert.deepEqual(operators.filter((op) => op.startsWith("0 1 -1 0")), [
+    "0 1 -1 0 0 15.776 cm",
+    "0 1 -1 0 0 26.888 cm",
+  ]);
+  assert.ok(operators.includes("(A) Tj") && operators.includes("(B) Tj"));
+});
+
+test("places characters on a long textPath", { timeout: 5000 }, () => {
+  // Unit steps right, then a turn down at 60000, with the first "A"
+  // centered 10 past it
+  const d = `M0 0${" h1".repeat(60000)} v100`;
+  const text = "A".repeat(2000);
+  const { operators } = textOperators(
+    `<svg>
+      <defs><path id="p" d="${d}"/></defs>
+      <text>
+        <textPath href="#p" startOffset="60004.224">${text}</textPath>
+      </text>
+    </svg>`
+  );
+  const placed = operators.filter((op) => op.startsWith("0 1 -1 0"));
+  assert.deepEqual(placed.slice(0, 2), [
+    "0 1 -1 0 60000 10 cm",
+    "0 1 -1 0 60000 21.552 cm",
+  ]);
+  // Characters past the path's end are not drawn
+  assert.equal(placed.length, 8);
+});
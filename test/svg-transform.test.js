@@ -0,0 +1,78 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+// The transform of each rect, after the placement and the Y flip
+const transforms = (svg) => {
+  const doc = new PDFDocument();
+  SVGtoPDF(doc, svg);
+  return doc.contentStream.filter((op) => op.endsWith(" cm")).slice(3);
+};
+
+test("transform lists take the full SVG number syntax", () => {
+  assert.deepEqual(
+    transforms(
+      `<svg>
+        <rect transform="translate(10-20)scale(.5.5)" width="1" height="1"/>
+        <rect transform="rotate(1e1, 5 5)" width="1" height="1"/>
+        <rect transform="matrix(1,0 0,1 -2e0,+3)" width="1" height="1"/>
+      </svg>`
+    ),
+    [
+      "0.5 0 0 0.5 10 -20 cm",
+      "0.984808 0.173648 -0.173648 0.984808 0.944202 -0.79228 cm",
+      "1 0 0 1 -2 3 cm",
+    ]
+  );
+});
+
+test("skewX and skewY shear along one axis", () => {
+  assert.deepEqual(
+    transforms(
+      `<svg>
+        <rect transform="skewX(45)" width="1" height="1"/>
+        <rect transform="skewY(45)" width="1" height="1"/>
+        <rect transform="skewX(45) , skewY(45)" width="1" height="1"/>
+      </svg>`
+    ),
+    ["1 0 1 1 0 0 cm", "1 1 0 1 0 0 cm", "2 1 1 1 0 0 cm"]
+  );
+});
+
+test("malformed transform lists warn and are ignored", () => {
+  assert.deepEqual(
+    transforms(
+      `<svg>
+        <rect transform="scale(2" width="1" height="1"/>
+        <rect transform=",scale(2)" width="1" height="1"/>
+        <rect transform="translate(,1)" width="1" height="1"/>
+        <rect transform="rotate(1 2)" width="1" height="1"/>
+        <rect transform="shear(1)" width="1" height="1"/>
+      </svg>`
+    ),
+    Array(5).fill("1 0 0 1 0 0 cm")
+  );
+  assert.equal(console.warn.mock.callCount(), 5);
+});
+
+test("the root transform applies outside the viewBox", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg transform="rotate(90)" viewBox="5 0 10 10" width="20" height="20">
+      <rect width="1" height="1"/>
+    </svg>`
+  );
+  assert.deepEqual(
+    doc.contentStream.filter((op) => op.endsWith(" cm")),
+    [
+      "1 0 0 1 0 0 cm",
+      "1 0 0 1 0 20 cm",
+      "1 0 0 -1 0 0 cm",
+      "0 1 -1 0 0 0 cm",
+      "2 0 0 2 -10 0 cm",
+    ]
+  );
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLength, resolveLength } from "../src/svg-units.js";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+test("lengths convert to user units at 96 per inch", () => {
+  assert.equal(parseLength("12"), 12);
+  assert.equal(parseLength(" 1.5e1px "), 15);
+  assert.equal(parseLength("1in"), 96);
+  assert.equal(parseLength("72pt"), 96);
+  assert.equal(parseLength("6pc"), 96);
+  assert.ok(Math.abs(parseLength("2.54cm") - 96) < 1e-9);
+  assert.ok(Math.abs(parseLength("101.6Q") - 96) < 1e-9);
+  assert.equal(parseLength("2em", 0, 10), 20);
+  assert.equal(parseLength("2ex", 0, 10), 10);
+  assert.equal(parseLength("25%", 200), 50);
+  assert.ok(isNaN(parseLength("10furlongs")));
+  assert.ok(isNaN(parseLength("auto")));
+});
+
+test("percentages follow the direction of the length", () => {
+  const units = { viewport: { width: 200, height: 100 } };
+  assert.equal(resolveLength("10%", "x", units), 20);
+  assert.equal(resolveLength("10%", "y", units), 10);
+  assert.equal(
+    resolveLength("10%", null, units),
+    Math.sqrt((200 ** 2 + 100 ** 2) / 2) / 10
+  );
+  assert.equal(resolveLength("bad", "x", units), 0);
+  assert.ok(isNaN(resolveLength(null, "x", units, NaN)));
+});
+
+test("shapes and strokes resolve units in their viewport", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg width="200" height="100">
+      <rect x="10%" y="1em" width="1in" height="50%" font-size="8"
+        stroke="#000000" stroke-width="3pt"/>
+    </svg>`
+  );
+  const ops = doc.contentStream;
+  assert.deepEqual(ops.slice(ops.indexOf("1 0 0 -1 0 0 cm") + 1).slice(0, 4), [
+    "20 8 m",
+    "116 8 l",
+    "116 58 l",
+    "20 58 l",
+  ]);
+  assert.ok(ops.includes("4 w"));
+});
+
+test("a root size in physical units is the artwork's size in points", () => {
+  const doc = new PDFDocument();
+  SVGtoPDF(
+    doc,
+    `<svg width="2in" height="1in" viewBox="0 0 20 10">
+      <rect width="20" height="10"/>
+    </svg>`
+  );
+  assert.ok(doc.contentStream.includes("1 0 0 1 0 72 cm"));
+  assert.ok(doc.contentStream.includes("7.2 0 0 7.2 0 0 cm"));
+});
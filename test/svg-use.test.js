@@ -0,0 +1,79 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+const render = (svg) => {
+  const doc = new PDFDocument();
+  SVGtoPDF(doc, svg);
+  return doc;
+};
+
+test("<use> draws its reference at x/y with the <use> element's style", () => {
+  const doc = render(
+    `<svg>
+      <defs><rect id="r" width="10" height="10"/></defs>
+      <use href="#r" x="5" y="6" fill="#ff0000"/>
+    </svg>`
+  );
+  const ops = doc.contentStream;
+  const offset = ops.indexOf("1 0 0 1 5 6 cm");
+  assert.ok(offset > 0, "moves to x/y");
+  assert.equal(ops[offset + 1], "0 0 m");
+  assert.ok(ops.indexOf("1 0 0 rg") > offset, "fills red");
+  // <defs> content is only drawn when referenced
+  assert.equal(ops.filter((op) => op === "0 0 m").length, 1);
+});
+
+test("symbols are embedded once per size and style", () => {
+  const doc = render(
+    `<svg>
+      <symbol id="s" viewBox="0 0 1 1"><circle cx="0.5" cy="0.5" r="0.5"/></symbol>
+      <use href="#s" width="20" height="20"/>
+      <use href="#s" x="30" width="20" height="20"/>
+      <use href="#s" x="30" width="40" height="40"/>
+    </svg>`
+  );
+  assert.deepEqual(Object.keys(doc.resources.XObject), ["Fm1", "Fm2"]);
+  assert.equal(doc.contentStream.filter((op) => op === "/Fm1 Do").length, 2);
+  // The view box is scaled into the <use> size
+  assert.equal(doc.resources.XObject.Fm1.contentStream[0], "20 0 0 20 0 0 cm");
+  assert.equal(doc.resources.XObject.Fm2.contentStream[0], "40 0 0 40 0 0 cm");
+});
+
+test("missing and self-referencing <use> elements are skipped", () => {
+  const doc = render(
+    `<svg>
+      <use href="#missing"/>
+      <g id="loop"><use xlink:href="#loop"/></g>
+    </svg>`
+  );
+  assert.equal(console.warn.mock.callCount(), 2);
+  assert.ok(!doc.contentStream.some((op) => op.endsWith(" Do")));
+});
+
+test("percentages in a symbol are of the <use> viewport", () => {
+  const doc = render(
+    `<svg width="200" height="100">
+      <symbol id="s" overflow="visible">
+        <rect width="50%" height="50%"/>
+      </symbol>
+      <symbol id="v" viewBox="0 0 10 10">
+        <rect width="50%" height="50%"/>
+      </symbol>
+      <use href="#s" width="40" height="20"/>
+      <use href="#v" width="40" height="40"/>
+      <rect width="50%" height="50%"/>
+    </svg>`
+  );
+  const corners = (ops) => ops.filter((op) => / l$/.test(op)).slice(0, 1);
+  // The unclipped symbol draws inline, the clipped one in a group
+  assert.deepEqual(corners(doc.contentStream), ["20 0 l"]);
+  assert.deepEqual(corners(doc.resources.XObject.Fm1.contentStream), [
+    "5 0 l",
+  ]);
+  // The document's viewport is restored after the symbols
+  const ops = doc.contentStream;
+  assert.equal(ops[ops.lastIndexOf("0 0 m") + 1], "100 0 l");
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, SVGtoPDF } from "../src/index.js";
+
+const render = (svg) => {
+  const doc = new PDFDocument();
+  SVGtoPDF(doc, svg);
+  return doc.contentStream;
+};
+
+test("preserveAspectRatio aligns the root viewBox in its viewport", () => {
+  const viewBoxTransform = (preserveAspectRatio) =>
+    render(
+      `<svg viewBox="0 0 10 20" width="40" height="40"
+        preserveAspectRatio="${preserveAspectRatio}">
+        <rect width="1" height="1"/>
+      </svg>`
+    ).filter((op) => op.endsWith(" cm"))[3];
+
+  assert.equal(viewBoxTransform("xMidYMid meet"), "2 0 0 2 10 0 cm");
+  assert.equal(viewBoxTransform("defer xMinYMax"), "2 0 0 2 0 0 cm");
+  assert.equal(viewBoxTransform("xMaxYMid slice"), "4 0 0 4 0 -20 cm");
+  assert.equal(viewBoxTransform("none"), "4 0 0 2 0 0 cm");
+});
+
+test("the root only clips to its viewport when overflow is hidden", () => {
+  const clips = (overflow) =>
+    render(
+      `<svg width="40" height="30" overflow="${overflow}">
+        <rect width="100" height="100"/>
+      </svg>`
+    ).filter((op) => op.endsWith(" re"));
+
+  assert.deepEqual(clips("visible"), []);
+  assert.deepEqual(clips("hidden"), ["0 0 40 30 re"]);
+  assert.deepEqual(clips("scroll"), ["0 0 40 30 re"]);
+});
+
+test("nested svg elements establish clipped viewports", () => {
+  const ops = render(
+    `<svg width="100" height="100">
+      <svg x="10" y="50%" width="50%" height="20" viewBox="0 0 10 10">
+        <rect width="1" height="1"/>
+      </svg>
+      <svg x="5" overflow="visible"><rect width="1" height="1"/></svg>
+      <svg width="0"><rect width="1" height="1"/></svg>
+    </svg>`
+  );
+  assert.deepEqual(
+    ops.filter((op) => /^W$| (cm|re)$/.test(op)).slice(3),
+    [
+      "10 50 50 20 re",
+      "W",
+      "1 0 0 1 10 50 cm",
+      "2 0 0 2 15 0 cm",
+      "1 0 0 1 5 0 cm",
+    ]
+  );
+  assert.equal(ops.filter((op) => op === "f").length, 2);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFDocument, TrueTypeFont } from "../src/index.js";
+import { buildTrueTypeFont, readTables } from "./helpers/truetype.js";
+
+// The font as a Node Buffer, as fs.readFileSync returns it, or as a view
+// into a larger buffer, as Buffer pools hand them out
+function fontBuffer(byteOffset = 0) {
+  const font = buildTrueTypeFont();
+  const buffer = Buffer.from(new ArrayBuffer(byteOffset + font.length));
+  buffer.set(font, byteOffset);
+  return buffer.subarray(byteOffset);
+}
+
+test("subsetting leaves the caller's font data unchanged", () => {
+  for (const byteOffset of [0, 3]) {
+    const data = fontBuffer(byteOffset);
+    const whole = Buffer.from(data.buffer);
+    const original = Buffer.from(whole);
+    const font = new TrueTypeFont(data);
+    font.encode("CAB");
+    font.generateSubset();
+    assert.deepEqual(whole, original);
+  }
+});
+
+test("the subset is a valid font with renumbered glyphs", () => {
+  const font = new TrueTypeFont(fontBuffer(3));
+  assert.deepEqual(font.encode("C"), [1]);
+  const subset = font.generateSubset();
+  const tables = readTables(subset);
+
+  // .notdef, "C" and the "A" glyph it is made of
+  assert.equal(tables.maxp.getUint16(4), 3);
+  assert.equal(tables.hhea.getUint16(34), 3);
+  assert.equal(tables.head.getInt16(50), 1);
+  assert.equal(tables.hmtx.getUint16(4), 800);
+  assert.equal(tables.hmtx.getUint16(8), 600);
+
+  // The composite "C" points at the "A" glyph's new id
+  const composite = tables.loca.getUint32(4);
+  assert.equal(tables.glyf.getInt16(composite), -1);
+  assert.equal(tables.glyf.getUint16(composite + 12), 2);
+
+  // The whole-font checksum comes out to the sfnt magic number
+  const view = new DataView(subset.buffer, subset.byteOffset);
+  let sum = 0;
+  for (let i = 0; i < subset.length; i += 4) {
+    sum = (sum + view.getUint32(i)) >>> 0;
+  }
+  assert.equal(sum, 0xb1b0afba);
+});
+
+test("measuring text does not add glyphs to the subset", () => {
+  const font = new TrueTypeFont(fontBuffer());
+  assert.equal(font.widthOfString("AB", 10), 13);
+  assert.equal(font.widthOfString("?", 10), 5);
+  assert.deepEqual(font.subsetGlyphs, [0]);
+});
+
+test("registered fonts embed as CIDFontType2 subsets", () => {
+  const data = fontBuffer();
+  const original = Buffer.from(data);
+  const doc = new PDFDocument();
+  doc.registerFont("Test", data);
+  doc.font("Test", 12).text("ABC", 10, 10);
+  const pdf = doc.end().toString("latin1");
+
+  assert.match(pdf, /\/Subtype \/CIDFontType2/);
+  assert.match(pdf, /\/FontFile2 \d+ 0 R/);
+  assert.match(pdf, /\/BaseFont \/[A-Z]{6}\+/);
+  assert.match(pdf, /\/Encoding \/Identity-H/);
+  assert.match(pdf, /\/ToUnicode \d+ 0 R/);
+  assert.deepEqual(data, original);
+});
+
+test("CFF-flavored OpenType fonts are rejected", () => {
+  const data = fontBuffer();
+  data.write("OTTO", 0, "latin1");
+  assert.throws(() => new TrueTypeFont(data), /CFF-flavored OpenType/);
+});